@@ -0,0 +1,220 @@
+// The data quality checker for the Family Tree Creator.
+// The family rules in familyGraph.js stop links that can never be right, such as a third parent.
+// This file looks for data that is very unlikely to be right: children born before their parents
+// or after a parent died, very young parents, very long lives, circular ancestry, people or links
+// that aren't connected to anyone, and people who are probably entered twice. Each issue names the
+// people involved so script.js can take the user to them.
+
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+import { TreeSearch } from './search.js';
+
+export const TreeChecks = (() => {
+    // The kinds of issue, in the order they are listed.
+    const CHECKS = {
+        circularAncestry: 'Circular ancestry',
+        bornBeforeParent: 'Born before a parent',
+        bornAfterParentDied: 'Born after a parent died',
+        youngParent: 'Very young parent',
+        diedBeforeBorn: 'Died before being born',
+        longLife: 'Lived past 120',
+        orphanedRecord: 'Orphaned record',
+        likelyDuplicate: 'Likely duplicate'
+    };
+
+    // The youngest age at which someone is believed to have had a child.
+    const MIN_PARENT_AGE = 12;
+    // The longest believable life, in years.
+    const MAX_AGE = 120;
+    // A father can die before his child is born, so a birth up to this many years after his death is allowed.
+    const FATHER_DEATH_MARGIN = 1;
+    // Two people with similar names are only flagged as the same person if their birth years are this close.
+    const DUPLICATE_BIRTH_YEARS = 2;
+
+    function issue(check, members, message) {
+        return { check, memberIds: members.map(member => member.id), message };
+    }
+
+    // The range of years a member's birth or death could be in, or null if it isn't known.
+    function yearsOf(member, event) {
+        return member[event] ? FamilyDates.toRange(member[event].date) : null;
+    }
+
+    /**
+     * @description Checks every child's birth against their parents' births and deaths.
+     * Approximate dates are only flagged when no reading of them would be believable.
+     * @param {object} graph The family graph.
+     * @returns {Array<object>} The issues found.
+     */
+    function checkParentDates(graph) {
+        const issues = [];
+        graph.parentLinks.forEach(link => {
+            const parent = FamilyGraph.getMember(graph, link.parentId);
+            const child = FamilyGraph.getMember(graph, link.childId);
+            const childBirth = child && yearsOf(child, 'birth');
+            if (!parent || !childBirth) return;
+
+            const parentBirth = yearsOf(parent, 'birth');
+            const parentDeath = yearsOf(parent, 'death');
+            if (parentBirth && childBirth.latest < parentBirth.earliest) {
+                issues.push(issue('bornBeforeParent', [child, parent],
+                    `${child.name} was born before their parent ${parent.name}.`));
+            } else if (parentBirth && childBirth.latest - parentBirth.earliest < MIN_PARENT_AGE) {
+                issues.push(issue('youngParent', [parent, child],
+                    `${parent.name} would have been younger than ${MIN_PARENT_AGE} when ${child.name} was born.`));
+            }
+            const margin = parent.gender === 'male' ? FATHER_DEATH_MARGIN : 0;
+            if (parentDeath && childBirth.earliest > parentDeath.latest + margin) {
+                issues.push(issue('bornAfterParentDied', [child, parent],
+                    `${child.name} was born after their parent ${parent.name} died.`));
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * @description Finds people whose recorded lifespan is longer than MAX_AGE (or less than nothing),
+     * or who have no death recorded but would be older than MAX_AGE now. Someone marked as deceased by hand
+     * has died even without a death date, so they aren't counted as living on.
+     * @param {object} graph The family graph.
+     * @param {number} currentYear The year to measure the living against.
+     * @returns {Array<object>} The issues found.
+     */
+    function checkLifespans(graph, currentYear) {
+        const issues = [];
+        graph.members.forEach(member => {
+            const birth = yearsOf(member, 'birth');
+            const death = yearsOf(member, 'death');
+            if (!birth) return;
+            if (death && death.earliest - birth.latest > MAX_AGE) {
+                issues.push(issue('longLife', [member], `${member.name} lived for more than ${MAX_AGE} years.`));
+            } else if (death && death.latest < birth.earliest) {
+                issues.push(issue('diedBeforeBorn', [member], `${member.name} died before they were born.`));
+            } else if (member.livingStatus !== 'deceased' && !(member.death && (member.death.date || member.death.place)) &&
+                currentYear - birth.latest > MAX_AGE) {
+                issues.push(issue('longLife', [member],
+                    `${member.name} would be older than ${MAX_AGE} today, but no death is recorded.`));
+            }
+        });
+        return issues;
+    }
+
+    function checkCircularAncestry(graph) {
+        return FamilyGraph.findCycleMembers(graph).map(member =>
+            issue('circularAncestry', [member], `${member.name} is their own ancestor.`));
+    }
+
+    /**
+     * @description Finds links to people who aren't in the tree, and people who aren't linked to anyone
+     * (only when the tree has more than one person).
+     * @param {object} graph The family graph.
+     * @returns {Array<object>} The issues found.
+     */
+    function checkOrphans(graph) {
+        const issues = [];
+        const exists = (id) => Boolean(FamilyGraph.getMember(graph, id));
+        graph.parentLinks.forEach(link => {
+            const missing = [link.parentId, link.childId].filter(id => !exists(id));
+            if (missing.length > 0) {
+                const known = [link.parentId, link.childId].filter(exists).map(id => FamilyGraph.getMember(graph, id));
+                issues.push(issue('orphanedRecord', known,
+                    `A parent link refers to someone who isn't in the tree (${link.parentId} → ${link.childId}).`));
+            }
+        });
+        graph.partnerships.forEach(partnership => {
+            if (partnership.partnerIds.some(id => !exists(id))) {
+                const known = partnership.partnerIds.filter(exists).map(id => FamilyGraph.getMember(graph, id));
+                issues.push(issue('orphanedRecord', known,
+                    `A partnership refers to someone who isn't in the tree (${partnership.partnerIds.join(' & ')}).`));
+            }
+        });
+        if (graph.members.length > 1) {
+            graph.members.forEach(member => {
+                const isLinked = graph.parentLinks.some(link => link.parentId === member.id || link.childId === member.id) ||
+                    graph.partnerships.some(partnership => partnership.partnerIds.includes(member.id));
+                if (!isLinked) {
+                    issues.push(issue('orphanedRecord', [member], `${member.name} isn't linked to anyone in the tree.`));
+                }
+            });
+        }
+        return issues;
+    }
+
+    /**
+     * @description Tells whether two names are close enough to be the same person's name written differently:
+     * the same apart from case and accents, or one or two typing mistakes apart in longer names.
+     * @param {string} first The first name.
+     * @param {string} second The second name.
+     * @returns {boolean} True if the names are similar.
+     */
+    function similarNames(first, second) {
+        const a = TreeSearch.normalize(first);
+        const b = TreeSearch.normalize(second);
+        if (!a || !b) return false;
+        if (a === b) return true;
+        const allowed = Math.min(a.length, b.length) >= 10 ? 2 : Math.min(a.length, b.length) >= 5 ? 1 : 0;
+        return Math.abs(a.length - b.length) <= allowed && TreeSearch.editDistance(a, b) <= allowed;
+    }
+
+    /**
+     * @description Finds pairs of people who are probably the same person: similar names and birth years
+     * no more than DUPLICATE_BIRTH_YEARS apart. People with exactly the same name are flagged when
+     * neither birth is known too. Parents and children are never flagged, since children are often
+     * named after a parent.
+     * @param {object} graph The family graph.
+     * @returns {Array<object>} The issues found.
+     */
+    function checkDuplicates(graph) {
+        const issues = [];
+        graph.members.forEach((first, index) => {
+            graph.members.slice(index + 1).forEach(second => {
+                if (!similarNames(first.name, second.name)) return;
+                const firstBirth = yearsOf(first, 'birth');
+                const secondBirth = yearsOf(second, 'birth');
+                if (firstBirth && secondBirth) {
+                    if (firstBirth.earliest - secondBirth.latest > DUPLICATE_BIRTH_YEARS ||
+                        secondBirth.earliest - firstBirth.latest > DUPLICATE_BIRTH_YEARS) {
+                        return;
+                    }
+                } else if (firstBirth || secondBirth || TreeSearch.normalize(first.name) !== TreeSearch.normalize(second.name)) {
+                    return;
+                }
+                const isParentAndChild = graph.parentLinks.some(link =>
+                    (link.parentId === first.id && link.childId === second.id) ||
+                    (link.parentId === second.id && link.childId === first.id));
+                if (!isParentAndChild) {
+                    const born = firstBirth && secondBirth ? ' and were born around the same time' : '';
+                    issues.push(issue('likelyDuplicate', [first, second],
+                        `${first.name} and ${second.name} have similar names${born}; they may be the same person.`));
+                }
+            });
+        });
+        return issues;
+    }
+
+    /**
+     * @description Runs every check on a tree.
+     * @param {object} graph The family graph.
+     * @param {number} [currentYear] The year to measure the living against; this year by default.
+     * @returns {Array<{check: string, memberIds: Array<number>, message: string}>} The issues found,
+     * grouped in the order of CHECKS. memberIds lists the people involved, the one to look at first.
+     */
+    function checkTree(graph, currentYear = new Date().getFullYear()) {
+        const issues = [
+            ...checkCircularAncestry(graph),
+            ...checkParentDates(graph),
+            ...checkLifespans(graph, currentYear),
+            ...checkOrphans(graph),
+            ...checkDuplicates(graph)
+        ];
+        const order = Object.keys(CHECKS);
+        return issues.sort((a, b) => order.indexOf(a.check) - order.indexOf(b.check));
+    }
+
+    return {
+        CHECKS,
+        MIN_PARENT_AGE,
+        MAX_AGE,
+        checkTree
+    };
+})();
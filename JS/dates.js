@@ -0,0 +1,203 @@
+// Genealogy dates for the Family Tree Creator.
+// Dates are stored as the text the user typed, because family history is full of dates that are
+// only partly known: "1890", "Mar 1890", "12 March 1890", "abt. 1890", "before 1920",
+// "after 1900" or "between 1890 and 1895". GEDCOM forms such as "ABT 1890" and "BET 1890 AND 1895"
+// are read too. This file parses that text so dates can be checked, compared and shown as lifespans.
+
+export const FamilyDates = (() => {
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // Words that make a date approximate, with the qualifier they stand for.
+    const QUALIFIER_WORDS = {
+        about: ['abt', 'about', 'approx', 'approximately', 'c', 'ca', 'circa', 'est', 'estimated', 'cal', 'calculated', '~'],
+        before: ['bef', 'before'],
+        after: ['aft', 'after']
+    };
+
+    // How each qualifier is written in short labels such as lifespans.
+    const QUALIFIER_LABELS = {
+        exact: '',
+        about: 'abt. ',
+        before: 'bef. ',
+        after: 'aft. ',
+        between: 'bet. '
+    };
+
+    // The number of years either side of an "about" date that are treated as possible.
+    const ABOUT_MARGIN = 5;
+
+    /**
+     * @description Parses a single date without a qualifier: "1890", "Mar 1890", "12 March 1890" or "1890-03-12".
+     * @param {string} text The date.
+     * @returns {{year: number, month: number|null, day: number|null}|null} The parts, or null if it isn't a date.
+     */
+    function parseSimple(text) {
+        const iso = text.match(/^(\d{3,4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (iso) {
+            return checkParts(Number(iso[1]), iso[2] ? Number(iso[2]) : null, iso[3] ? Number(iso[3]) : null);
+        }
+
+        // Day, month name and year in any common order: "12 Mar 1890", "March 12, 1890", "Mar 1890".
+        const words = text.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+        let year = null;
+        let month = null;
+        let day = null;
+        for (const word of words) {
+            const monthIndex = MONTHS.indexOf(word.slice(0, 3).toLowerCase());
+            if (/^\d{3,4}$/.test(word) && year === null) {
+                year = Number(word);
+            } else if (/^\d{1,2}(st|nd|rd|th)?$/i.test(word) && day === null) {
+                day = parseInt(word, 10);
+            } else if (monthIndex !== -1 && month === null && /^[a-z]+\.?$/i.test(word)) {
+                month = monthIndex + 1;
+            } else {
+                return null;
+            }
+        }
+        if (year === null || (day !== null && month === null)) {
+            return null;
+        }
+        return checkParts(year, month, day);
+    }
+
+    function checkParts(year, month, day) {
+        if (month !== null && (month < 1 || month > 12)) return null;
+        if (day !== null && (day < 1 || day > 31)) return null;
+        return { year, month, day };
+    }
+
+    /**
+     * @description Parses a date as typed by the user or read from GEDCOM.
+     * @param {string} text The date, e.g. "abt. 1890" or "between 1890 and 1895".
+     * @returns {object|null} { qualifier, year, month, day, endYear, text }, where qualifier is one of
+     * exact, about, before, after or between, and endYear is only set for "between" dates.
+     * Null if the text is empty or not a date.
+     */
+    function parse(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) return null;
+
+        const between = trimmed.match(/^(?:bet\.?|between|from)\s+(.+?)\s+(?:and|to|-|–)\s+(.+)$/i);
+        if (between) {
+            const start = parseSimple(between[1]);
+            const end = parseSimple(between[2]);
+            if (!start || !end || end.year < start.year) return null;
+            return { qualifier: 'between', ...start, endYear: end.year, text: trimmed };
+        }
+
+        const qualifierMatch = trimmed.match(/^(~|[a-z]+\.?)\s*(.*)$/i);
+        if (qualifierMatch) {
+            const word = qualifierMatch[1].replace(/\.$/, '').toLowerCase();
+            const qualifier = Object.keys(QUALIFIER_WORDS).find(key => QUALIFIER_WORDS[key].includes(word));
+            if (qualifier) {
+                const parts = parseSimple(qualifierMatch[2]);
+                return parts ? { qualifier, ...parts, endYear: null, text: trimmed } : null;
+            }
+        }
+
+        const parts = parseSimple(trimmed);
+        return parts ? { qualifier: 'exact', ...parts, endYear: null, text: trimmed } : null;
+    }
+
+    /**
+     * @description Tells whether a date can be understood. Empty dates are allowed.
+     * @param {string} text The date.
+     * @returns {boolean} True if the date is empty or can be parsed.
+     */
+    function isValid(text) {
+        return !(text || '').trim() || parse(text) !== null;
+    }
+
+    /**
+     * @description Works out the earliest and latest years a date could mean.
+     * "before" and "after" dates are open-ended.
+     * @param {string} text The date.
+     * @returns {{earliest: number, latest: number}|null} The range, or null if the text is not a date.
+     */
+    function toRange(text) {
+        const date = parse(text);
+        if (!date) return null;
+        switch (date.qualifier) {
+            case 'about': return { earliest: date.year - ABOUT_MARGIN, latest: date.year + ABOUT_MARGIN };
+            case 'before': return { earliest: -Infinity, latest: date.year };
+            case 'after': return { earliest: date.year, latest: Infinity };
+            case 'between': return { earliest: date.year, latest: date.endYear };
+            default: return { earliest: date.year, latest: date.year };
+        }
+    }
+
+    /**
+     * @description Turns a date into a number of years for sorting and measuring, e.g. 1890.5 for July 1890.
+     * Approximate dates use their best guess: the year itself, or the middle of a "between" range.
+     * @param {string} text The date.
+     * @returns {number|null} The decimal year, or null if the text is not a date.
+     */
+    function toDecimalYear(text) {
+        const date = parse(text);
+        if (!date) return null;
+        if (date.qualifier === 'between') {
+            return (date.year + date.endYear) / 2;
+        }
+        const month = date.month ? date.month - 1 : 0;
+        const day = date.day ? date.day - 1 : 0;
+        return date.year + month / 12 + day / 365;
+    }
+
+    /**
+     * @description Writes a date as a short label, keeping only the year: "1890", "abt. 1890", "bet. 1890–1895".
+     * Text that is not a date is returned unchanged.
+     * @param {string} text The date.
+     * @returns {string} The label.
+     */
+    function formatYear(text) {
+        const date = parse(text);
+        if (!date) return (text || '').trim();
+        const year = date.qualifier === 'between' ? `${date.year}–${date.endYear}` : `${date.year}`;
+        return `${QUALIFIER_LABELS[date.qualifier]}${year}`;
+    }
+
+    /**
+     * @description Describes a member's lifespan for node labels: "1890 – 1955", "abt. 1890 – bef. 1960",
+     * "b. 1890" or "d. 1955". Empty if neither date is known.
+     * @param {object} member The member, with optional birth and death { date, place }.
+     * @returns {string} The lifespan.
+     */
+    function formatLifespan(member) {
+        const birth = member.birth && member.birth.date ? formatYear(member.birth.date) : '';
+        const death = member.death && member.death.date ? formatYear(member.death.date) : '';
+        if (birth && death) return `${birth} – ${death}`;
+        if (birth) return `b. ${birth}`;
+        if (death) return `d. ${death}`;
+        return '';
+    }
+
+    /**
+     * @description Writes a date in GEDCOM form: "12 MAR 1890", "ABT 1890", "BET 1890 AND 1895".
+     * Text that is not a date is returned unchanged, which GEDCOM allows as a date phrase.
+     * @param {string} text The date.
+     * @returns {string} The GEDCOM date.
+     */
+    function toGedcom(text) {
+        const date = parse(text);
+        if (!date) return (text || '').trim();
+        const simple = [date.day, date.month ? MONTHS[date.month - 1].toUpperCase() : null, date.year].filter(Boolean).join(' ');
+        switch (date.qualifier) {
+            case 'about': return `ABT ${simple}`;
+            case 'before': return `BEF ${simple}`;
+            case 'after': return `AFT ${simple}`;
+            case 'between': return `BET ${simple} AND ${date.endYear}`;
+            default: return simple;
+        }
+    }
+
+    return {
+        ABOUT_MARGIN,
+        parse,
+        isValid,
+        toRange,
+        toDecimalYear,
+        formatYear,
+        formatLifespan,
+        toGedcom
+    };
+})();
@@ -0,0 +1,1041 @@
+// The family data model shared by the Family Tree Creator pages.
+// A family is a graph of members, parent-child links and partnerships between two members:
+//   { members: [{ id, name, ... }], parentLinks: [{ parentId, childId }],
+//     partnerships: [{ id, partnerIds: [a, b], type, startDate, endDate, place }], nextId, nextPartnershipId }
+// A member can have any number of partnerships over their life (remarriage, divorce, widowhood).
+// A child belongs to the partnership between their two parents.
+// Graphs are plain objects so they can be saved as JSON. Every function takes the graph as its
+// first argument; changes that would break the family (cycles, a third biological parent,
+// linking someone to themselves) throw an Error with a message that can be shown to the user.
+
+export const FamilyGraph = (() => {
+    // A child can have at most two biological parents.
+    const MAX_PARENTS = 2;
+
+    // The kinds of partnership, with the label shown to users.
+    const PARTNERSHIP_TYPES = {
+        married: 'Married',
+        partner: 'Partners',
+        divorced: 'Divorced',
+        widowed: 'Widowed'
+    };
+
+    // The ways addRelative() can relate a new member to an existing one, with the label shown to users.
+    const RELATIONSHIPS = {
+        parent: 'Parent',
+        spouse: 'Spouse',
+        child: 'Child',
+        sibling: 'Sibling'
+    };
+
+    // The ways deleteMember() can treat the descendants of the person being deleted.
+    const DELETE_MODES = {
+        reattach: 'Keep their children with their other parent',
+        placeholder: 'Replace them with an unknown person',
+        subtree: 'Delete them and all of their descendants'
+    };
+
+    /**
+     * @description Creates an empty family graph.
+     * @returns {object} The new graph.
+     */
+    function createGraph() {
+        return {
+            members: [],
+            parentLinks: [],
+            partnerships: [],
+            nextId: 1,
+            nextPartnershipId: 1
+        };
+    }
+
+    // --- Members ---
+
+    /**
+     * @description Finds a member by id. Ids from form values (strings) are accepted too.
+     * @param {object} graph The family graph.
+     * @param {number|string} memberId The member's id.
+     * @returns {object|null} The member, or null if there is none with that id.
+     */
+    function getMember(graph, memberId) {
+        return graph.members.find(m => m.id === Number(memberId)) || null;
+    }
+
+    function requireMember(graph, memberId) {
+        const member = getMember(graph, memberId);
+        if (!member) {
+            throw new Error(`There is no family member with id ${memberId}.`);
+        }
+        return member;
+    }
+
+    /**
+     * @description Adds a member with the next free id.
+     * @param {object} graph The family graph.
+     * @param {object} fields The member's details, e.g. { name, gender }.
+     * @returns {object} The new member.
+     */
+    function addMember(graph, fields) {
+        const member = { ...fields, id: graph.nextId };
+        graph.nextId++;
+        graph.members.push(member);
+        return member;
+    }
+
+    /**
+     * @description Changes a member's details, such as their name. Links are changed separately.
+     * @param {object} graph The family graph.
+     * @param {number|string} memberId The id of the member to change.
+     * @param {object} fields The details to change.
+     * @returns {object} The updated member.
+     */
+    function updateMember(graph, memberId, fields) {
+        const member = requireMember(graph, memberId);
+        const { id, ...changes } = fields;
+        Object.assign(member, changes);
+        return member;
+    }
+
+    /**
+     * @description Removes a member together with their parent links and partnerships.
+     * Their children stay in the graph with one parent fewer.
+     * @param {object} graph The family graph.
+     * @param {number|string} memberId The id of the member to remove.
+     * @returns {object} The removed member.
+     */
+    function removeMember(graph, memberId) {
+        const member = requireMember(graph, memberId);
+        graph.members = graph.members.filter(m => m.id !== member.id);
+        graph.parentLinks = graph.parentLinks.filter(link => link.parentId !== member.id && link.childId !== member.id);
+        graph.partnerships = graph.partnerships.filter(p => !p.partnerIds.includes(member.id));
+        return member;
+    }
+
+    /**
+     * @description Deletes a member, choosing what happens to the people below them.
+     * 'reattach' removes just the member: their children keep their other parent, or start a branch of their own.
+     * 'placeholder' keeps the member's place in the family as an unknown person, so their children stay siblings.
+     * 'subtree' removes the member together with all of their descendants.
+     * @param {object} graph The family graph.
+     * @param {number|string} memberId The id of the member to delete.
+     * @param {string} mode One of the DELETE_MODES keys.
+     * @returns {Array<object>} The members that were removed or replaced.
+     */
+    function deleteMember(graph, memberId, mode) {
+        const member = requireMember(graph, memberId);
+        if (!(mode in DELETE_MODES)) {
+            throw new Error(`"${mode}" is not a way to delete a member. Use one of: ${Object.keys(DELETE_MODES).join(', ')}.`);
+        }
+        if (mode === 'placeholder') {
+            const index = graph.members.indexOf(member);
+            graph.members[index] = { id: member.id, name: 'Unknown', placeholder: true };
+            return [member];
+        }
+        const removed = mode === 'subtree' ? [member, ...getDescendants(graph, member.id)] : [member];
+        removed.forEach(m => removeMember(graph, m.id));
+        return removed;
+    }
+
+    /**
+     * @description Merges two members who are the same person, e.g. an ancestor entered once in each
+     * branch. The duplicate is removed and every parent, child and partner link moves onto the member
+     * who is kept. Partnerships with the same person are combined, filling in details only one of them had.
+     * @param {object} graph The family graph.
+     * @param {number|string} keepId The id of the member who is kept.
+     * @param {number|string} duplicateId The id of the member merged into them.
+     * @param {object} [fields] The kept member's details after the merge. Details left out, such as a
+     * hand-set livingStatus, stay as the kept member had them. Leave out to keep all of their own.
+     * @returns {object} The kept member.
+     */
+    function mergeMembers(graph, keepId, duplicateId, fields) {
+        const keep = requireMember(graph, keepId);
+        const duplicate = requireMember(graph, duplicateId);
+        if (keep.id === duplicate.id) {
+            throw new Error('Choose two different people to merge.');
+        }
+        const related = [...getAncestors(graph, keep.id), ...getDescendants(graph, keep.id)];
+        if (related.some(m => m.id === duplicate.id)) {
+            throw new Error(`${keep.name} and ${duplicate.name} can't be merged, because one is the other's ancestor.`);
+        }
+        const parentIds = new Set([...getParents(graph, keep.id), ...getParents(graph, duplicate.id)].map(p => p.id));
+        if (parentIds.size > MAX_PARENTS) {
+            throw new Error(`${keep.name} and ${duplicate.name} can't be merged, because between them they have more than two parents. Remove the wrong parents first.`);
+        }
+
+        // Move the duplicate's parent and child links, dropping any the kept member already has.
+        graph.parentLinks = graph.parentLinks
+            .map(link => ({
+                parentId: link.parentId === duplicate.id ? keep.id : link.parentId,
+                childId: link.childId === duplicate.id ? keep.id : link.childId
+            }))
+            .filter((link, index, links) => links.findIndex(l => l.parentId === link.parentId && l.childId === link.childId) === index);
+
+        // Move the duplicate's partnerships. A partnership between the two of them is dropped, and one with
+        // somebody the kept member is already partnered with fills in that partnership's missing details.
+        getPartnerships(graph, duplicate.id).forEach(partnership => {
+            const partnerId = partnership.partnerIds.find(id => id !== duplicate.id);
+            const existing = graph.partnerships.find(p => p.partnerIds.includes(keep.id) && p.partnerIds.includes(partnerId));
+            if (partnerId === keep.id || existing) {
+                if (existing) {
+                    ['startDate', 'endDate', 'place'].forEach(detail => {
+                        existing[detail] = existing[detail] || partnership[detail] || '';
+                    });
+                }
+                removePartnership(graph, partnership.id);
+            } else {
+                partnership.partnerIds = partnership.partnerIds.map(id => (id === duplicate.id ? keep.id : id));
+            }
+        });
+
+        graph.members = graph.members.filter(m => m.id !== duplicate.id);
+        if (fields) {
+            const { id, ...details } = fields;
+            const { placeholder, ...own } = keep;
+            graph.members[graph.members.indexOf(keep)] = { ...own, ...details, id: keep.id };
+        }
+        return getMember(graph, keep.id);
+    }
+
+    // --- Parent-child links ---
+
+    /**
+     * @description Checks whether a parent-child link may be added.
+     * @param {object} graph The family graph.
+     * @param {number|string} parentId The id of the parent.
+     * @param {number|string} childId The id of the child.
+     * @returns {string|null} Why the link is not allowed, or null if it is.
+     */
+    function checkParentLink(graph, parentId, childId) {
+        const parent = getMember(graph, parentId);
+        const child = getMember(graph, childId);
+        if (!parent || !child) {
+            return "Both the parent and the child must be members of the tree.";
+        }
+        if (parent.id === child.id) {
+            return `${parent.name} can't be their own parent.`;
+        }
+        const parents = getParents(graph, child.id);
+        if (parents.some(p => p.id === parent.id)) {
+            return `${parent.name} is already a parent of ${child.name}.`;
+        }
+        if (parents.length >= MAX_PARENTS) {
+            return `${child.name} already has two parents: ${parents.map(p => p.name).join(' and ')}.`;
+        }
+        if (getDescendants(graph, child.id).some(d => d.id === parent.id)) {
+            return `${parent.name} is a descendant of ${child.name}, so they can't also be their parent.`;
+        }
+        return null;
+    }
+
+    /**
+     * @description Records that one member is the parent of another.
+     * @param {object} graph The family graph.
+     * @param {number|string} parentId The id of the parent.
+     * @param {number|string} childId The id of the child.
+     * @returns {object} The new link.
+     */
+    function addParentLink(graph, parentId, childId) {
+        const error = checkParentLink(graph, parentId, childId);
+        if (error) {
+            throw new Error(error);
+        }
+        const link = { parentId: Number(parentId), childId: Number(childId) };
+        graph.parentLinks.push(link);
+        return link;
+    }
+
+    function removeParentLink(graph, parentId, childId) {
+        graph.parentLinks = graph.parentLinks.filter(link =>
+            !(link.parentId === Number(parentId) && link.childId === Number(childId)));
+    }
+
+    /**
+     * @description Replaces all of a member's parents. If any new link is not allowed,
+     * the member keeps their old parents and the error is thrown. A new parent who joins another is
+     * partnered with them as partnerParents() describes, the same as when a parent is added with addRelative().
+     * @param {object} graph The family graph.
+     * @param {number|string} childId The id of the member whose parents are changing.
+     * @param {Array<number|string>} parentIds The ids of the new parents (at most two).
+     */
+    function setParents(graph, childId, parentIds) {
+        const child = requireMember(graph, childId);
+        const previousLinks = graph.parentLinks;
+        const previousIds = getParents(graph, child.id).map(p => p.id);
+        graph.parentLinks = previousLinks.filter(link => link.childId !== child.id);
+        try {
+            parentIds.forEach(parentId => addParentLink(graph, parentId, child.id));
+        } catch (error) {
+            graph.parentLinks = previousLinks;
+            throw error;
+        }
+        const [firstId, secondId] = parentIds.map(Number);
+        if (secondId !== undefined && !(previousIds.includes(firstId) && previousIds.includes(secondId))) {
+            partnerParents(graph, firstId, secondId);
+        }
+    }
+
+    // --- Partnerships ---
+
+    /**
+     * @description Checks whether two members may be made partners.
+     * @param {object} graph The family graph.
+     * @param {number|string} firstId The id of one partner.
+     * @param {number|string} secondId The id of the other partner.
+     * @returns {string|null} Why the partnership is not allowed, or null if it is.
+     */
+    function checkPartnership(graph, firstId, secondId) {
+        const first = getMember(graph, firstId);
+        const second = getMember(graph, secondId);
+        if (!first || !second) {
+            return "Both partners must be members of the tree.";
+        }
+        if (first.id === second.id) {
+            return `${first.name} can't be their own spouse.`;
+        }
+        // The same couple may marry again after a divorce, but not while they are still together.
+        const current = getPartnerships(graph, first.id)
+            .find(p => p.partnerIds.includes(second.id) && isPartnershipActive(p));
+        if (current) {
+            return `${first.name} and ${second.name} are already spouses.`;
+        }
+        return null;
+    }
+
+    function checkPartnershipType(type) {
+        if (!(type in PARTNERSHIP_TYPES)) {
+            throw new Error(`"${type}" is not a partnership type. Use one of: ${Object.keys(PARTNERSHIP_TYPES).join(', ')}.`);
+        }
+    }
+
+    /**
+     * @description Records a partnership (marriage or similar union) between two members.
+     * @param {object} graph The family graph.
+     * @param {number|string} firstId The id of one partner.
+     * @param {number|string} secondId The id of the other partner.
+     * @param {object} [details] The type (married, partner, divorced or widowed, default married),
+     * startDate, endDate and place of the partnership.
+     * @returns {object} The new partnership.
+     */
+    function addPartnership(graph, firstId, secondId, details = {}) {
+        const error = checkPartnership(graph, firstId, secondId);
+        if (error) {
+            throw new Error(error);
+        }
+        const partnership = {
+            type: 'married',
+            startDate: '',
+            endDate: '',
+            place: '',
+            ...details,
+            id: graph.nextPartnershipId,
+            partnerIds: [Number(firstId), Number(secondId)]
+        };
+        checkPartnershipType(partnership.type);
+        graph.nextPartnershipId++;
+        graph.partnerships.push(partnership);
+        return partnership;
+    }
+
+    /**
+     * @description Changes the type, dates or place of a partnership, e.g. to record a divorce.
+     * @param {object} graph The family graph.
+     * @param {number|string} partnershipId The id of the partnership.
+     * @param {object} details The fields to change ({ type, startDate, endDate, place }).
+     * @returns {object} The updated partnership.
+     */
+    function updatePartnership(graph, partnershipId, details) {
+        const partnership = getPartnership(graph, partnershipId);
+        if (!partnership) {
+            throw new Error(`There is no partnership with id ${partnershipId}.`);
+        }
+        const { id, partnerIds, ...changes } = details;
+        if (changes.type !== undefined) {
+            checkPartnershipType(changes.type);
+        }
+        Object.assign(partnership, changes);
+        return partnership;
+    }
+
+    function removePartnership(graph, partnershipId) {
+        graph.partnerships = graph.partnerships.filter(p => p.id !== Number(partnershipId));
+    }
+
+    function getPartnership(graph, partnershipId) {
+        return graph.partnerships.find(p => p.id === Number(partnershipId)) || null;
+    }
+
+    /**
+     * @description Tells whether a couple is still together: married or partners, with no end date.
+     */
+    function isPartnershipActive(partnership) {
+        return (partnership.type === 'married' || partnership.type === 'partner') && !partnership.endDate;
+    }
+
+    /**
+     * @description Adds a child to a partnership, making both partners the child's parents.
+     * @param {object} graph The family graph.
+     * @param {number|string} partnershipId The id of the partnership the child was born into.
+     * @param {number|string} childId The id of the child.
+     */
+    function addChildToPartnership(graph, partnershipId, childId) {
+        const partnership = getPartnership(graph, partnershipId);
+        if (!partnership) {
+            throw new Error(`There is no partnership with id ${partnershipId}.`);
+        }
+        const parentIds = getParents(graph, childId).map(p => p.id);
+        const missing = partnership.partnerIds.filter(id => !parentIds.includes(id));
+        // Check both links first, so the child never ends up with only half of the couple.
+        missing.forEach(parentId => {
+            const error = checkParentLink(graph, parentId, childId);
+            if (error) {
+                throw new Error(error);
+            }
+        });
+        if (parentIds.length + missing.length > MAX_PARENTS) {
+            const child = getMember(graph, childId);
+            throw new Error(`${child.name} already has a parent outside this partnership.`);
+        }
+        missing.forEach(parentId => addParentLink(graph, parentId, childId));
+    }
+
+    /**
+     * @description Finds the partnership a child was born into: the one between their two parents.
+     * @returns {object|null} The partnership, or null if the child doesn't have two partnered parents.
+     */
+    function getChildPartnership(graph, childId) {
+        const parentIds = getParents(graph, childId).map(p => p.id);
+        if (parentIds.length !== MAX_PARENTS) {
+            return null;
+        }
+        return graph.partnerships.find(p => parentIds.every(id => p.partnerIds.includes(id))) || null;
+    }
+
+    function getPartnershipChildren(graph, partnershipId) {
+        const partnership = getPartnership(graph, partnershipId);
+        if (!partnership) {
+            return [];
+        }
+        return getChildren(graph, partnership.partnerIds[0])
+            .filter(child => getParents(graph, child.id).some(p => p.id === partnership.partnerIds[1]));
+    }
+
+    // --- Adding relatives ---
+
+    /**
+     * @description Adds a new member as a relative of an existing one, following the family rules:
+     * a child also belongs to the member's partner in the partnership they were born into, a sibling
+     * shares the member's parents (so the member must have one), and a member can only have one current
+     * partnership, so a spouse added while they are still with someone must be an earlier, ended one.
+     * A new parent is added as addParent() describes. The first member of an empty tree has nobody to be
+     * related to, so they are just added. Nothing is added if a rule would be broken.
+     * @param {object} graph The family graph.
+     * @param {object} fields The new member's details, as for addMember().
+     * @param {object} relation How the new member is related:
+     * - relatedId: the id of the existing member.
+     * - relationship: one of RELATIONSHIPS.
+     * - partnership: for a spouse, the type, startDate, endDate and place of the partnership, as for addPartnership().
+     * - partnershipId: for a child, the partnership of the member's they were born into; leave out if the
+     *   other parent isn't known.
+     * @returns {object} The new member.
+     */
+    function addRelative(graph, fields, { relatedId, relationship, partnership = {}, partnershipId = null } = {}) {
+        if (graph.members.length === 0) {
+            return addMember(graph, fields);
+        }
+        const relative = getMember(graph, relatedId);
+        if (!relative) {
+            throw new Error("Please select a valid member to relate to.");
+        }
+        if (!(relationship in RELATIONSHIPS)) {
+            throw new Error("Invalid relationship type.");
+        }
+        if (relationship === 'parent') {
+            return addParent(graph, fields, relative);
+        }
+
+        // Work out the new member's links before adding them, so nothing is added if a link is invalid.
+        let parentIds = [];
+        if (relationship === 'child') {
+            const union = partnershipId ? getPartnership(graph, partnershipId) : null;
+            if (partnershipId && (!union || !union.partnerIds.includes(relative.id))) {
+                throw new Error(`That partnership isn't one of ${relative.name}'s.`);
+            }
+            parentIds = union ? union.partnerIds : [relative.id];
+        } else if (relationship === 'sibling') {
+            parentIds = getParents(graph, relative.id).map(p => p.id);
+            if (parentIds.length === 0) {
+                throw new Error("A sibling must be related to a member who has a parent.");
+            }
+        } else {
+            checkNewPartnership(graph, relative, partnership);
+        }
+
+        const member = addMember(graph, fields);
+        parentIds.forEach(parentId => addParentLink(graph, parentId, member.id));
+        if (relationship === 'spouse') {
+            addPartnership(graph, relative.id, member.id, partnership);
+        }
+        return member;
+    }
+
+    /**
+     * @description Checks that a member may start another partnership. A member can only have one current
+     * partnership, so while they are still with someone a new one must have ended.
+     * @param {object} graph The family graph.
+     * @param {object} member The member.
+     * @param {object} partnership The new partnership's details, as for addPartnership().
+     */
+    function checkNewPartnership(graph, member, partnership) {
+        const details = { type: 'married', ...partnership };
+        checkPartnershipType(details.type);
+        const current = getPartnerships(graph, member.id).find(isPartnershipActive);
+        if (current && isPartnershipActive(details)) {
+            const currentSpouse = getMember(graph, current.partnerIds.find(id => id !== member.id));
+            throw new Error(`${member.name} is still with ${currentSpouse.name}. Add this spouse as divorced or widowed, or give an end date.`);
+        }
+    }
+
+    /**
+     * @description Adds a parent for an existing member.
+     * A parent of a member with no parents sits above them, so the tree can grow upwards past the root.
+     * A member who already has one parent gets the new person as their second parent,
+     * who is linked as a spouse of the first one by partnerParents().
+     * @param {object} graph The family graph.
+     * @param {object} fields The new parent's details, as for addMember().
+     * @param {object} child The member who is getting a parent.
+     * @returns {object} The new parent.
+     */
+    function addParent(graph, fields, child) {
+        const parents = getParents(graph, child.id);
+        if (parents.length >= MAX_PARENTS) {
+            throw new Error(`${child.name} already has two parents: ${parents.map(p => p.name).join(' and ')}.`);
+        }
+
+        const [firstParent] = parents;
+        const parent = addMember(graph, fields);
+        addParentLink(graph, parent.id, child.id);
+        if (firstParent) {
+            partnerParents(graph, firstParent.id, parent.id);
+        }
+        return parent;
+    }
+
+    /**
+     * @description Makes a child's two parents spouses, unless they have been partners already. If either
+     * of them is still with someone else, the new partnership is recorded as an earlier one that has ended.
+     * @param {object} graph The family graph.
+     * @param {number} firstId The id of one parent.
+     * @param {number} secondId The id of the other parent.
+     * @returns {object|null} The new partnership, or null if they already had one.
+     */
+    function partnerParents(graph, firstId, secondId) {
+        if (getPartnerships(graph, firstId).some(p => p.partnerIds.includes(secondId))) {
+            return null;
+        }
+        const stillTogether = [firstId, secondId].some(id => getPartnerships(graph, id).some(isPartnershipActive));
+        return addPartnership(graph, firstId, secondId, { type: stillTogether ? 'divorced' : 'married' });
+    }
+
+    /**
+     * @description Adds a couple and their children in one go. Either partner can be someone already in
+     * the tree, given as { id }; the others are new members. The couple are joined by a new partnership
+     * (or the one they already have, if they are still together), and every child is born into it.
+     * A tree that already has people in it must gain the group through a partner who is already there,
+     * so it doesn't start a separate family. The same rules apply as for addRelative(), and if any of
+     * them would be broken nothing is added at all.
+     * @param {object} graph The family graph.
+     * @param {object} group The family:
+     * - partners: one or two partners, each { id } or the details of a new member. Null entries are skipped.
+     * - partnership: the type, startDate, endDate and place of the couple's partnership, as for addPartnership().
+     * - children: the details of each new child, as for addMember().
+     * @returns {{partners: Array<object>, partnership: object|null, children: Array<object>}} The partners,
+     * their partnership (null for a single parent) and the new children.
+     */
+    function addFamilyGroup(graph, { partners = [], partnership = {}, children = [] } = {}) {
+        // An existing partner goes first, so the rest of the group is added as their relatives.
+        const [first, second = null] = partners.filter(Boolean).sort((a, b) => Number(b.id !== undefined) - Number(a.id !== undefined));
+        if (!first) {
+            throw new Error("A family group needs at least one parent.");
+        }
+        if (graph.members.length > 0 && first.id === undefined) {
+            throw new Error("Choose someone already in the tree for one of the parents, so the family is joined to it.");
+        }
+
+        // Every rule is checked before anything is added, so a group that breaks one leaves the graph as it was.
+        if (children.some(child => !child || !child.name)) {
+            throw new Error("Every child in a family group needs a name.");
+        }
+        const firstPartner = first.id !== undefined ? requireMember(graph, first.id) : null;
+        const existingSecond = second && second.id !== undefined ? requireMember(graph, second.id) : null;
+        let union = null;
+        if (existingSecond) {
+            union = getPartnerships(graph, firstPartner.id)
+                .find(p => p.partnerIds.includes(existingSecond.id) && isPartnershipActive(p)) || null;
+            if (!union) {
+                const error = checkPartnership(graph, firstPartner.id, existingSecond.id);
+                if (error) {
+                    throw new Error(error);
+                }
+                checkNewPartnership(graph, firstPartner, partnership);
+                checkNewPartnership(graph, existingSecond, partnership);
+            }
+        } else if (second) {
+            checkPartnershipType(partnership.type || 'married');
+            if (firstPartner) {
+                checkNewPartnership(graph, firstPartner, partnership);
+            }
+        }
+
+        if (existingSecond && !union) {
+            union = addPartnership(graph, firstPartner.id, existingSecond.id, partnership);
+        }
+        const parent = firstPartner || addMember(graph, first);
+        let secondPartner = existingSecond;
+        if (second && !existingSecond) {
+            secondPartner = addRelative(graph, second, { relatedId: parent.id, relationship: 'spouse', partnership });
+            union = getPartnerships(graph, secondPartner.id)[0];
+        }
+        const newChildren = children.map(child => addRelative(graph, child, {
+            relatedId: parent.id,
+            relationship: 'child',
+            partnershipId: union ? union.id : null
+        }));
+        return { partners: [parent, secondPartner].filter(Boolean), partnership: union, children: newChildren };
+    }
+
+    // --- Queries ---
+
+    function getParents(graph, memberId) {
+        const id = Number(memberId);
+        return graph.parentLinks
+            .filter(link => link.childId === id)
+            .map(link => getMember(graph, link.parentId))
+            .filter(Boolean);
+    }
+
+    function getChildren(graph, memberId) {
+        const id = Number(memberId);
+        return graph.parentLinks
+            .filter(link => link.parentId === id)
+            .map(link => getMember(graph, link.childId))
+            .filter(Boolean);
+    }
+
+    /**
+     * @description Lists a member's partnerships in the order they began (undated ones last).
+     */
+    function getPartnerships(graph, memberId) {
+        return graph.partnerships
+            .filter(p => p.partnerIds.includes(Number(memberId)))
+            .sort((a, b) => (a.startDate || '\uffff').localeCompare(b.startDate || '\uffff') || a.id - b.id);
+    }
+
+    /**
+     * @description Lists everyone a member has been partnered with, past and present.
+     */
+    function getSpouses(graph, memberId) {
+        const id = Number(memberId);
+        return getPartnerships(graph, id)
+            .map(p => getMember(graph, p.partnerIds.find(partnerId => partnerId !== id)))
+            .filter(Boolean);
+    }
+
+    /**
+     * @description Lists everyone who shares at least one parent with a member.
+     * @param {object} graph The family graph.
+     * @param {number|string} memberId The member's id.
+     * @returns {Array<{member: object, sharedParents: Array<object>}>} Each sibling with the parents they share.
+     */
+    function getSiblingsWithSharedParents(graph, memberId) {
+        const id = Number(memberId);
+        const parentIds = getParents(graph, id).map(p => p.id);
+        const siblings = new Map();
+        parentIds.forEach(parentId => {
+            getChildren(graph, parentId).forEach(child => {
+                if (child.id === id) return;
+                if (!siblings.has(child.id)) {
+                    siblings.set(child.id, { member: child, sharedParents: [] });
+                }
+                siblings.get(child.id).sharedParents.push(getMember(graph, parentId));
+            });
+        });
+        return Array.from(siblings.values());
+    }
+
+    /**
+     * @description Lists a member's full siblings: people with exactly the same parents.
+     */
+    function getSiblings(graph, memberId) {
+        const parentCount = getParents(graph, memberId).length;
+        return getSiblingsWithSharedParents(graph, memberId)
+            .filter(s => s.sharedParents.length === parentCount && getParents(graph, s.member.id).length === parentCount)
+            .map(s => s.member);
+    }
+
+    /**
+     * @description Lists a member's half-siblings: people who share some, but not all, of their parents.
+     */
+    function getHalfSiblings(graph, memberId) {
+        const fullSiblingIds = getSiblings(graph, memberId).map(m => m.id);
+        return getSiblingsWithSharedParents(graph, memberId)
+            .map(s => s.member)
+            .filter(m => !fullSiblingIds.includes(m.id));
+    }
+
+    /**
+     * @description Walks parent (or child) links outwards from a member, visiting each person once.
+     */
+    function collectRelatives(graph, memberId, next) {
+        const found = new Map();
+        const queue = [Number(memberId)];
+        while (queue.length > 0) {
+            next(graph, queue.shift()).forEach(relative => {
+                if (!found.has(relative.id)) {
+                    found.set(relative.id, relative);
+                    queue.push(relative.id);
+                }
+            });
+        }
+        found.delete(Number(memberId));
+        return Array.from(found.values());
+    }
+
+    /**
+     * @description Lists a member's step-parents: partners of their parents who are not their parents.
+     */
+    function getStepParents(graph, memberId) {
+        const parents = getParents(graph, memberId);
+        const stepParents = new Map();
+        parents.forEach(parent => {
+            getSpouses(graph, parent.id).forEach(spouse => {
+                if (!parents.some(p => p.id === spouse.id)) {
+                    stepParents.set(spouse.id, spouse);
+                }
+            });
+        });
+        return Array.from(stepParents.values());
+    }
+
+    /**
+     * @description Lists a member's step-children: children of their partners who are not their children.
+     */
+    function getStepChildren(graph, memberId) {
+        const ownChildIds = getChildren(graph, memberId).map(c => c.id);
+        const stepChildren = new Map();
+        getSpouses(graph, memberId).forEach(spouse => {
+            getChildren(graph, spouse.id).forEach(child => {
+                if (!ownChildIds.includes(child.id) && child.id !== Number(memberId)) {
+                    stepChildren.set(child.id, child);
+                }
+            });
+        });
+        return Array.from(stepChildren.values());
+    }
+
+    function getAncestors(graph, memberId) {
+        return collectRelatives(graph, memberId, getParents);
+    }
+
+    function getDescendants(graph, memberId) {
+        return collectRelatives(graph, memberId, getChildren);
+    }
+
+    // --- Validation ---
+
+    /**
+     * @description Finds members who can be reached from themselves by following child links.
+     * Graphs built through addParentLink() never contain these, but saved or imported data might.
+     * @param {object} graph The family graph.
+     * @returns {Array<object>} The members who are their own ancestor.
+     */
+    function findCycleMembers(graph) {
+        return graph.members.filter(member => {
+            const seen = new Set();
+            const stack = getChildren(graph, member.id);
+            while (stack.length > 0) {
+                const next = stack.pop();
+                if (next.id === member.id) return true;
+                if (seen.has(next.id)) continue;
+                seen.add(next.id);
+                stack.push(...getChildren(graph, next.id));
+            }
+            return false;
+        });
+    }
+
+    /**
+     * @description Checks a whole graph, e.g. one loaded from storage or an import.
+     * @param {object} graph The family graph.
+     * @returns {Array<string>} A description of every problem found (empty if the graph is valid).
+     */
+    function validateGraph(graph) {
+        const problems = [];
+        const ids = new Set();
+        graph.members.forEach(member => {
+            if (ids.has(member.id)) {
+                problems.push(`More than one member has the id ${member.id}.`);
+            }
+            ids.add(member.id);
+        });
+
+        graph.parentLinks.forEach(link => {
+            if (!ids.has(link.parentId) || !ids.has(link.childId)) {
+                problems.push(`A parent link refers to a member who doesn't exist (${link.parentId} → ${link.childId}).`);
+            } else if (link.parentId === link.childId) {
+                problems.push(`${getMember(graph, link.childId).name} is linked as their own parent.`);
+            }
+        });
+        graph.members.forEach(member => {
+            if (getParents(graph, member.id).length > MAX_PARENTS) {
+                problems.push(`${member.name} has more than two parents.`);
+            }
+        });
+        findCycleMembers(graph).forEach(member => {
+            problems.push(`${member.name} is their own ancestor.`);
+        });
+        graph.partnerships.forEach(p => {
+            if (p.partnerIds.some(id => !ids.has(id))) {
+                problems.push(`A partnership refers to a member who doesn't exist (${p.partnerIds.join(' & ')}).`);
+            } else if (p.partnerIds[0] === p.partnerIds[1]) {
+                problems.push(`${getMember(graph, p.partnerIds[0]).name} is partnered with themselves.`);
+            }
+            if (!(p.type in PARTNERSHIP_TYPES)) {
+                problems.push(`A partnership has an unknown type "${p.type}".`);
+            }
+        });
+        return problems;
+    }
+
+    // --- Conversions ---
+
+    /**
+     * @description Builds a graph from a list of members in the { id, name, parents: [ids], spouse: id } shape
+     * (as produced by the GEDCOM importer). A member's partnerships can be listed in full as
+     * partners: [{ id, partnershipId, type, startDate, endDate, place }] instead of a single spouse. Both
+     * partners list each partnership; partnershipId tells a couple's partnerships apart, e.g. when they
+     * married twice, and without it partnerships with the same start date are taken to be the same one.
+     * Links that break the rules are skipped and reported.
+     * @param {Array<object>} list The members.
+     * @returns {{graph: object, problems: Array<string>}} The new graph and any skipped links.
+     */
+    function fromMemberList(list) {
+        const graph = createGraph();
+        const problems = [];
+        list.forEach(({ parents, spouse, partners, ...fields }) => {
+            graph.members.push(fields);
+            graph.nextId = Math.max(graph.nextId, fields.id + 1);
+        });
+        const attempt = (change) => {
+            try {
+                change();
+            } catch (error) {
+                problems.push(error.message);
+            }
+        };
+        const seenPartnershipIds = new Set();
+        list.forEach(member => {
+            (member.parents || []).forEach(parentId => attempt(() => addParentLink(graph, parentId, member.id)));
+            const partners = member.partners || (member.spouse ? [{ id: member.spouse }] : []);
+            partners.forEach(({ id: partnerId, partnershipId, ...details }) => {
+                // Both partners list the partnership, so only add it the first time it is seen.
+                const known = partnershipId !== undefined
+                    ? seenPartnershipIds.has(partnershipId)
+                    : getPartnerships(graph, member.id).some(p =>
+                        p.partnerIds.includes(partnerId) && (p.startDate || '') === (details.startDate || ''));
+                if (!known) {
+                    if (partnershipId !== undefined) seenPartnershipIds.add(partnershipId);
+                    attempt(() => addPartnership(graph, member.id, partnerId, details));
+                }
+            });
+        });
+        return { graph, problems };
+    }
+
+    /**
+     * @description Lists the graph's members in the { id, name, parents: [ids], spouse: id, partners } shape
+     * used by the GEDCOM exporter. spouse is the member's first partner; partners lists every partnership,
+     * with the partner's id as id and the partnership's own id as partnershipId.
+     * @param {object} graph The family graph.
+     * @returns {Array<object>} The members.
+     */
+    function toMemberList(graph) {
+        return graph.members.map(member => {
+            const partners = getPartnerships(graph, member.id).map(({ id, partnerIds, ...details }) => ({
+                id: partnerIds.find(partnerId => partnerId !== member.id),
+                partnershipId: id,
+                ...details
+            }));
+            return {
+                ...member,
+                parents: getParents(graph, member.id).map(p => p.id),
+                spouse: partners.length > 0 ? partners[0].id : null,
+                partners
+            };
+        });
+    }
+
+    /**
+     * @description Copies another graph's members and links into this one, e.g. when a file is imported into
+     * an open tree. Members listed in matches are the same person as an existing member, so their links are
+     * joined to that member instead of adding them again. Links that are already there are skipped, and
+     * links that break the rules are skipped and reported.
+     * @param {object} graph The family graph to add to.
+     * @param {object} other The graph to copy from. It is not changed.
+     * @param {Map<number, number>} [matches] Ids in the other graph mapped to the ids of the same people in this one.
+     * @returns {{added: Array<object>, problems: Array<string>}} The new members and any skipped links.
+     */
+    function mergeGraph(graph, other, matches = new Map()) {
+        const ids = new Map(matches);
+        const added = [];
+        other.members.forEach(({ id, ...fields }) => {
+            if (!ids.has(id)) {
+                const member = addMember(graph, JSON.parse(JSON.stringify(fields)));
+                ids.set(id, member.id);
+                added.push(member);
+            }
+        });
+
+        const problems = [];
+        const attempt = (change) => {
+            try {
+                change();
+            } catch (error) {
+                problems.push(error.message);
+            }
+        };
+        other.parentLinks.forEach(link => {
+            const parentId = ids.get(link.parentId);
+            const childId = ids.get(link.childId);
+            if (!getParents(graph, childId).some(p => p.id === parentId)) {
+                attempt(() => addParentLink(graph, parentId, childId));
+            }
+        });
+        other.partnerships.forEach(({ id, partnerIds, ...details }) => {
+            const [firstId, secondId] = partnerIds.map(partnerId => ids.get(partnerId));
+            const known = getPartnerships(graph, firstId).some(p =>
+                p.partnerIds.includes(secondId) && (p.startDate || '') === (details.startDate || ''));
+            if (!known) {
+                attempt(() => addPartnership(graph, firstId, secondId, details));
+            }
+        });
+        return { added, problems };
+    }
+
+    /**
+     * @description Arranges the graph into nested nodes for drawing:
+     * { member, unions: [{ partnership, spouse }], spouses, children, parentIds }.
+     * Each member appears once, with their partners drawn beside them as unions. Children are grouped
+     * by the union they were born into, and parentIds lists which of the drawn parents each child
+     * belongs to, so half-siblings can be linked to the right couple.
+     * Drawing starts from the parentless members with the most descendants, or from one chosen member.
+     * @param {object} graph The family graph.
+     * @param {number|string} [rootId] Only arrange this member and their descendants.
+     * @returns {Array<object>} The top-level nodes (more than one if the family has separate branches).
+     */
+    function buildHierarchy(graph, rootId) {
+        const placed = new Set();
+
+        const buildNode = (member, parentIds = []) => {
+            placed.add(member.id);
+            const unions = getPartnerships(graph, member.id)
+                .map(partnership => ({
+                    partnership,
+                    spouse: getMember(graph, partnership.partnerIds.find(id => id !== member.id))
+                }))
+                .filter(union => union.spouse && !placed.has(union.spouse.id));
+            unions.forEach(union => placed.add(union.spouse.id));
+
+            // Children of each union first, in union order, then children of just one of the drawn parents.
+            const drawnParentIds = [member.id, ...unions.map(union => union.spouse.id)];
+            const children = [];
+            unions.forEach(union => {
+                getPartnershipChildren(graph, union.partnership.id).sort((a, b) => a.id - b.id).forEach(child => {
+                    if (!children.includes(child)) children.push(child);
+                });
+            });
+            drawnParentIds.forEach(parentId => {
+                getChildren(graph, parentId).sort((a, b) => a.id - b.id).forEach(child => {
+                    if (!children.includes(child)) children.push(child);
+                });
+            });
+
+            // A child may already be placed elsewhere, e.g. as the spouse of a cousin.
+            const childNodes = [];
+            children.forEach(child => {
+                if (!placed.has(child.id)) {
+                    const childParentIds = getParents(graph, child.id).map(p => p.id).filter(id => drawnParentIds.includes(id));
+                    childNodes.push(buildNode(child, childParentIds));
+                }
+            });
+            return {
+                member,
+                unions,
+                spouses: unions.map(union => union.spouse),
+                children: childNodes,
+                parentIds
+            };
+        };
+
+        if (rootId !== undefined) {
+            return [buildNode(requireMember(graph, rootId))];
+        }
+
+        const descendantCounts = new Map(graph.members.map(m => [m.id, getDescendants(graph, m.id).length]));
+        const byImportance = (a, b) => descendantCounts.get(b.id) - descendantCounts.get(a.id) || a.id - b.id;
+        const roots = [];
+        const parentless = graph.members.filter(m => getParents(graph, m.id).length === 0).sort(byImportance);
+
+        // Parentless members first, then anyone left over (e.g. children of a spouse's other partner).
+        [...parentless, ...graph.members.slice().sort((a, b) => a.id - b.id)].forEach(member => {
+            if (!placed.has(member.id)) {
+                roots.push(buildNode(member));
+            }
+        });
+        return roots;
+    }
+
+    return {
+        MAX_PARENTS,
+        PARTNERSHIP_TYPES,
+        RELATIONSHIPS,
+        DELETE_MODES,
+        createGraph,
+        getMember,
+        addMember,
+        updateMember,
+        removeMember,
+        deleteMember,
+        mergeMembers,
+        checkParentLink,
+        addParentLink,
+        removeParentLink,
+        setParents,
+        checkPartnership,
+        addPartnership,
+        updatePartnership,
+        removePartnership,
+        getPartnership,
+        isPartnershipActive,
+        addChildToPartnership,
+        getChildPartnership,
+        getPartnershipChildren,
+        addRelative,
+        addFamilyGroup,
+        getParents,
+        getChildren,
+        getPartnerships,
+        getSpouses,
+        getSiblings,
+        getHalfSiblings,
+        getStepParents,
+        getStepChildren,
+        getAncestors,
+        getDescendants,
+        findCycleMembers,
+        validateGraph,
+        fromMemberList,
+        toMemberList,
+        mergeGraph,
+        buildHierarchy
+    };
+})();
@@ -0,0 +1,462 @@
+// GEDCOM 5.5.1 import and export for the Family Tree Creator.
+// Parses GEDCOM text into individuals and families, maps them to member objects
+// ({ id, name, givenName, surname, birthName, nicknames, gender, parents, spouse, partners, birth, death, notes })
+// and writes members back out as GEDCOM.
+// Tags this file does not understand are counted in a summary instead of being silently dropped.
+
+import { FamilyDates } from './dates.js';
+
+export const Gedcom = (() => {
+    const GEDCOM_VERSION = '5.5.1';
+
+    // The tags that are read under each tag path. Anything else found below a tag that is read, at any
+    // depth, is counted as unsupported; a path that isn't listed has nothing read below it.
+    // GIVN and SURN repeat the parts of the NAME value, which is what is read.
+    const SUPPORTED_TAGS = {
+        INDI: ['NAME', 'SEX', 'BIRT', 'DEAT', 'FAMC', 'FAMS', 'NOTE'],
+        'INDI.NAME': ['TYPE', 'NICK', 'GIVN', 'SURN'],
+        'INDI.BIRT': ['DATE', 'PLAC'],
+        'INDI.DEAT': ['DATE', 'PLAC'],
+        FAM: ['HUSB', 'WIFE', 'CHIL', 'MARR', 'DIV'],
+        'FAM.MARR': ['DATE', 'PLAC'],
+        'FAM.DIV': ['DATE', 'PLAC'],
+        'FAM.EVEN': ['TYPE', 'DATE', 'PLAC']
+    };
+    // GEDCOM has no tag for a marriage ended by a death, so it is written as a family EVEN of this TYPE,
+    // dated when the partnership ended. EVENs of any other type are not read.
+    const WIDOWED_EVENT_TYPE = 'Widowed';
+    // Top-level records that carry no family data and can be skipped without a warning.
+    const IGNORED_RECORDS = ['HEAD', 'TRLR', 'SUBM'];
+
+    const LINE_PATTERN = /^\s*(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/;
+
+    // The longest line GEDCOM 5.5.1 allows. Longer values are split onto CONC lines.
+    const MAX_LINE_LENGTH = 255;
+
+    /**
+     * @description Splits GEDCOM text into a tree of lines, joining CONT/CONC continuation lines.
+     * @param {string} text The contents of a .ged file.
+     * @returns {Array<object>} The level 0 records, each with nested children.
+     */
+    function parseLines(text) {
+        const records = [];
+        const stack = [];
+        const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            const match = line.match(LINE_PATTERN);
+            if (!match) {
+                throw new Error(`Line ${index + 1} is not valid GEDCOM: "${line.trim()}"`);
+            }
+            const node = {
+                level: parseInt(match[1], 10),
+                xref: match[2] || null,
+                tag: match[3].toUpperCase(),
+                value: match[4] || '',
+                children: []
+            };
+
+            while (stack.length > node.level) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1];
+
+            if (node.tag === 'CONT' || node.tag === 'CONC') {
+                if (!parent) {
+                    throw new Error(`Line ${index + 1} continues a value that does not exist.`);
+                }
+                parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value;
+                return;
+            }
+            if (node.level > 0 && !parent) {
+                throw new Error(`Line ${index + 1} is nested under a missing record.`);
+            }
+
+            (parent ? parent.children : records).push(node);
+            stack.push(node);
+        });
+        return records;
+    }
+
+    function findChild(node, tag) {
+        return node.children.find(child => child.tag === tag);
+    }
+
+    function findChildren(node, tag) {
+        return node.children.filter(child => child.tag === tag);
+    }
+
+    /**
+     * @description Records every tag below a node that is not read, going down through the tags that are.
+     * @param {object} node The node whose children are checked.
+     * @param {string} path The node's dotted tag path, e.g. "INDI" or "INDI.NAME", used in the summary.
+     * @param {object} unsupported Counts of unsupported tag paths, updated in place.
+     */
+    function countUnsupported(node, path, unsupported) {
+        const supported = SUPPORTED_TAGS[path] || [];
+        node.children.forEach(child => {
+            const key = `${path}.${child.tag}`;
+            if (supported.includes(child.tag) || (path === 'FAM' && isWidowedEvent(child))) {
+                countUnsupported(child, key, unsupported);
+            } else {
+                unsupported[key] = (unsupported[key] || 0) + 1;
+            }
+        });
+    }
+
+    function isWidowedEvent(node) {
+        const type = node.tag === 'EVEN' && findChild(node, 'TYPE');
+        return Boolean(type) && type.value.trim().toLowerCase() === WIDOWED_EVENT_TYPE.toLowerCase();
+    }
+
+    function parseEvent(node) {
+        if (!node) return null;
+        const date = findChild(node, 'DATE');
+        const place = findChild(node, 'PLAC');
+        return {
+            date: date ? date.value.trim() : '',
+            place: place ? place.value.trim() : ''
+        };
+    }
+
+    /**
+     * @description Turns a GEDCOM name ("Frank /Garigliano/") into a display name ("Frank Garigliano").
+     * @param {string} value The NAME value.
+     * @returns {string} The display name.
+     */
+    function formatName(value) {
+        return value.replace(/\//g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * @description Splits a GEDCOM name into its given names and the surname between the slashes.
+     * @param {string} value The NAME value, e.g. "Frank /Garigliano/".
+     * @returns {{givenName: string, surname: string}} The parts.
+     */
+    function splitName(value) {
+        const match = value.match(/^([^/]*)\/([^/]*)\/?(.*)$/);
+        if (!match) {
+            return { givenName: formatName(value), surname: '' };
+        }
+        return { givenName: formatName(`${match[1]} ${match[3]}`), surname: match[2].trim() };
+    }
+
+    /**
+     * @description Reads a person's NAME records. The first name that isn't a birth or maiden name is their name.
+     * @param {object} record The INDI record.
+     * @returns {{name: string, givenName: string, surname: string, birthName: string, nicknames: Array<string>}}
+     */
+    function parseNames(record) {
+        const names = findChildren(record, 'NAME');
+        const isBirthName = (node) => {
+            const type = findChild(node, 'TYPE');
+            return type && ['birth', 'maiden'].includes(type.value.trim().toLowerCase());
+        };
+        const main = names.find(node => !isBirthName(node)) || names[0];
+        const birth = names.find(node => node !== main && isBirthName(node));
+        return {
+            name: main ? formatName(main.value) : '',
+            ...(main ? splitName(main.value) : { givenName: '', surname: '' }),
+            birthName: birth ? formatName(birth.value) : '',
+            nicknames: names.flatMap(node => findChildren(node, 'NICK')).map(node => node.value.trim()).filter(Boolean)
+        };
+    }
+
+    /**
+     * @description Parses GEDCOM text into individuals and families.
+     * @param {string} text The contents of a .ged file.
+     * @returns {{individuals: Array<object>, families: Array<object>, unsupported: object}}
+     * The individuals and families keyed by their GEDCOM cross-reference ids,
+     * and a count of every unsupported tag path (e.g. { "INDI.OCCU": 3 }).
+     */
+    function parse(text) {
+        const records = parseLines(text);
+        const individuals = [];
+        const families = [];
+        const unsupported = {};
+
+        records.forEach(record => {
+            if (record.tag === 'INDI') {
+                countUnsupported(record, 'INDI', unsupported);
+                const sex = findChild(record, 'SEX');
+                individuals.push({
+                    xref: record.xref,
+                    ...parseNames(record),
+                    notes: findChildren(record, 'NOTE').map(node => node.value.trim()).filter(Boolean).join('\n\n'),
+                    sex: sex ? sex.value.trim().toUpperCase() : 'U',
+                    birth: parseEvent(findChild(record, 'BIRT')),
+                    death: parseEvent(findChild(record, 'DEAT')),
+                    childOf: findChildren(record, 'FAMC').map(node => node.value.trim()),
+                    spouseIn: findChildren(record, 'FAMS').map(node => node.value.trim())
+                });
+            } else if (record.tag === 'FAM') {
+                countUnsupported(record, 'FAM', unsupported);
+                const husband = findChild(record, 'HUSB');
+                const wife = findChild(record, 'WIFE');
+                families.push({
+                    xref: record.xref,
+                    husband: husband ? husband.value.trim() : null,
+                    wife: wife ? wife.value.trim() : null,
+                    children: findChildren(record, 'CHIL').map(node => node.value.trim()),
+                    marriage: parseEvent(findChild(record, 'MARR')),
+                    divorce: parseEvent(findChild(record, 'DIV')),
+                    widowed: parseEvent(record.children.find(isWidowedEvent))
+                });
+            } else if (!IGNORED_RECORDS.includes(record.tag)) {
+                unsupported[record.tag] = (unsupported[record.tag] || 0) + 1;
+            }
+        });
+
+        return { individuals, families, unsupported };
+    }
+
+    /**
+     * @description Maps parsed individuals and families to member objects.
+     * Parents come from each person's FAMC family and partners from their FAMS families.
+     * A family with a DIV event is a divorce, one with a "Widowed" EVEN was ended by a death, one with a MARR event
+     * is a marriage, and any other couple are partners.
+     * @param {{individuals: Array<object>, families: Array<object>, unsupported: object}} parsed
+     * The result of parse().
+     * @returns {{members: Array<object>, summary: {imported: number, families: number, warnings: Array<string>, unsupported: object}}}
+     */
+    function toMembers(parsed) {
+        const warnings = [];
+        const idByXref = new Map();
+        const familyByXref = new Map(parsed.families.map(family => [family.xref, family]));
+        const genders = { M: 'male', F: 'female' };
+
+        parsed.individuals.forEach((person, index) => {
+            idByXref.set(person.xref, index + 1);
+        });
+
+        const partnersOf = (family) => [family.husband, family.wife]
+            .filter(xref => xref && idByXref.has(xref))
+            .map(xref => idByXref.get(xref));
+
+        const members = parsed.individuals.map(person => {
+            const name = person.name || `Unknown (${person.xref})`;
+            if (!person.name) {
+                warnings.push(`${person.xref} has no name and was imported as "${name}".`);
+            }
+
+            // FAMC links are listed on the person and CHIL links on the family; accept either.
+            const childOf = person.childOf.length > 0
+                ? person.childOf
+                : parsed.families.filter(family => family.children.includes(person.xref)).map(family => family.xref);
+            if (childOf.length > 1) {
+                warnings.push(`${name} is a child in ${childOf.length} families; only the first is kept.`);
+            }
+            const parentFamily = familyByXref.get(childOf[0]);
+
+            const spouseIn = person.spouseIn.length > 0
+                ? person.spouseIn
+                : parsed.families.filter(family => family.husband === person.xref || family.wife === person.xref).map(family => family.xref);
+            const partners = spouseIn
+                .map(xref => familyByXref.get(xref))
+                .filter(Boolean)
+                .map(family => ({
+                    id: partnersOf(family).find(id => id !== idByXref.get(person.xref)),
+                    partnershipId: family.xref,
+                    type: family.divorce ? 'divorced' : family.widowed ? 'widowed' : family.marriage ? 'married' : 'partner',
+                    startDate: family.marriage ? family.marriage.date : '',
+                    endDate: family.divorce ? family.divorce.date : family.widowed ? family.widowed.date : '',
+                    place: family.marriage ? family.marriage.place : ''
+                }))
+                .filter(partner => partner.id);
+
+            return {
+                id: idByXref.get(person.xref),
+                name,
+                givenName: person.givenName,
+                surname: person.surname,
+                birthName: person.birthName,
+                nicknames: person.nicknames,
+                gender: genders[person.sex] || '',
+                parents: parentFamily ? partnersOf(parentFamily) : [],
+                spouse: partners.length > 0 ? partners[0].id : null,
+                partners,
+                birth: person.birth,
+                death: person.death,
+                notes: person.notes
+            };
+        });
+
+        return {
+            members,
+            summary: {
+                imported: members.length,
+                families: parsed.families.length,
+                warnings,
+                unsupported: parsed.unsupported
+            }
+        };
+    }
+
+    function eventLines(tag, event) {
+        if (!event || (!event.date && !event.place)) return [];
+        const lines = [`1 ${tag}`];
+        if (event.date) lines.push(`2 DATE ${FamilyDates.toGedcom(event.date)}`);
+        if (event.place) lines.push(`2 PLAC ${event.place}`);
+        return lines;
+    }
+
+    /**
+     * @description Writes a value that may run over several lines: each line of the text after the first
+     * goes on a CONT line, and any part that would make a line too long goes on a CONC line.
+     * @param {number} level The level of the tag, e.g. 1 for a NOTE on a person.
+     * @param {string} tag The tag, e.g. "NOTE".
+     * @param {string} text The value.
+     * @returns {Array<string>} The GEDCOM lines.
+     */
+    function textLines(level, tag, text) {
+        return text.split('\n').flatMap((line, index) => {
+            const lines = [];
+            let prefix = index === 0 ? `${level} ${tag}` : `${level + 1} CONT`;
+            let rest = line;
+            while (prefix.length + 1 + rest.length > MAX_LINE_LENGTH) {
+                // Lines aren't split next to a space, since some programs trim the spaces at either end.
+                const room = MAX_LINE_LENGTH - prefix.length - 1;
+                let end = room;
+                while (end > 1 && (rest[end - 1] === ' ' || rest[end] === ' ')) end--;
+                if (end === 1) end = room;
+                lines.push(`${prefix} ${rest.slice(0, end)}`);
+                rest = rest.slice(end);
+                prefix = `${level + 1} CONC`;
+            }
+            lines.push(`${prefix} ${rest}`);
+            return lines;
+        });
+    }
+
+    /**
+     * @description Writes member objects as a GEDCOM 5.5.1 file.
+     * A family is written for every partnership (so a couple who married twice have two), every other
+     * pair of parents and every single parent. Children go in their parents' first family.
+     * @param {Array<object>} members Member objects ({ id, name, givenName, surname, birthName, nicknames,
+     * gender, parents, spouse, partners, birth, death, notes }).
+     * @returns {string} The GEDCOM text.
+     */
+    function fromMembers(members) {
+        const memberById = new Map(members.map(member => [member.id, member]));
+        const families = new Map();
+
+        // A family is identified by its partnership's id, so both spouses share one record, or by its
+        // sorted partner ids when there is no partnership id (parents who weren't partners, old member lists).
+        const partnersKey = (partnerIds) => partnerIds.filter(id => memberById.has(id)).sort((a, b) => a - b).join('+');
+        const familyFor = (key, partnerIds) => {
+            if (!families.has(key)) {
+                const ids = partnerIds.filter(id => memberById.has(id)).sort((a, b) => a - b);
+                families.set(key, { xref: `@F${families.size + 1}@`, partners: ids, children: [], partnership: null });
+            }
+            return families.get(key);
+        };
+
+        members.forEach(member => {
+            const partners = member.partners || (member.spouse ? [{ id: member.spouse }] : []);
+            partners.filter(partner => memberById.has(partner.id)).forEach(partner => {
+                const partnerIds = [member.id, partner.id];
+                const key = partner.partnershipId !== undefined ? `partnership ${partner.partnershipId}` : partnersKey(partnerIds);
+                const family = familyFor(key, partnerIds);
+                family.partnership = family.partnership || partner;
+            });
+        });
+        members.forEach(member => {
+            if (member.parents && member.parents.length > 0) {
+                const key = partnersKey(member.parents);
+                const family = Array.from(families.values()).find(f => f.partners.join('+') === key) || familyFor(key, member.parents);
+                family.children.push(member.id);
+            }
+        });
+
+        const lines = [
+            '0 HEAD',
+            '1 SOUR FAMILY_TREE_CREATOR',
+            '2 NAME Family Tree Creator',
+            '1 GEDC',
+            `2 VERS ${GEDCOM_VERSION}`,
+            '2 FORM LINEAGE-LINKED',
+            '1 CHAR UTF-8',
+            '1 SUBM @U1@',
+            '0 @U1@ SUBM',
+            '1 NAME Family Tree Creator user'
+        ];
+        const sexes = { male: 'M', female: 'F' };
+        const familyList = Array.from(families.values()).filter(family => family.partners.length > 0);
+
+        members.forEach(member => {
+            // Members saved before names were split into parts are assumed to end with their surname.
+            const nameParts = member.name.trim().split(/\s+/);
+            const surname = member.surname !== undefined ? member.surname : (nameParts.length > 1 ? nameParts.pop() : '');
+            const givenName = member.givenName !== undefined ? member.givenName : nameParts.join(' ');
+            lines.push(`0 @I${member.id}@ INDI`);
+            lines.push(surname ? `1 NAME ${givenName} /${surname}/` : `1 NAME ${givenName}`);
+            (member.nicknames || []).forEach(nickname => lines.push(`2 NICK ${nickname}`));
+            if (member.birthName) {
+                lines.push(`1 NAME ${member.birthName}`, '2 TYPE birth');
+            }
+            lines.push(`1 SEX ${sexes[member.gender] || 'U'}`);
+            lines.push(...eventLines('BIRT', member.birth));
+            lines.push(...eventLines('DEAT', member.death));
+            if (member.notes) {
+                lines.push(...textLines(1, 'NOTE', member.notes));
+            }
+            familyList.filter(family => family.children.includes(member.id))
+                .forEach(family => lines.push(`1 FAMC ${family.xref}`));
+            familyList.filter(family => family.partners.includes(member.id))
+                .forEach(family => lines.push(`1 FAMS ${family.xref}`));
+        });
+
+        familyList.forEach(family => {
+            lines.push(`0 ${family.xref} FAM`);
+            // Husband and wife are picked by gender where it is known, otherwise by order.
+            const partners = family.partners.map(id => memberById.get(id));
+            const husband = partners.find(p => p.gender === 'male') || partners.find(p => p.gender !== 'female');
+            const wife = partners.find(p => p !== husband);
+            if (husband) lines.push(`1 HUSB @I${husband.id}@`);
+            if (wife) lines.push(`1 WIFE @I${wife.id}@`);
+            family.children.forEach(childId => lines.push(`1 CHIL @I${childId}@`));
+            const partnership = family.partnership;
+            // Marriages and divorces are recorded even without a date, as "1 MARR Y" and "1 DIV Y".
+            if (partnership && partnership.type && partnership.type !== 'partner') {
+                const marriage = eventLines('MARR', { date: partnership.startDate, place: partnership.place });
+                lines.push(...(marriage.length > 0 ? marriage : ['1 MARR Y']));
+            }
+            if (partnership && partnership.type === 'divorced') {
+                const divorce = eventLines('DIV', { date: partnership.endDate });
+                lines.push(...(divorce.length > 0 ? divorce : ['1 DIV Y']));
+            }
+            if (partnership && partnership.type === 'widowed') {
+                lines.push('1 EVEN', `2 TYPE ${WIDOWED_EVENT_TYPE}`);
+                if (partnership.endDate) lines.push(`2 DATE ${FamilyDates.toGedcom(partnership.endDate)}`);
+            }
+        });
+
+        lines.push('0 TRLR');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @description Formats an import summary as readable text for the message modal.
+     * @param {{imported: number, families: number, warnings: Array<string>, unsupported: object}} summary
+     * @returns {string} The summary text.
+     */
+    function describeSummary(summary) {
+        const lines = [`Imported ${summary.imported} people from ${summary.families} families.`];
+        summary.warnings.forEach(warning => lines.push(`- ${warning}`));
+        const unsupported = Object.entries(summary.unsupported);
+        if (unsupported.length > 0) {
+            lines.push('Not imported (unsupported GEDCOM tags):');
+            unsupported.forEach(([tag, count]) => lines.push(`- ${tag} (${count})`));
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        GEDCOM_VERSION,
+        parse,
+        toMembers,
+        fromMembers,
+        describeSummary
+    };
+})();
@@ -0,0 +1,88 @@
+// Undo and redo for the Family Tree Creator.
+// Every change to a tree is run as a command: { label, execute(), undo() }.
+// execute() makes the change (and is called again to redo it), undo() puts things back as they were.
+// Commands are kept in the order they were run, so undoing and redoing always
+// happens against the same state the command was made in.
+
+export const CommandHistory = (() => {
+    // How many changes can be undone before the oldest ones are forgotten.
+    const DEFAULT_LIMIT = 100;
+
+    /**
+     * @description Creates an empty command history.
+     * @param {object} [options]
+     * @param {number} [options.limit] The number of commands to remember.
+     * @param {Function} [options.onChange] Called after every run, undo, redo or clear, e.g. to update buttons.
+     * @returns {object} The history.
+     */
+    function createHistory({ limit = DEFAULT_LIMIT, onChange = () => {} } = {}) {
+        let done = [];
+        let undone = [];
+
+        /**
+         * @description Runs a command and remembers it so it can be undone.
+         * If execute() throws, nothing is remembered and the error is passed on.
+         * Running a new command forgets anything that was undone before it.
+         * @param {object} command The command to run.
+         */
+        function run(command) {
+            command.execute();
+            done.push(command);
+            if (done.length > limit) {
+                done.shift();
+            }
+            undone = [];
+            onChange();
+        }
+
+        /**
+         * @description Undoes the most recent command.
+         * @returns {object|null} The command that was undone, or null if there was nothing to undo.
+         */
+        function undo() {
+            const command = done.pop();
+            if (!command) return null;
+            command.undo();
+            undone.push(command);
+            onChange();
+            return command;
+        }
+
+        /**
+         * @description Runs the most recently undone command again.
+         * @returns {object|null} The command that was redone, or null if there was nothing to redo.
+         */
+        function redo() {
+            const command = undone.pop();
+            if (!command) return null;
+            command.execute();
+            done.push(command);
+            onChange();
+            return command;
+        }
+
+        // Forget every command, e.g. when a different tree is opened.
+        function clear() {
+            done = [];
+            undone = [];
+            onChange();
+        }
+
+        return {
+            run,
+            undo,
+            redo,
+            clear,
+            canUndo: () => done.length > 0,
+            canRedo: () => undone.length > 0,
+            // The labels of the next command to undo and redo, for button tooltips.
+            undoLabel: () => (done.length > 0 ? done[done.length - 1].label : null),
+            redoLabel: () => (undone.length > 0 ? undone[undone.length - 1].label : null)
+        };
+    }
+
+    return {
+        DEFAULT_LIMIT,
+        createHistory
+    };
+})();
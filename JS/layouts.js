@@ -0,0 +1,372 @@
+// Chart layouts for the Family Tree Creator.
+// Each layout turns a family graph into positions for drawTree() in script.js:
+//   { members: [{ member, x, y, isSpouse, hasChildren, collapsed, origin }],
+//     childLinks: [{ key, childId, parentIds, source: {x, y}, target: {x, y} }],
+//     spouseLinks: [{ partnership, member, spouse, x1, y1, x2, y2, lift }],
+//     segments: [{ memberId, innerRadius, outerRadius, startAngle, endAngle }], linkShape }
+// linkShape says whether parent-child links run 'vertical' (top-down charts) or 'horizontal' (left-to-right charts).
+// Segments are only used by the fan chart, whose rings of ancestors are drawn as arcs instead of links.
+
+import { FamilyGraph } from './familyGraph.js';
+
+export const TreeLayouts = (() => {
+    // The views offered by the layout switcher, with the label shown to users.
+    const LAYOUTS = {
+        family: 'Whole family',
+        pedigree: 'Pedigree (ancestors)',
+        descendants: 'Descendants',
+        hourglass: 'Hourglass',
+        fan: 'Fan chart'
+    };
+
+    // Space given to each member in top-down charts: across, and between generations.
+    const NODE_WIDTH = 110;
+    const GENERATION_HEIGHT = 130;
+    // Space given to each member in left-to-right charts: down, and between generations.
+    const NODE_HEIGHT = 80;
+    const GENERATION_WIDTH = 200;
+    // The gap between a member and each of their partners.
+    const SPOUSE_OFFSET = 60;
+    // The width of each ring of the fan chart, and how many generations of ancestors it shows.
+    const FAN_RING_WIDTH = 90;
+    const FAN_GENERATIONS = 5;
+    // The fan chart spreads over 240 degrees, open at the bottom.
+    const FAN_ANGLE = (Math.PI * 4) / 3;
+
+    // Where a member in tree space (breadth across a generation, depth down the generations) is drawn.
+    const ORIENTATIONS = {
+        down: (breadth, depth) => ({ x: breadth, y: depth }),
+        up: (breadth, depth) => ({ x: breadth, y: -depth }),
+        right: (breadth, depth) => ({ x: depth, y: breadth })
+    };
+
+    /**
+     * @description Lays out nodes from FamilyGraph.buildHierarchy() as a tree of couples.
+     * Each member and their partners form one unit, drawn side by side (partners to the right, or below
+     * in left-to-right charts). The layout reserves room for the whole unit, so couples never overlap
+     * their siblings or cousins however wide a generation gets, and centres the unit over its children,
+     * who hang from the middle of the couple they were born into.
+     * Every member is drawn once. Parents and partners who are drawn elsewhere in the tree (e.g. when
+     * cousins marry) are joined to them by extra links, so no relationship is left out.
+     * @param {object} graph The family graph.
+     * @param {Array<object>} branches The top-level nodes from buildHierarchy().
+     * @param {string} orientation 'down' or 'right'.
+     * @param {Set<number>} collapsedIds Members whose children are hidden.
+     * @param {object} [spacing] Room for bigger nodes: { breadth, depth, spouseOffset } in place of the chart's own.
+     * @returns {object} The layout (without segments or linkShape).
+     */
+    function unionTree(graph, branches, orientation, collapsedIds, spacing = {}) {
+        // Separate branches hang under a hidden top node (with no member) so they can share one layout.
+        const root = branches.length === 1 ? branches[0] : { member: null, unions: [], spouses: [], children: branches };
+        const breadth = spacing.breadth || (orientation === 'right' ? NODE_HEIGHT : NODE_WIDTH);
+        const depth = spacing.depth || (orientation === 'right' ? GENERATION_WIDTH : GENERATION_HEIGHT);
+        const spouseOffset = spacing.spouseOffset || SPOUSE_OFFSET;
+        const place = ORIENTATIONS[orientation];
+        // The distance from the first to the last member of a unit.
+        const unitSpan = (node) => node.data.spouses.length * spouseOffset;
+
+        // Collapsed members keep their partners but hide their children.
+        const rootNode = d3.hierarchy(root, d => (d.member && collapsedIds.has(d.member.id) ? null : d.children));
+        // d3.tree() places the centres of neighbouring units; they are kept a node's width apart
+        // plus half of each unit's span, with a little more room between cousins than between siblings.
+        const treeData = d3.tree()
+            .nodeSize([breadth, depth])
+            .separation((a, b) => 1 + (unitSpan(a) + unitSpan(b)) / 2 / breadth + (a.parent === b.parent ? 0 : 0.25))(rootNode);
+
+        const positionOf = (node, memberId) => {
+            const spouseIndex = node.data.spouses.findIndex(spouse => spouse.id === memberId);
+            const offset = -unitSpan(node) / 2 + (spouseIndex === -1 ? 0 : spouseOffset * (spouseIndex + 1));
+            return place(node.x + offset, node.y);
+        };
+
+        const layout = { members: [], childLinks: [], spouseLinks: [] };
+        treeData.descendants().filter(d => d.data.member).forEach(d => {
+            const position = positionOf(d, d.data.member.id);
+            const hasParent = d.parent && d.parent.data.member;
+            layout.members.push({
+                member: d.data.member,
+                ...position,
+                isSpouse: false,
+                hasChildren: d.data.children.length > 0,
+                collapsed: collapsedIds.has(d.data.member.id),
+                origin: hasParent ? { id: d.parent.data.member.id, ...positionOf(d.parent, d.parent.data.member.id) } : null
+            });
+            d.data.unions.forEach((union, index) => {
+                const spousePosition = positionOf(d, union.spouse.id);
+                layout.members.push({
+                    member: union.spouse,
+                    ...spousePosition,
+                    isSpouse: true,
+                    hasChildren: false,
+                    collapsed: false,
+                    origin: { id: d.data.member.id, ...position }
+                });
+                // Later unions arc further out than earlier ones so each stays visible.
+                layout.spouseLinks.push({
+                    partnership: union.partnership,
+                    member: d.data.member,
+                    spouse: union.spouse,
+                    x1: position.x,
+                    y1: position.y,
+                    x2: spousePosition.x,
+                    y2: spousePosition.y,
+                    lift: 20 * index
+                });
+            });
+            // Links from the middle of the couple each child was born into, or from their single parent,
+            // so half-siblings hang under the right union.
+            (d.children || []).forEach(child => {
+                const parentPositions = child.data.parentIds.map(id => positionOf(d, id));
+                layout.childLinks.push({
+                    key: child.data.member.id,
+                    childId: child.data.member.id,
+                    parentIds: child.data.parentIds,
+                    source: parentPositions.length > 0
+                        ? { x: d3.mean(parentPositions, p => p.x), y: d3.mean(parentPositions, p => p.y) }
+                        : position,
+                    target: positionOf(child, child.data.member.id)
+                });
+            });
+        });
+        addCrossLinks(graph, layout);
+        return layout;
+    }
+
+    /**
+     * @description Adds links for the parents and partners a tree layout could not draw in place, because
+     * the member was already drawn somewhere else. Only links between members in the layout are added.
+     * @param {object} graph The family graph.
+     * @param {object} layout The layout, which is changed.
+     */
+    function addCrossLinks(graph, layout) {
+        const positions = new Map(layout.members.map(d => [d.member.id, d]));
+        const drawnParents = new Set();
+        layout.childLinks.forEach(link => link.parentIds.forEach(parentId => drawnParents.add(`${parentId}>${link.childId}`)));
+        const drawnPartnerships = new Set(layout.spouseLinks.map(link => link.partnership.id));
+
+        graph.parentLinks.forEach(({ parentId, childId }) => {
+            const key = `${parentId}>${childId}`;
+            if (drawnParents.has(key) || !positions.has(parentId) || !positions.has(childId)) return;
+            const parent = positions.get(parentId);
+            const child = positions.get(childId);
+            layout.childLinks.push({
+                key,
+                childId,
+                parentIds: [parentId],
+                source: { x: parent.x, y: parent.y },
+                target: { x: child.x, y: child.y }
+            });
+        });
+
+        graph.partnerships.forEach(partnership => {
+            const [firstId, secondId] = partnership.partnerIds;
+            if (drawnPartnerships.has(partnership.id) || !positions.has(firstId) || !positions.has(secondId)) return;
+            const first = positions.get(firstId);
+            const second = positions.get(secondId);
+            layout.spouseLinks.push({
+                partnership,
+                member: first.member,
+                spouse: second.member,
+                x1: first.x,
+                y1: first.y,
+                x2: second.x,
+                y2: second.y,
+                lift: 40
+            });
+        });
+    }
+
+    /**
+     * @description Arranges a member's ancestors as nested nodes: { member, children }, where the "children"
+     * are the member's parents (fathers first). Ancestors reached twice, e.g. when cousins married, appear once.
+     * @param {object} graph The family graph.
+     * @param {object} focus The member whose ancestors are arranged.
+     * @param {number} [maxGenerations] How many generations to go back.
+     * @returns {object} The nested nodes, starting at the focus member.
+     */
+    function ancestorHierarchy(graph, focus, maxGenerations = Infinity) {
+        const seen = new Set();
+        const fathersFirst = (a, b) => (b.gender === 'male') - (a.gender === 'male') || a.id - b.id;
+        const build = (member, generation) => {
+            seen.add(member.id);
+            const parents = generation < maxGenerations
+                ? FamilyGraph.getParents(graph, member.id).filter(p => !seen.has(p.id)).sort(fathersFirst)
+                : [];
+            return { member, children: parents.map(parent => build(parent, generation + 1)) };
+        };
+        return build(focus, 0);
+    }
+
+    /**
+     * @description Lays out a member's ancestors as a tree growing away from them.
+     * @param {object} graph The family graph.
+     * @param {object} focus The member at the root of the chart.
+     * @param {string} orientation 'right' for a pedigree chart, 'up' for the top half of an hourglass.
+     * @returns {object} The layout (without segments or linkShape). The focus member is included.
+     */
+    function ancestorTree(graph, focus, orientation) {
+        const breadth = orientation === 'right' ? NODE_HEIGHT : NODE_WIDTH;
+        const depth = orientation === 'right' ? GENERATION_WIDTH : GENERATION_HEIGHT;
+        const place = ORIENTATIONS[orientation];
+        const treeData = d3.tree().nodeSize([breadth, depth])(d3.hierarchy(ancestorHierarchy(graph, focus)));
+
+        const layout = { members: [], childLinks: [], spouseLinks: [] };
+        treeData.descendants().forEach(d => {
+            const position = place(d.x, d.y);
+            const child = d.parent;
+            layout.members.push({
+                member: d.data.member,
+                ...position,
+                isSpouse: false,
+                hasChildren: false,
+                collapsed: false,
+                origin: child ? { id: child.data.member.id, ...place(child.x, child.y) } : null
+            });
+            if (child) {
+                layout.childLinks.push({
+                    key: `${d.data.member.id}>${child.data.member.id}`,
+                    childId: child.data.member.id,
+                    parentIds: [d.data.member.id],
+                    source: position,
+                    target: place(child.x, child.y)
+                });
+            }
+        });
+
+        // Parents drawn next to each other are linked as a couple.
+        treeData.descendants().forEach(d => {
+            const [first, second] = d.children || [];
+            if (!first || !second) return;
+            const partnership = FamilyGraph.getPartnerships(graph, first.data.member.id)
+                .find(p => p.partnerIds.includes(second.data.member.id));
+            if (!partnership) return;
+            const from = place(first.x, first.y);
+            const to = place(second.x, second.y);
+            layout.spouseLinks.push({
+                partnership,
+                member: first.data.member,
+                spouse: second.data.member,
+                x1: from.x,
+                y1: from.y,
+                x2: to.x,
+                y2: to.y,
+                lift: 0
+            });
+        });
+        // Ancestors reached twice are only drawn once, so their second line of descent is an extra link.
+        addCrossLinks(graph, layout);
+        return layout;
+    }
+
+    /**
+     * @description Lays out a member's ancestors as a fan: each generation is a ring around the member,
+     * and every ancestor takes half of their child's slice of the ring.
+     * @param {object} graph The family graph.
+     * @param {object} focus The member at the centre.
+     * @returns {object} The layout, with the rings as segments.
+     */
+    function fanChart(graph, focus) {
+        const layout = { members: [], childLinks: [], spouseLinks: [], segments: [] };
+        const visit = (node, generation, startAngle, endAngle, child) => {
+            const middle = (startAngle + endAngle) / 2;
+            const radius = generation === 0 ? 0 : (generation + 0.5) * FAN_RING_WIDTH;
+            // d3.arc measures angles clockwise from 12 o'clock.
+            const position = { x: radius * Math.sin(middle), y: -radius * Math.cos(middle) };
+            layout.members.push({
+                member: node.member,
+                ...position,
+                isSpouse: false,
+                hasChildren: false,
+                collapsed: false,
+                origin: child ? { id: child.member.id, ...child.position } : null
+            });
+            if (generation > 0) {
+                layout.segments.push({
+                    memberId: node.member.id,
+                    innerRadius: generation * FAN_RING_WIDTH,
+                    outerRadius: (generation + 1) * FAN_RING_WIDTH,
+                    startAngle,
+                    endAngle
+                });
+            }
+            // A lone known parent still only takes their half, so the other half shows who is missing.
+            const step = (endAngle - startAngle) / 2;
+            node.children.forEach(parent => {
+                const isMother = parent.member.gender === 'female' || (parent !== node.children[0] && parent.member.gender !== 'male');
+                const parentStart = isMother ? startAngle + step : startAngle;
+                visit(parent, generation + 1, parentStart, parentStart + step, { member: node.member, position });
+            });
+        };
+        visit(ancestorHierarchy(graph, focus, FAN_GENERATIONS), 0, -FAN_ANGLE / 2, FAN_ANGLE / 2, null);
+        return layout;
+    }
+
+    // Moves a layout sideways by dx.
+    function moveAcross(layout, dx) {
+        const move = point => ({ ...point, x: point.x + dx });
+        return {
+            members: layout.members.map(d => ({ ...move(d), origin: d.origin && move(d.origin) })),
+            childLinks: layout.childLinks.map(d => ({ ...d, source: move(d.source), target: move(d.target) })),
+            spouseLinks: layout.spouseLinks.map(d => ({ ...d, x1: d.x1 + dx, x2: d.x2 + dx }))
+        };
+    }
+
+    // Members drawn more than once (e.g. someone who is both an ancestor and a partner) are kept the first time.
+    function withoutRepeats(members) {
+        const seen = new Set();
+        return members.filter(d => !seen.has(d.member.id) && seen.add(d.member.id));
+    }
+
+    /**
+     * @description Lays out the family graph in one of the LAYOUTS.
+     * @param {string} name The layout: family, pedigree, descendants, hourglass or fan.
+     * @param {object} graph The family graph.
+     * @param {object} options
+     * @param {number} [options.focusId] The member the chart is centred on (not used by the family view).
+     * @param {Set<number>} [options.collapsedIds] Members whose descendants are hidden.
+     * @param {string} [options.orientation] Whether the family view grows 'down' (the default) or to the 'right'.
+     * @param {object} [options.spacing] The family view's room for each member, for nodes bigger than circles:
+     * { breadth, depth, spouseOffset } (across a generation, between generations and between partners).
+     * @returns {object} The layout, as described at the top of this file.
+     */
+    function layout(name, graph, { focusId, collapsedIds = new Set(), orientation = 'down', spacing } = {}) {
+        const empty = { members: [], childLinks: [], spouseLinks: [], segments: [], linkShape: 'vertical' };
+        if (graph.members.length === 0) return empty;
+        if (name === 'family') {
+            const linkShape = orientation === 'right' ? 'horizontal' : 'vertical';
+            return { ...unionTree(graph, FamilyGraph.buildHierarchy(graph), orientation, collapsedIds, spacing), segments: [], linkShape };
+        }
+
+        const focus = FamilyGraph.getMember(graph, focusId) || graph.members[0];
+        switch (name) {
+            case 'pedigree':
+                return { ...ancestorTree(graph, focus, 'right'), segments: [], linkShape: 'horizontal' };
+            case 'descendants':
+                return { ...unionTree(graph, FamilyGraph.buildHierarchy(graph, focus.id), 'right', collapsedIds), segments: [], linkShape: 'horizontal' };
+            case 'hourglass': {
+                // Ancestors above the focus member and descendants below, meeting at the focus member.
+                const descendants = unionTree(graph, FamilyGraph.buildHierarchy(graph, focus.id), 'down', collapsedIds);
+                // The focus member sits left of centre when they have partners, so their ancestors move with them.
+                const ancestors = moveAcross(ancestorTree(graph, focus, 'up'), descendants.members[0].x);
+                return {
+                    members: withoutRepeats([...descendants.members, ...ancestors.members]),
+                    childLinks: [...ancestors.childLinks, ...descendants.childLinks],
+                    spouseLinks: [...ancestors.spouseLinks, ...descendants.spouseLinks],
+                    segments: [],
+                    linkShape: 'vertical'
+                };
+            }
+            case 'fan':
+                return { ...fanChart(graph, focus), linkShape: 'vertical' };
+            default:
+                throw new Error(`"${name}" is not a chart layout. Use one of: ${Object.keys(LAYOUTS).join(', ')}.`);
+        }
+    }
+
+    return {
+        LAYOUTS,
+        NODE_WIDTH,
+        GENERATION_HEIGHT,
+        layout
+    };
+})();
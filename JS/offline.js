@@ -0,0 +1,12 @@
+// Offline use for the Family Tree Creator.
+// Every page loads this file to register service-worker.js, which saves a copy of the site so it keeps
+// working without a network connection and can be installed as an app (see manifest.webmanifest).
+// Browsers only run service workers for sites served over http(s), so nothing happens for pages opened from disk.
+
+if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.error('The site could not be set up to work offline:', error);
+        });
+    });
+}
@@ -0,0 +1,271 @@
+// The "My Personal Tree" page (personaltree.html).
+// The page is drawn from tree data rather than written by hand: Data/personaltree.json by default, a tree
+// saved on the Create a Family Tree page, or a JSON file exported from it. Members are laid out with the
+// same layout as the main tree, drawn as cards, and each card says how that person is related to the
+// chosen home person ("me"), so changing the data changes the page with no HTML to edit. Living people
+// are shown as the tree's privacy setting says (see privacy.js), since the page is meant to be published;
+// relations are still worked out on the whole tree, so hiding someone doesn't change how others are related.
+
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+import { TreeLayouts } from './layouts.js';
+import { TreePrivacy } from './privacy.js';
+import { Relationships } from './relationships.js';
+import { TreeStorage } from './storage.js';
+import { TreeFile } from './treeFile.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // The tree shown when the page opens, in the JSON format read by treeFile.js.
+    const DEFAULT_TREE_FILE = 'Data/personaltree.json';
+
+    // The size of each card, and the gaps between cards, partners and generations.
+    const CARD_WIDTH = 180;
+    const CARD_HEIGHT = 150;
+    const CARD_GAP = 30;
+    const GENERATION_GAP = 70;
+
+    // Words left in lower case when a relation is written as a title, as in "Sister-in-Law".
+    const SMALL_WORDS = ['by', 'in', 'of', 'or'];
+
+    const sourceDropdown = document.getElementById('personal-tree-source');
+    const homeDropdown = document.getElementById('personal-tree-home');
+    const fileInput = document.getElementById('personal-tree-file');
+    const statusText = document.getElementById('personal-tree-status');
+    const treeContainer = document.getElementById('personal-tree');
+
+    // The tree shown: its whole family graph, which relationships are worked out on, the copy drawn after
+    // the privacy setting is applied, and the member the relationships are worked out from.
+    let familyGraph = FamilyGraph.createGraph();
+    let shownGraph = familyGraph;
+    let privacy = TreePrivacy.normalizeSettings();
+    let homePersonId = null;
+
+    // The choices are kept in the address (?tree=...&me=...), so the page can be bookmarked or shared.
+    const params = new URLSearchParams(window.location.search);
+
+    /**
+     * @description Describes how a member is related to the home person for their card,
+     * e.g. "Great-Grandfather". The home person's own card says "Me".
+     * @param {object} member The member on the card.
+     * @returns {string} The relation, or an empty string if they aren't related.
+     */
+    function relationToMe(member) {
+        if (homePersonId === null) return '';
+        const { term } = Relationships.describe(familyGraph, homePersonId, member.id);
+        if (term === 'self') return 'Me';
+        if (term === 'not related') return '';
+        return term.replace(/(^|[\s-])([a-z]+)/g, (match, separator, word) =>
+            (separator && SMALL_WORDS.includes(word) ? match : separator + word[0].toUpperCase() + word.slice(1)));
+    }
+
+    /**
+     * @description The second line of a card: the other names a member went by, then their lifespan.
+     * @param {object} member The member.
+     * @returns {string} The line, or an empty string if there is nothing to add.
+     */
+    function otherNames(member) {
+        const names = [];
+        if (member.birthName && member.birthName !== member.name) names.push(`born ${member.birthName}`);
+        names.push(...(member.nicknames || []));
+        const lifespan = FamilyDates.formatLifespan(member);
+        if (lifespan) names.push(lifespan);
+        return names.join(' · ');
+    }
+
+    function createCard(member) {
+        const card = document.createElement('div');
+        card.className = `familymember personal-tree-card${member.id === homePersonId ? ' personal-tree-card--home' : ''}`;
+        [['familyname', member.name], ['familymemberposition', otherNames(member)], ['familyrelation-tome', relationToMe(member)]]
+            .forEach(([className, text]) => {
+                const line = document.createElement('p');
+                line.className = className;
+                line.textContent = text;
+                card.appendChild(line);
+            });
+        return card;
+    }
+
+    /**
+     * @description Draws the family as cards joined by lines, laid out by TreeLayouts with room for the cards.
+     */
+    function drawTree() {
+        treeContainer.innerHTML = '';
+        if (shownGraph.members.length === 0) {
+            statusText.textContent = 'This tree has nobody in it yet.';
+            return;
+        }
+        const { members, childLinks, spouseLinks } = TreeLayouts.layout('family', shownGraph, {
+            spacing: { breadth: CARD_WIDTH + CARD_GAP, depth: CARD_HEIGHT + GENERATION_GAP, spouseOffset: CARD_WIDTH + CARD_GAP }
+        });
+        const left = d3.min(members, d => d.x) - CARD_WIDTH / 2;
+        const top = d3.min(members, d => d.y) - CARD_HEIGHT / 2;
+        const width = d3.max(members, d => d.x) + CARD_WIDTH / 2 - left;
+        const height = d3.max(members, d => d.y) + CARD_HEIGHT / 2 - top;
+        treeContainer.style.width = `${width}px`;
+        treeContainer.style.height = `${height}px`;
+
+        // Lines go behind the cards: from each couple (or single parent) to the top of each child, and between partners.
+        const svg = d3.select(treeContainer).append('svg')
+            .attr('class', 'personal-tree-links')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('viewBox', `${left} ${top} ${width} ${height}`);
+        svg.selectAll('.personal-tree-link')
+            .data(childLinks)
+            .join('path')
+            .attr('class', 'personal-tree-link')
+            .attr('d', d => d3.linkVertical()({
+                source: [d.source.x, d.source.y],
+                target: [d.target.x, d.target.y - CARD_HEIGHT / 2]
+            }));
+        svg.selectAll('.personal-tree-spouse-link')
+            .data(spouseLinks)
+            .join('path')
+            .attr('class', 'personal-tree-spouse-link')
+            .attr('d', d => {
+                // Partners side by side are joined straight across; only the gap between their cards shows.
+                if (!d.lift) return `M${d.x1},${d.y1} L${d.x2},${d.y2}`;
+                // Partners drawn apart (e.g. cousins who married) are joined by a curve over the top of the cards.
+                const y1 = d.y1 - CARD_HEIGHT / 2;
+                const y2 = d.y2 - CARD_HEIGHT / 2;
+                return `M${d.x1},${y1} Q${(d.x1 + d.x2) / 2},${Math.min(y1, y2) - GENERATION_GAP} ${d.x2},${y2}`;
+            });
+
+        members.forEach(d => {
+            const card = createCard(d.member);
+            card.style.left = `${d.x - CARD_WIDTH / 2 - left}px`;
+            card.style.top = `${d.y - CARD_HEIGHT / 2 - top}px`;
+            card.style.width = `${CARD_WIDTH}px`;
+            card.style.height = `${CARD_HEIGHT}px`;
+            treeContainer.appendChild(card);
+        });
+    }
+
+    function fillHomeDropdown() {
+        homeDropdown.innerHTML = '';
+        shownGraph.members.forEach(member => {
+            homeDropdown.appendChild(new Option(member.name, member.id));
+        });
+        homeDropdown.value = homePersonId === null ? '' : homePersonId;
+    }
+
+    /**
+     * @description Applies the privacy setting to the tree and draws what may be shown. The home person
+     * is always kept, as "Living" if they would otherwise be left out, so the page keeps its "Me".
+     */
+    function showSharedTree() {
+        const keepIds = homePersonId === null ? [] : [homePersonId];
+        shownGraph = TreePrivacy.applyPrivacy(familyGraph, privacy, undefined, keepIds).graph;
+        fillHomeDropdown();
+        drawTree();
+    }
+
+    /**
+     * @description Shows a tree on the page. The home person is the one in the address if they are in
+     * this tree, then the one the tree names, then its newest member. They are chosen before living
+     * people are hidden, so the relations on the cards are always to the right person.
+     * @param {object} tree A saved tree, or one read by TreeFile.fromJson(): { graph, homePersonId, privacy, problems },
+     * problems being anything that was skipped while reading it.
+     */
+    function showTree({ graph, homePersonId: treeHomeId, privacy: treePrivacy, problems = [] }) {
+        familyGraph = graph;
+        privacy = TreePrivacy.normalizeSettings(treePrivacy);
+        const chosenId = parseInt(params.get('me'), 10);
+        const newest = graph.members[graph.members.length - 1];
+        homePersonId = [chosenId, treeHomeId].find(id => FamilyGraph.getMember(graph, id)) || (newest ? newest.id : null);
+        statusText.textContent = problems.length > 0 ? `Some of this tree couldn't be shown:\n${problems.join('\n')}` : '';
+        showSharedTree();
+    }
+
+    function showError(message) {
+        familyGraph = FamilyGraph.createGraph();
+        shownGraph = familyGraph;
+        homePersonId = null;
+        fillHomeDropdown();
+        treeContainer.innerHTML = '';
+        statusText.textContent = message;
+    }
+
+    /**
+     * @description Reads a tree file from the site, such as Data/personaltree.json.
+     * @param {string} url The file's address.
+     */
+    function loadTreeFile(url) {
+        fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`The tree file "${url}" could not be found.`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                const tree = TreeFile.fromJson(text);
+                showTree(tree);
+            })
+            .catch(error => {
+                console.error('Error loading the personal tree:', error);
+                // Browsers don't let pages opened straight from the disk read other files.
+                const hint = window.location.protocol === 'file:'
+                    ? ' Open the site through a web server, or choose a tree file below.'
+                    : '';
+                showError(`${error.message}${hint}`);
+            });
+    }
+
+    /**
+     * @description Shows the tree picked in the "Tree" dropdown: the default file, or a tree saved in this browser.
+     */
+    function showChosenSource() {
+        const source = sourceDropdown.value;
+        params.set('tree', source);
+        window.history.replaceState(null, '', `?${params}`);
+        if (source === 'file') {
+            loadTreeFile(DEFAULT_TREE_FILE);
+            return;
+        }
+        const tree = TreeStorage.loadTree(source.replace(/^saved:/, ''));
+        if (tree) {
+            showTree(tree);
+        } else {
+            showError('That saved tree could not be found in this browser.');
+        }
+    }
+
+    // The cards are laid out with D3.js (from JS/vendor), so without it there is nothing to show.
+    if (typeof d3 === 'undefined') {
+        showError("The D3.js library could not be loaded, so the tree can't be shown. Reload the page to try again.");
+        return;
+    }
+
+    // The default tree file, then every tree saved on the Create a Family Tree page.
+    sourceDropdown.appendChild(new Option('My family', 'file'));
+    TreeStorage.listTrees().forEach(tree => {
+        sourceDropdown.appendChild(new Option(`${tree.name} (saved in this browser)`, `saved:${tree.id}`));
+    });
+    const requestedSource = params.get('tree');
+    sourceDropdown.value = Array.from(sourceDropdown.options).some(option => option.value === requestedSource) ? requestedSource : 'file';
+
+    sourceDropdown.addEventListener('change', () => {
+        params.delete('me');
+        showChosenSource();
+    });
+    homeDropdown.addEventListener('change', () => {
+        homePersonId = parseInt(homeDropdown.value, 10);
+        params.set('me', homePersonId);
+        window.history.replaceState(null, '', `?${params}`);
+        showSharedTree();
+    });
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                const tree = TreeFile.fromJson(text);
+                params.delete('me');
+                showTree(tree);
+            })
+            .catch(error => showError(error.message));
+    });
+
+    showChosenSource();
+});
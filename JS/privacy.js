@@ -0,0 +1,128 @@
+// Privacy for living people in the Family Tree Creator.
+// A tree's privacy setting says what happens to living people when the tree leaves the browser: in
+// images, SVG and PDF exports, exported files and the personaltree.html page. They can be shown as
+// "Living", left out altogether, or have only their dates, photos or notes hidden. Who is living can
+// be set on each member by hand; otherwise it is worked out from their dates, as in search.js.
+// Nothing here touches the page; the tree itself is never changed, only the copy that is shared.
+
+import { FamilyGraph } from './familyGraph.js';
+import { TreeSearch } from './search.js';
+
+export const TreePrivacy = (() => {
+    // What happens to living people, with the label shown to users.
+    const MODES = {
+        off: 'Show everyone in full',
+        redact: 'Show living people as "Living"',
+        hide: 'Leave living people out',
+        details: 'Hide some details of living people'
+    };
+
+    // The details that can be hidden on their own, in 'details' mode.
+    const DETAILS = {
+        dates: 'Dates and places',
+        photos: 'Photos',
+        notes: 'Notes'
+    };
+
+    // The choices for a member's own livingStatus field. An empty status is worked out from their dates.
+    const LIVING_STATUSES = {
+        '': 'Work it out from their dates',
+        living: 'Living',
+        deceased: 'Deceased'
+    };
+
+    // The name living people are shown with in 'redact' mode.
+    const LIVING_NAME = 'Living';
+
+    const DEFAULT_SETTINGS = { mode: 'off', details: Object.keys(DETAILS) };
+
+    /**
+     * @description Tidies up privacy settings read from storage or a file. A missing or unknown mode
+     * falls back to DEFAULT_SETTINGS, and unknown details are dropped.
+     * @param {object} [settings] The settings: { mode, details }.
+     * @returns {{mode: string, details: Array<string>}} The settings.
+     */
+    function normalizeSettings(settings) {
+        if (!settings || !MODES[settings.mode]) {
+            return { mode: DEFAULT_SETTINGS.mode, details: DEFAULT_SETTINGS.details.slice() };
+        }
+        const details = Array.isArray(settings.details) ? settings.details.filter(detail => DETAILS[detail]) : DEFAULT_SETTINGS.details.slice();
+        return { mode: settings.mode, details };
+    }
+
+    /**
+     * @description Tells whether a member counts as living for privacy, by the same rule as
+     * TreeSearch.isLiving() (their own livingStatus if it is set, otherwise their dates). Unknown people
+     * left in place of deleted members never are.
+     * @param {object} member The member.
+     * @param {number} [currentYear] The year to compare with; this year by default.
+     * @returns {boolean} True if the member's details are private.
+     */
+    function isLiving(member, currentYear = new Date().getFullYear()) {
+        if (member.placeholder) return false;
+        return TreeSearch.isLiving(member, currentYear);
+    }
+
+    /**
+     * @description Hides a living member's details.
+     * @param {object} member The member.
+     * @param {object} settings From normalizeSettings().
+     * @returns {object} A redacted copy of the member.
+     */
+    function redactMember(member, settings) {
+        if (settings.mode === 'redact') {
+            return { id: member.id, name: LIVING_NAME, gender: member.gender || '', livingStatus: 'living' };
+        }
+        const copy = { ...member };
+        if (settings.details.includes('dates')) {
+            delete copy.birth;
+            delete copy.death;
+        }
+        if (settings.details.includes('photos')) delete copy.photo;
+        if (settings.details.includes('notes')) delete copy.notes;
+        return copy;
+    }
+
+    /**
+     * @description Makes the copy of a tree that is shared: living people are redacted or left out,
+     * and the dates and places of their partnerships are hidden along with their own.
+     * @param {object} graph The family graph. It is not changed.
+     * @param {object} [settings] The privacy settings; anything missing is read as normalizeSettings() does.
+     * @param {number} [currentYear] The year to measure the living against; this year by default.
+     * @param {Array<number>} [keepIds] Living members who are shown as "Living" instead of being left out in
+     * 'hide' mode, such as the person a page is drawn around.
+     * @returns {{graph: object, livingIds: Set<number>}} The shared copy, and the members who were treated as living.
+     */
+    function applyPrivacy(graph, settings, currentYear = new Date().getFullYear(), keepIds = []) {
+        const privacy = normalizeSettings(settings);
+        const copy = JSON.parse(JSON.stringify(graph));
+        const livingIds = new Set(graph.members.filter(member => isLiving(member, currentYear)).map(member => member.id));
+        if (privacy.mode === 'off' || livingIds.size === 0) {
+            return { graph: copy, livingIds: new Set() };
+        }
+        if (privacy.mode === 'hide') {
+            livingIds.forEach(id => {
+                if (!keepIds.includes(id)) FamilyGraph.removeMember(copy, id);
+            });
+        }
+        const redaction = privacy.mode === 'hide' ? { ...privacy, mode: 'redact' } : privacy;
+        copy.members = copy.members.map(member => (livingIds.has(member.id) ? redactMember(member, redaction) : member));
+        if (redaction.mode === 'redact' || privacy.details.includes('dates')) {
+            copy.partnerships = copy.partnerships.map(partnership => (partnership.partnerIds.some(id => livingIds.has(id))
+                ? { ...partnership, startDate: '', endDate: '', place: '' }
+                : partnership));
+        }
+        return { graph: copy, livingIds };
+    }
+
+    return {
+        MODES,
+        DETAILS,
+        LIVING_STATUSES,
+        LIVING_NAME,
+        DEFAULT_SETTINGS,
+        normalizeSettings,
+        isLiving,
+        applyPrivacy
+    };
+})();
@@ -0,0 +1,335 @@
+// The relationship calculator for the Family Tree Creator.
+// Works out how one member of a family graph is related to another: their nearest common ancestors,
+// the path of members between them, and the English kinship term ("second cousin once removed",
+// "great-aunt", "brother-in-law", "step-sister"). Uses the queries in familyGraph.js.
+
+import { FamilyGraph } from './familyGraph.js';
+import { TreeSearch } from './search.js';
+
+export const Relationships = (() => {
+    // Words for each kind of relative, by the relative's gender: [male, female, unknown].
+    const WORDS = {
+        parent: ['father', 'mother', 'parent'],
+        child: ['son', 'daughter', 'child'],
+        sibling: ['brother', 'sister', 'sibling'],
+        auntUncle: ['uncle', 'aunt', 'aunt or uncle'],
+        nieceNephew: ['nephew', 'niece', 'niece or nephew'],
+        spouse: ['husband', 'wife', 'spouse'],
+        widowed: ['widower', 'widow', 'spouse']
+    };
+
+    const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+    const TIMES = ['', 'once', 'twice', 'three times'];
+
+    function word(kind, member) {
+        const [male, female, unknown] = WORDS[kind];
+        if (member.gender === 'male') return male;
+        if (member.gender === 'female') return female;
+        return unknown;
+    }
+
+    function ordinal(n) {
+        return ORDINALS[n - 1] || `${n}th`;
+    }
+
+    function greats(count) {
+        return 'great-'.repeat(Math.max(0, count));
+    }
+
+    /**
+     * @description Names a blood relative from how far each person is from their nearest common ancestor.
+     * @param {number} up Generations from the first person up to the common ancestor.
+     * @param {number} down Generations from the relative up to the common ancestor.
+     * @param {object} relative The relative being named (their gender picks the word).
+     * @param {boolean} half True if the two people share only one of the ancestral couple.
+     * @returns {string} The term, e.g. "great-aunt" or "second cousin once removed".
+     */
+    function bloodTerm(up, down, relative, half) {
+        const halfPrefix = half ? 'half-' : '';
+        if (up === 0 && down === 0) return 'self';
+        if (up === 0) {
+            return down === 1 ? word('child', relative) : `${greats(down - 2)}grand${word('child', relative)}`;
+        }
+        if (down === 0) {
+            return up === 1 ? word('parent', relative) : `${greats(up - 2)}grand${word('parent', relative)}`;
+        }
+        if (up === 1 && down === 1) {
+            return `${halfPrefix}${word('sibling', relative)}`;
+        }
+        if (up === 1) {
+            return `${halfPrefix}${greats(down - 2)}${word('nieceNephew', relative)}`;
+        }
+        if (down === 1) {
+            return `${halfPrefix}${greats(up - 2)}${word('auntUncle', relative)}`;
+        }
+        const degree = Math.min(up, down) - 1;
+        const removed = Math.abs(up - down);
+        const removedText = removed === 0 ? '' : ` ${TIMES[removed] || `${removed} times`} removed`;
+        return `${halfPrefix}${ordinal(degree)} cousin${removedText}`;
+    }
+
+    /**
+     * @description Finds every ancestor of a member (and the member themselves) with how many generations up they are,
+     * and which child leads back down towards the member.
+     * @returns {Map<number, {distance: number, via: number|null}>}
+     */
+    function ancestorDistances(graph, memberId) {
+        const distances = new Map([[memberId, { distance: 0, via: null }]]);
+        let generation = [memberId];
+        while (generation.length > 0) {
+            const next = [];
+            generation.forEach(id => {
+                FamilyGraph.getParents(graph, id).forEach(parent => {
+                    if (!distances.has(parent.id)) {
+                        distances.set(parent.id, { distance: distances.get(id).distance + 1, via: id });
+                        next.push(parent.id);
+                    }
+                });
+            });
+            generation = next;
+        }
+        return distances;
+    }
+
+    // Follows the "via" links from an ancestor back down to the member the distances were measured from.
+    function pathDown(distances, ancestorId) {
+        const path = [];
+        for (let id = ancestorId; id !== null; id = distances.get(id).via) {
+            path.push(id);
+        }
+        return path;
+    }
+
+    /**
+     * @description Finds the nearest common ancestors of two members: those the fewest generations away,
+     * leaving out anyone who is only an ancestor of another common ancestor.
+     * @param {object} graph The family graph.
+     * @param {number|string} firstId The id of one member.
+     * @param {number|string} secondId The id of the other member.
+     * @returns {Array<{member: object, up: number, down: number}>} The nearest common ancestors, with how many
+     * generations up they are from the first member (up) and from the second (down). Empty if there are none.
+     */
+    function findCommonAncestors(graph, firstId, secondId) {
+        const first = ancestorDistances(graph, Number(firstId));
+        const second = ancestorDistances(graph, Number(secondId));
+        const common = Array.from(first.keys()).filter(id => second.has(id));
+        if (common.length === 0) return [];
+
+        const nearest = Math.min(...common.map(id => first.get(id).distance + second.get(id).distance));
+        return common
+            .filter(id => first.get(id).distance + second.get(id).distance === nearest)
+            .map(id => ({
+                member: FamilyGraph.getMember(graph, id),
+                up: first.get(id).distance,
+                down: second.get(id).distance
+            }));
+    }
+
+    /**
+     * @description Works out a blood relationship between two members.
+     * @returns {{term: string, path: Array<number>, commonAncestors: Array<object>}|null} Null if they share no ancestor.
+     */
+    function bloodRelationship(graph, from, to) {
+        const commonAncestors = findCommonAncestors(graph, from.id, to.id);
+        if (commonAncestors.length === 0) return null;
+
+        const [{ member: ancestor, up, down }] = commonAncestors;
+        const fromPath = pathDown(ancestorDistances(graph, from.id), ancestor.id).reverse();
+        const toPath = pathDown(ancestorDistances(graph, to.id), ancestor.id);
+        // Half relatives descend from the ancestor through children with different other parents. A parent who
+        // isn't recorded could be the same person, so both other parents have to be in the tree.
+        const otherParent = childId => FamilyGraph.getParents(graph, childId).find(parent => parent.id !== ancestor.id);
+        const fromOther = up > 0 && otherParent(fromPath[fromPath.length - 2]);
+        const toOther = down > 0 && otherParent(toPath[1]);
+        const half = Boolean(fromOther && toOther) && fromOther.id !== toOther.id;
+        return {
+            term: bloodTerm(up, down, to, half),
+            path: [...fromPath, ...toPath.slice(1)],
+            commonAncestors: commonAncestors.map(c => c.member),
+            up,
+            down
+        };
+    }
+
+    // The partnerships of a member, current ones first.
+    function partnershipsOf(graph, memberId) {
+        return FamilyGraph.getPartnerships(graph, memberId)
+            .slice()
+            .sort((a, b) => FamilyGraph.isPartnershipActive(b) - FamilyGraph.isPartnershipActive(a));
+    }
+
+    function partnerIn(partnership, memberId) {
+        return partnership.partnerIds.find(id => id !== memberId);
+    }
+
+    /**
+     * @description Works out a relationship by marriage: spouses, step-relatives and in-laws.
+     * @returns {{term: string, path: Array<number>, commonAncestors: Array<object>}|null} Null if none is found.
+     */
+    function marriageRelationship(graph, from, to) {
+        // Spouses and partners, current or former
+        const partnership = partnershipsOf(graph, from.id).find(p => p.partnerIds.includes(to.id));
+        if (partnership) {
+            let term = partnership.type === 'partner' ? 'partner' : word('spouse', to);
+            if (partnership.type === 'widowed') {
+                // The partner who died is the "late" one; the one who survived is their widow or widower.
+                if (!TreeSearch.isLiving(to)) term = `late ${term}`;
+                else if (!TreeSearch.isLiving(from)) term = word('widowed', to);
+            } else if (partnership.type === 'divorced' || partnership.endDate) {
+                term = `ex-${term}`;
+            }
+            return { term, path: [from.id, to.id], commonAncestors: [] };
+        }
+
+        // Step-parents, step-children and step-siblings
+        const stepParent = FamilyGraph.getStepParents(graph, from.id).find(m => m.id === to.id);
+        if (stepParent) {
+            const parent = FamilyGraph.getParents(graph, from.id).find(p => FamilyGraph.getSpouses(graph, p.id).some(s => s.id === to.id));
+            return { term: `step-${word('parent', to)}`, path: [from.id, parent.id, to.id], commonAncestors: [] };
+        }
+        const stepChild = FamilyGraph.getStepChildren(graph, from.id).find(m => m.id === to.id);
+        if (stepChild) {
+            const parent = FamilyGraph.getParents(graph, to.id).find(p => FamilyGraph.getSpouses(graph, p.id).some(s => s.id === from.id));
+            return { term: `step-${word('child', to)}`, path: [from.id, parent.id, to.id], commonAncestors: [] };
+        }
+        for (const parent of FamilyGraph.getParents(graph, from.id)) {
+            for (const stepParentOfTo of FamilyGraph.getSpouses(graph, parent.id)) {
+                if (FamilyGraph.getChildren(graph, stepParentOfTo.id).some(child => child.id === to.id)) {
+                    return {
+                        term: `step-${word('sibling', to)}`,
+                        path: [from.id, parent.id, stepParentOfTo.id, to.id],
+                        commonAncestors: []
+                    };
+                }
+            }
+        }
+
+        // Blood relatives of a spouse: parent-in-law, sibling-in-law, grandmother-in-law, cousin-in-law...
+        for (const p of partnershipsOf(graph, from.id)) {
+            const spouse = FamilyGraph.getMember(graph, partnerIn(p, from.id));
+            const relation = bloodRelationship(graph, spouse, to);
+            if (relation && relation.up + relation.down > 0) {
+                return {
+                    term: `${relation.term}-in-law`,
+                    path: [from.id, ...relation.path],
+                    commonAncestors: relation.commonAncestors
+                };
+            }
+        }
+
+        // Spouses of blood relatives: son-in-law, brother-in-law, aunt by marriage...
+        for (const p of partnershipsOf(graph, to.id)) {
+            const relative = FamilyGraph.getMember(graph, partnerIn(p, to.id));
+            const relation = bloodRelationship(graph, from, relative);
+            if (relation && relation.up + relation.down > 0) {
+                const term = relation.down === 1 && relation.up > 1
+                    ? `${bloodTerm(relation.up, relation.down, to, false)} by marriage`
+                    : `${bloodTerm(relation.up, relation.down, to, false)}-in-law`;
+                return {
+                    term,
+                    path: [...relation.path, to.id],
+                    commonAncestors: relation.commonAncestors
+                };
+            }
+        }
+
+        // A spouse's sibling's spouse is also a sibling-in-law.
+        for (const p of partnershipsOf(graph, from.id)) {
+            const spouse = FamilyGraph.getMember(graph, partnerIn(p, from.id));
+            for (const q of partnershipsOf(graph, to.id)) {
+                const relative = FamilyGraph.getMember(graph, partnerIn(q, to.id));
+                const relation = bloodRelationship(graph, spouse, relative);
+                if (relation && relation.up === 1 && relation.down === 1) {
+                    return {
+                        term: `${word('sibling', to)}-in-law`,
+                        path: [from.id, ...relation.path, to.id],
+                        commonAncestors: relation.commonAncestors
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @description Finds the shortest chain of parent, child and partner links between two members.
+     * @returns {Array<number>|null} The member ids along the chain, or null if they are not connected.
+     */
+    function findConnection(graph, fromId, toId) {
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === toId) {
+                const path = [];
+                for (let step = toId; step !== null; step = previous.get(step)) path.unshift(step);
+                return path;
+            }
+            const neighbours = [
+                ...FamilyGraph.getParents(graph, id),
+                ...FamilyGraph.getChildren(graph, id),
+                ...FamilyGraph.getSpouses(graph, id)
+            ];
+            neighbours.forEach(neighbour => {
+                if (!previous.has(neighbour.id)) {
+                    previous.set(neighbour.id, id);
+                    queue.push(neighbour.id);
+                }
+            });
+        }
+        return null;
+    }
+
+    /**
+     * @description Works out how one member is related to another.
+     * @param {object} graph The family graph.
+     * @param {number|string} fromId The member the relationship is described from ("me").
+     * @param {number|string} toId The relative being described.
+     * @returns {{term: string, description: string, path: Array<number>, commonAncestors: Array<object>}}
+     * term is what the relative is to the first member (e.g. "great-aunt"), or 'self', 'relative by marriage'
+     * or 'not related'. path lists the member ids linking them, and is empty if they are not related.
+     */
+    function describe(graph, fromId, toId) {
+        const from = FamilyGraph.getMember(graph, fromId);
+        const to = FamilyGraph.getMember(graph, toId);
+        if (!from || !to) {
+            throw new Error("Please choose two members of the tree.");
+        }
+        if (from.id === to.id) {
+            return { term: 'self', description: 'Those are the same person.', path: [from.id], commonAncestors: [] };
+        }
+
+        const relation = bloodRelationship(graph, from, to) || marriageRelationship(graph, from, to);
+        if (relation) {
+            return {
+                term: relation.term,
+                description: `${to.name} is ${from.name}'s ${relation.term}.`,
+                path: relation.path,
+                commonAncestors: relation.commonAncestors
+            };
+        }
+
+        const connection = findConnection(graph, from.id, to.id);
+        if (connection) {
+            const names = connection.map(id => FamilyGraph.getMember(graph, id).name).join(' → ');
+            return {
+                term: 'relative by marriage',
+                description: `${to.name} is a relative of ${from.name} by marriage: ${names}.`,
+                path: connection,
+                commonAncestors: []
+            };
+        }
+        return {
+            term: 'not related',
+            description: `${from.name} and ${to.name} are not related in this tree.`,
+            path: [],
+            commonAncestors: []
+        };
+    }
+
+    return {
+        bloodTerm,
+        findCommonAncestors,
+        describe
+    };
+})();
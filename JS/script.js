@@ -2,314 +2,3114 @@
 // It handles all the logic for adding, deleting, and visualizing the family tree.
 // It uses D3.js for the tree visualization, but all other logic is pure JavaScript.
 
+import { TreeChecks } from './checks.js';
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+import { Gedcom } from './gedcom.js';
+import { CommandHistory } from './history.js';
+import { TreeLayouts } from './layouts.js';
+import { TreePrivacy } from './privacy.js';
+import { Relationships } from './relationships.js';
+import { TreeSearch } from './search.js';
+import { TreeStatistics } from './statistics.js';
+import { TreeStorage } from './storage.js';
+import { TreeTimeline } from './timeline.js';
+import { TreeExport } from './treeExport.js';
+import { TreeFile } from './treeFile.js';
+
 document.addEventListener('DOMContentLoaded', () => {
 
     // --- Message Modal Functionality ---
     const messageModal = document.getElementById('message-modal');
     const modalMessage = document.getElementById('modal-message');
     const closeButton = document.querySelector('.close-button');
+    const modalConfirmButtons = document.getElementById('modal-confirm-buttons');
+    const modalConfirmBtn = document.getElementById('modal-confirm-btn');
+    const modalCancelBtn = document.getElementById('modal-cancel-btn');
+
+    // The action waiting on the user's answer while a confirmation is shown.
+    let pendingConfirmAction = null;
+    // The element that had focus before the modal opened, so focus can go back to it afterwards.
+    let focusBeforeModal = null;
+
+    function isModalOpen() {
+        return messageModal.style.display === 'flex';
+    }
+
+    /**
+     * @description Displays a message to the user using the custom modal.
+     * Focus moves into the modal and stays there until it is closed.
+     * @param {string} message The text to be displayed in the modal.
+     */
+    function showMessage(message) {
+        if (!isModalOpen()) {
+            focusBeforeModal = document.activeElement;
+        }
+        pendingConfirmAction = null;
+        modalConfirmButtons.style.display = 'none';
+        modalMessage.textContent = message;
+        messageModal.style.display = 'flex';
+        closeButton.focus();
+    }
+
+    /**
+     * @description Asks the user to confirm an action using the custom modal.
+     * @param {string} message The question to be displayed in the modal.
+     * @param {Function} onConfirm Called only if the user clicks "Yes".
+     */
+    function showConfirm(message, onConfirm) {
+        showMessage(message);
+        pendingConfirmAction = onConfirm;
+        modalConfirmButtons.style.display = 'flex';
+        // Start on "Cancel", so pressing Enter straight away doesn't go ahead with the action.
+        modalCancelBtn.focus();
+    }
+
+    function closeModal() {
+        pendingConfirmAction = null;
+        messageModal.style.display = 'none';
+        if (focusBeforeModal && document.body.contains(focusBeforeModal)) {
+            focusBeforeModal.focus();
+        }
+        focusBeforeModal = null;
+    }
+
+    // The buttons Tab moves between while the modal is open.
+    function modalButtons() {
+        return modalConfirmButtons.style.display === 'flex' ? [closeButton, modalConfirmBtn, modalCancelBtn] : [closeButton];
+    }
+
+    // Event listener to close the modal when the close button is clicked.
+    closeButton.addEventListener('click', closeModal);
+    modalCancelBtn.addEventListener('click', closeModal);
+
+    // Run the pending action when the user confirms it.
+    modalConfirmBtn.addEventListener('click', () => {
+        const action = pendingConfirmAction;
+        closeModal();
+        if (action) action();
+    });
+
+    // Event listener to close the modal if the user clicks anywhere outside of it.
+    window.addEventListener('click', (event) => {
+        if (event.target === messageModal) {
+            closeModal();
+        }
+    });
+
+    // Escape closes the modal, and Tab and Shift+Tab go round its buttons instead of leaving it.
+    messageModal.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeModal();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+        const buttons = modalButtons();
+        const index = buttons.indexOf(document.activeElement);
+        const next = event.shiftKey ? index - 1 : index + 1;
+        event.preventDefault();
+        buttons[(next + buttons.length) % buttons.length].focus();
+    });
+
+    // Focus that lands outside the open modal (e.g. by clicking the page behind it) is brought back.
+    document.addEventListener('focusin', (event) => {
+        if (isModalOpen() && !messageModal.contains(event.target)) {
+            closeButton.focus();
+        }
+    });
+
+    // --- Libraries ---
+    // The tree, charts and timeline are all drawn with D3.js (from JS/vendor), so without it the page can't be used.
+    if (typeof d3 === 'undefined') {
+        showMessage("The D3.js library could not be loaded, so the family tree can't be shown. Reload the page to try again.");
+        return;
+    }
+
+    // --- Family Tree Data and DOM Element References ---
+    // The members, parent links and partnerships of the open tree (see familyGraph.js)
+    let familyGraph = FamilyGraph.createGraph();
+
+    // DOM elements for the form inputs and dropdowns
+    const addMemberForm = document.getElementById('add-member-form');
+    const memberNameInput = document.getElementById('member-name');
+    const relationshipDropdown = document.getElementById('relationship');
+
+    // Container for the spouse checkbox, initially hidden
+    const spouseOptionContainer = document.getElementById('spouse-option-container');
+    const isSpouseCheckbox = document.getElementById('is-spouse');
+    const partnershipTypeDropdown = document.getElementById('partnership-type');
+    const partnershipStartInput = document.getElementById('partnership-start');
+    const partnershipEndInput = document.getElementById('partnership-end');
+    const partnershipPlaceInput = document.getElementById('partnership-place');
+
+    // Container for choosing a new child's other parent, only shown for children
+    const childUnionContainer = document.getElementById('child-union-container');
+    const childUnionDropdown = document.getElementById('child-union');
+
+    // Buttons for adding members and downloading the family tree image
+    const downloadImgBtnPage = document.getElementById('download-img-btn-page');
+    const downloadImgBtnNav = document.getElementById('download-img-btn-nav');
+
+    // Container for the family tree visualization
+    const treeContainer = document.getElementById('family-tree-container');
+
+    // Edit panel, opened by clicking a member in the tree
+    const memberEditor = document.getElementById('member-editor');
+    const editMemberForm = document.getElementById('edit-member-form');
+    const editRemovePhotoCheckbox = document.getElementById('edit-remove-photo');
+    const editParentDropdowns = [document.getElementById('edit-parent1'), document.getElementById('edit-parent2')];
+    const editPartnershipsContainer = document.getElementById('edit-partnerships');
+    const editNewSpouseDropdown = document.getElementById('edit-new-spouse');
+    const editNewSpouseTypeDropdown = document.getElementById('edit-new-spouse-type');
+    const cancelEditBtn = document.getElementById('cancel-edit-btn');
+    const deleteModeDropdown = document.getElementById('delete-mode');
+    const deleteMemberBtn = document.getElementById('delete-member-btn');
+
+    // The id of the member open in the edit panel, or null when it is closed
+    let editingMemberId = null;
+
+    // Relationship calculator
+    const relationshipForm = document.getElementById('relationship-form');
+    const relationFromDropdown = document.getElementById('relation-from');
+    const relationToDropdown = document.getElementById('relation-to');
+    const clearRelationBtn = document.getElementById('clear-relation-btn');
+    const relationResult = document.getElementById('relation-result');
+
+    // The member ids on the path found by the relationship calculator, highlighted in the tree
+    let highlightedPath = [];
+
+    // Tree manager controls
+    const treeSelect = document.getElementById('tree-select');
+    const treeNameInput = document.getElementById('tree-name');
+    const newTreeBtn = document.getElementById('new-tree-btn');
+    const renameTreeBtn = document.getElementById('rename-tree-btn');
+    const duplicateTreeBtn = document.getElementById('duplicate-tree-btn');
+    const deleteTreeBtn = document.getElementById('delete-tree-btn');
+    const gedcomFileInput = document.getElementById('gedcom-file');
+    const importGedcomBtn = document.getElementById('import-gedcom-btn');
+    const exportGedcomBtn = document.getElementById('export-gedcom-btn');
+    const treeFileInput = document.getElementById('tree-file');
+    const importModeDropdown = document.getElementById('import-mode');
+    const importFileBtn = document.getElementById('import-file-btn');
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    const csvMapping = document.getElementById('csv-mapping');
+    const csvMappingFields = document.getElementById('csv-mapping-fields');
+    const csvPreviewBtn = document.getElementById('csv-preview-btn');
+    const csvCancelBtn = document.getElementById('csv-cancel-btn');
+
+    // The saved tree currently being edited (id, name and timestamps)
+    let activeTree = null;
+
+    // What happens to living people when the tree is shared (see privacy.js); saved with the tree
+    let privacy = TreePrivacy.normalizeSettings();
+
+    // Undo and redo for every change to the open tree (see history.js)
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const commandHistory = CommandHistory.createHistory({ onChange: updateHistoryButtons });
+
+    // --- Saving and Loading Trees ---
+
+    /**
+     * @description Saves the current members to the active tree in browser storage.
+     * Called after every change so a page refresh never loses work.
+     */
+    function saveActiveTree() {
+        if (!activeTree) return;
+        try {
+            activeTree = TreeStorage.saveTree({ ...activeTree, graph: familyGraph, privacy });
+        } catch (error) {
+            showMessage(error.message);
+        }
+    }
+
+    /**
+     * @description Makes a saved tree the active one and loads its members into the page.
+     * @param {object} tree The saved tree to open.
+     */
+    function openTree(tree) {
+        activeTree = tree;
+        familyGraph = tree.graph;
+        privacy = TreePrivacy.normalizeSettings(tree.privacy);
+        editingMemberId = null;
+        memberEditor.style.display = 'none';
+        closeNodeMenu(false);
+        collapsedIds.clear();
+        lastPositions = new Map();
+        chartFocusId = null;
+        focusedMemberId = null;
+        TreeStorage.setActiveTreeId(tree.id);
+        updateTreeManager();
+        announceMemberChanges(true);
+        updateDropdowns();
+        updateRelatedToDropdown();
+        drawTree();
+        updateSearch();
+        updateTreeCheck();
+        updateStatistics();
+        updateFamilyTimeline();
+        updatePrivacySettings();
+
+        const problems = FamilyGraph.validateGraph(familyGraph);
+        if (problems.length > 0) {
+            showMessage(`"${tree.name}" has some problems that may affect how it is drawn:\n${problems.join('\n')}`);
+        }
+    }
+
+    /**
+     * @description Opens the tree that was last used, or creates a first tree for new visitors.
+     */
+    function loadInitialTree() {
+        let tree = null;
+        try {
+            const activeId = TreeStorage.getActiveTreeId();
+            tree = activeId ? TreeStorage.loadTree(activeId) : null;
+            if (!tree) {
+                const [mostRecent] = TreeStorage.listTrees();
+                tree = mostRecent ? TreeStorage.loadTree(mostRecent.id) : TreeStorage.createTree('My Family Tree');
+            }
+        } catch (error) {
+            console.error("Error while loading saved trees:", error);
+            showMessage(error.message);
+        }
+        if (tree) {
+            openTree(tree);
+        } else {
+            // Storage is unavailable, so keep working with an unsaved tree.
+            updateDropdowns();
+            drawTree();
+        }
+    }
+
+    /**
+     * @description Refreshes the tree manager's dropdown with the saved trees.
+     */
+    function updateTreeManager() {
+        treeSelect.innerHTML = '';
+        TreeStorage.listTrees().forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.name;
+            treeSelect.appendChild(option);
+        });
+        if (activeTree) {
+            treeSelect.value = activeTree.id;
+            treeNameInput.value = activeTree.name;
+        }
+    }
+
+    /**
+     * @description Reads the tree name input, showing a message if it is empty.
+     * @returns {string|null} The trimmed name, or null if none was entered.
+     */
+    function getTreeNameInput() {
+        const name = treeNameInput.value.trim();
+        if (!name) {
+            showMessage("Please enter a name for the tree.");
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * @description Runs a tree manager action, showing a message if storage fails.
+     * @param {Function} action The storage action. Returns the tree to open, if any.
+     */
+    function runTreeAction(action) {
+        try {
+            const tree = action();
+            if (tree) {
+                // Changes made to another tree can't be undone once it is closed.
+                commandHistory.clear();
+                openTree(tree);
+            }
+        } catch (error) {
+            console.error("Error while managing trees:", error);
+            showMessage(error.message);
+        }
+    }
+
+    // Switch to another saved tree
+    treeSelect.addEventListener('change', () => {
+        runTreeAction(() => TreeStorage.loadTree(treeSelect.value));
+    });
+
+    newTreeBtn.addEventListener('click', () => {
+        const name = getTreeNameInput();
+        if (!name) return;
+        if (activeTree && name === activeTree.name) {
+            showMessage("Enter a name for the new tree first.");
+            return;
+        }
+        runTreeAction(() => TreeStorage.createTree(name));
+    });
+
+    renameTreeBtn.addEventListener('click', () => {
+        const name = getTreeNameInput();
+        if (!name || !activeTree) return;
+        runTreeAction(() => TreeStorage.renameTree(activeTree.id, name));
+    });
+
+    duplicateTreeBtn.addEventListener('click', () => {
+        if (!activeTree) return;
+        const name = treeNameInput.value.trim();
+        const copyName = name && name !== activeTree.name ? name : `${activeTree.name} (copy)`;
+        runTreeAction(() => TreeStorage.duplicateTree(activeTree.id, copyName));
+    });
+
+    deleteTreeBtn.addEventListener('click', () => {
+        if (!activeTree) return;
+        showConfirm(`Delete "${activeTree.name}" and all of its members? This cannot be undone.`, () => {
+            runTreeAction(() => {
+                TreeStorage.deleteTree(activeTree.id);
+                // Never leave the page without a tree to work on.
+                const [next] = TreeStorage.listTrees();
+                return next ? TreeStorage.loadTree(next.id) : TreeStorage.createTree('My Family Tree');
+            });
+        });
+    });
+
+    // --- Undo and Redo ---
+
+    function updateHistoryButtons() {
+        undoBtn.disabled = !commandHistory.canUndo();
+        redoBtn.disabled = !commandHistory.canRedo();
+        undoBtn.title = commandHistory.canUndo() ? `Undo ${commandHistory.undoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = commandHistory.canRedo() ? `Redo ${commandHistory.redoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    /**
+     * @description Saves and redraws the open tree after it has changed.
+     * The edit panel is refreshed too, or closed if its member no longer exists.
+     */
+    function refreshTree() {
+        saveActiveTree();
+        announceMemberChanges();
+        updateDropdowns();
+        updateRelatedToDropdown();
+        drawTree();
+        updateSearch();
+        updateTreeCheck();
+        updateStatistics();
+        updateFamilyTimeline();
+        updatePrivacySettings();
+        if (editingMemberId !== null && FamilyGraph.getMember(familyGraph, editingMemberId)) {
+            openEditPanel(editingMemberId);
+        } else if (editingMemberId !== null) {
+            closeEditPanel();
+        }
+    }
+
+    /**
+     * @description Creates a command that swaps the open tree's graph for a changed copy of it.
+     * @param {string} label What the change did, e.g. "add Mary".
+     * @param {object} before The graph before the change.
+     * @param {object} after The changed copy.
+     * @returns {object} The command, for commandHistory.run().
+     */
+    function graphCommand(label, before, after) {
+        return {
+            label,
+            execute: () => {
+                familyGraph = after;
+                refreshTree();
+            },
+            undo: () => {
+                familyGraph = before;
+                refreshTree();
+            }
+        };
+    }
+
+    /**
+     * @description Makes a change to a copy of the open tree's graph and, if it succeeds,
+     * puts the copy in place through the history so the change can be undone.
+     * @param {string} label What the change does, e.g. "add Mary".
+     * @param {Function} change Changes the graph it is given. Returns false (or throws) to cancel.
+     * @returns {boolean} True if the change was made.
+     */
+    function changeGraph(label, change) {
+        const draft = JSON.parse(JSON.stringify(familyGraph));
+        try {
+            if (!change(draft)) return false;
+        } catch (error) {
+            showMessage(error.message);
+            return false;
+        }
+        commandHistory.run(graphCommand(label, familyGraph, draft));
+        return true;
+    }
+
+    updateHistoryButtons();
+    undoBtn.addEventListener('click', () => commandHistory.undo());
+    redoBtn.addEventListener('click', () => commandHistory.redo());
+
+    // Ctrl+Z undoes and Ctrl+Shift+Z redoes (Cmd on a Mac), except while typing, where the browser's own undo applies.
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        if (event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        event.preventDefault();
+        if (event.shiftKey) {
+            commandHistory.redo();
+        } else {
+            commandHistory.undo();
+        }
+    });
+
+    // --- Member Profiles ---
+
+    // The profile inputs shared by the add form (ids starting "member-") and the edit panel ("edit-").
+    const PROFILE_INPUTS = ['name', 'surname', 'birth-name', 'nicknames', 'gender', 'living', 'birth-date', 'birth-place', 'death-date', 'death-place', 'notes'];
+
+    // The largest width or height of a stored photo, in pixels. Photos are shrunk so they fit in browser storage.
+    const PHOTO_SIZE = 256;
+
+    // Photos chosen in each form, as data URLs, waiting for the form to be submitted.
+    // In the edit panel, undefined means the member's photo is left as it is.
+    const chosenPhotos = { member: undefined, edit: undefined };
+
+    function profileInput(prefix, field) {
+        return document.getElementById(`${prefix}-${field}`);
+    }
+
+    // Whether a member is living can be set by hand, for the privacy setting.
+    ['member', 'edit'].forEach(prefix => {
+        Object.entries(TreePrivacy.LIVING_STATUSES).forEach(([status, label]) => {
+            profileInput(prefix, 'living').appendChild(new Option(label, status));
+        });
+    });
+
+    /**
+     * @description Reads the profile inputs of a form into member fields.
+     * @param {string} prefix 'member' for the add form or 'edit' for the edit panel.
+     * @param {object} [member] The member being edited. Dates they already had aren't checked again, since
+     * imported files keep dates the tree can't understand as they were written.
+     * @returns {object|null} The fields, or null if a message was shown because something is wrong.
+     */
+    function readProfile(prefix, member = {}) {
+        const value = (field) => profileInput(prefix, field).value.trim();
+        const givenName = value('name');
+        const surname = value('surname');
+        if (!givenName) {
+            showMessage("Please enter a name for the family member.");
+            return null;
+        }
+        const changedDates = [[value('birth-date'), member.birth], [value('death-date'), member.death]]
+            .filter(([date, event]) => date !== ((event && event.date) || ''))
+            .map(([date]) => date);
+        if (!checkDates(changedDates)) {
+            return null;
+        }
+
+        const event = (date, place) => (date || place ? { date, place } : null);
+        const fields = {
+            name: [givenName, surname].filter(Boolean).join(' '),
+            givenName,
+            surname,
+            birthName: value('birth-name'),
+            nicknames: value('nicknames').split(',').map(nickname => nickname.trim()).filter(Boolean),
+            gender: value('gender'),
+            livingStatus: value('living'),
+            birth: event(value('birth-date'), value('birth-place')),
+            death: event(value('death-date'), value('death-place')),
+            notes: value('notes')
+        };
+        if (chosenPhotos[prefix] !== undefined) {
+            fields.photo = chosenPhotos[prefix];
+        }
+        return fields;
+    }
+
+    /**
+     * @description Checks that dates can be understood, showing a message with examples if one can't.
+     * @param {Array<string>} dates The dates as typed (empty ones are allowed).
+     * @returns {boolean} True if every date is valid.
+     */
+    function checkDates(dates) {
+        const invalid = dates.find(date => !FamilyDates.isValid(date));
+        if (invalid) {
+            showMessage(`"${invalid}" isn't a date the tree understands. Try "12 Mar 1890", "Mar 1890", "abt. 1890", "before 1920" or "between 1890 and 1895".`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * @description Fills a form's profile inputs, from a member or with blanks.
+     * Members saved before names were split into parts have their whole name put in the given name.
+     * @param {string} prefix 'member' or 'edit'.
+     * @param {object} [member] The member to show. Leave out to clear the inputs.
+     */
+    function fillProfile(prefix, member = {}) {
+        const values = {
+            name: member.givenName !== undefined ? member.givenName : (member.name || ''),
+            surname: member.surname || '',
+            'birth-name': member.birthName || '',
+            nicknames: (member.nicknames || []).join(', '),
+            gender: member.gender || '',
+            living: member.livingStatus || '',
+            'birth-date': member.birth ? member.birth.date : '',
+            'birth-place': member.birth ? member.birth.place : '',
+            'death-date': member.death ? member.death.date : '',
+            'death-place': member.death ? member.death.place : '',
+            notes: member.notes || ''
+        };
+        PROFILE_INPUTS.forEach(field => {
+            profileInput(prefix, field).value = values[field];
+        });
+        chosenPhotos[prefix] = undefined;
+        profileInput(prefix, 'photo').value = '';
+        showPhotoPreview(prefix, member.photo);
+    }
+
+    function showPhotoPreview(prefix, photo) {
+        const preview = profileInput(prefix, 'photo-preview');
+        preview.src = photo || '';
+        preview.style.display = photo ? 'block' : 'none';
+    }
+
+    /**
+     * @description Shrinks an image file to at most PHOTO_SIZE pixels and returns it as a JPEG data URL.
+     * @param {File} file The chosen image.
+     * @returns {Promise<string>} The data URL.
+     */
+    function readPhoto(file) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const url = URL.createObjectURL(file);
+            image.onload = () => {
+                const scale = Math.min(1, PHOTO_SIZE / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', 0.85));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`"${file.name}" could not be read as an image.`));
+            };
+            image.src = url;
+        });
+    }
+
+    ['member', 'edit'].forEach(prefix => {
+        profileInput(prefix, 'photo').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            readPhoto(file).then(photo => {
+                chosenPhotos[prefix] = photo;
+                showPhotoPreview(prefix, photo);
+            }).catch(error => {
+                event.target.value = '';
+                showMessage(error.message);
+            });
+        });
+    });
+
+    // --- Member Pickers ---
+
+    // The most members a picker lists at once; typing part of a name narrows the list down.
+    const MAX_PICKER_OPTIONS = 20;
+
+    /**
+     * @description Makes a searchable list of members from a text box, for trees too big for a dropdown.
+     * Typing finds members with TreeSearch.search(); with nothing typed the newest members are listed.
+     * Each one is shown with TreeSearch.describeContext() (their lifespan and parents) so people with
+     * similar names can be told apart, and so is the chosen member. The arrow keys move through the list,
+     * Enter chooses and Escape closes it. The chosen member's id is kept in a hidden input.
+     * The elements are found by id: `${id}-search` (the text box), `${id}` (the hidden input),
+     * `${id}-options` (the list) and `${id}-context` (the line about the chosen member).
+     * @param {string} id The id of the hidden input.
+     * @param {object} [options]
+     * @param {string} [options.emptyLabel] A choice of nobody, listed first. Leave out to always have someone chosen.
+     * @param {Function} [options.onChange] Called after the user chooses someone.
+     * @returns {{value: Function, setValue: Function, refresh: Function}} The picker: value() gives the chosen
+     * id ('' for nobody), setValue() chooses a member and refresh() catches up with changes to the tree.
+     */
+    function createMemberPicker(id, { emptyLabel = '', onChange = () => {} } = {}) {
+        const input = document.getElementById(`${id}-search`);
+        const hiddenInput = document.getElementById(id);
+        const list = document.getElementById(`${id}-options`);
+        const context = document.getElementById(`${id}-context`);
+        // The members listed (null for the empty choice), and the one picked with the arrow keys.
+        let options = [];
+        let activeIndex = -1;
+
+        const chosenMember = () => FamilyGraph.getMember(familyGraph, hiddenInput.value);
+
+        // Shows the chosen member's name in the text box, and who they are underneath.
+        function showChoice() {
+            const member = chosenMember();
+            input.value = member ? member.name : '';
+            input.placeholder = familyGraph.members.length === 0 ? 'Nobody in the tree yet' : (emptyLabel || 'Type a name');
+            context.textContent = member ? TreeSearch.describeContext(familyGraph, member) : '';
+        }
+
+        function closeList() {
+            options = [];
+            activeIndex = -1;
+            list.innerHTML = '';
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        function listNote(text) {
+            const note = document.createElement('li');
+            note.className = 'member-picker-note';
+            note.textContent = text;
+            list.appendChild(note);
+        }
+
+        /**
+         * @description Lists the members matching what has been typed, or everyone newest first if
+         * nothing has (or the chosen member's name is still in the box).
+         */
+        function openList() {
+            const query = input.value.trim();
+            const chosen = chosenMember();
+            const isSearching = Boolean(query) && !(chosen && query === chosen.name);
+            const members = isSearching
+                ? TreeSearch.search(familyGraph, { name: query }).map(result => result.member)
+                : familyGraph.members.slice().reverse();
+            options = [...(emptyLabel && !isSearching ? [null] : []), ...members.slice(0, MAX_PICKER_OPTIONS)];
+            activeIndex = isSearching ? 0 : options.indexOf(chosen || null);
+
+            list.innerHTML = '';
+            options.forEach((member, index) => {
+                const item = document.createElement('li');
+                item.id = `${id}-option-${member ? member.id : 'none'}`;
+                item.className = 'search-result';
+                item.setAttribute('role', 'option');
+                const name = document.createElement('span');
+                name.className = 'search-result-name';
+                name.textContent = member ? member.name : emptyLabel;
+                item.appendChild(name);
+                const description = member ? TreeSearch.describeContext(familyGraph, member) : '';
+                if (description) {
+                    const details = document.createElement('span');
+                    details.className = 'search-result-context';
+                    details.textContent = description;
+                    item.appendChild(details);
+                }
+                // Keep the focus in the text box while clicking, so the list isn't closed first.
+                item.addEventListener('mousedown', event => event.preventDefault());
+                item.addEventListener('click', () => choose(index));
+                list.appendChild(item);
+            });
+            if (isSearching && members.length === 0) {
+                listNote('Nobody in the tree matches.');
+            } else if (members.length > MAX_PICKER_OPTIONS) {
+                listNote(`${members.length - MAX_PICKER_OPTIONS} more: type more of a name to find them.`);
+            }
+            input.setAttribute('aria-expanded', 'true');
+            markActiveOption();
+        }
+
+        function markActiveOption() {
+            Array.from(list.querySelectorAll('[role="option"]')).forEach((item, index) => {
+                item.classList.toggle('search-result--active', index === activeIndex);
+                item.setAttribute('aria-selected', String(index === activeIndex));
+            });
+            const active = list.querySelectorAll('[role="option"]')[activeIndex];
+            if (active) {
+                input.setAttribute('aria-activedescendant', active.id);
+                active.scrollIntoView({ block: 'nearest' });
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        function choose(index) {
+            const member = options[index];
+            hiddenInput.value = member ? member.id : '';
+            closeList();
+            showChoice();
+            onChange();
+        }
+
+        input.addEventListener('focus', () => {
+            input.select();
+            openList();
+        });
+        input.addEventListener('input', openList);
+        // Anything typed but not chosen is put back to the chosen member's name.
+        input.addEventListener('blur', () => {
+            closeList();
+            showChoice();
+        });
+        input.addEventListener('keydown', (event) => {
+            const isOpen = input.getAttribute('aria-expanded') === 'true';
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (!isOpen) openList();
+                if (options.length === 0) return;
+                activeIndex = (activeIndex + (event.key === 'ArrowDown' ? 1 : -1) + options.length) % options.length;
+                markActiveOption();
+            } else if (event.key === 'Enter' && isOpen && activeIndex !== -1) {
+                // Enter chooses from the list instead of submitting the form.
+                event.preventDefault();
+                choose(activeIndex);
+            } else if (event.key === 'Escape' && isOpen) {
+                event.preventDefault();
+                closeList();
+                showChoice();
+            }
+        });
+
+        return {
+            value: () => hiddenInput.value,
+            setValue(memberId) {
+                const member = FamilyGraph.getMember(familyGraph, memberId);
+                hiddenInput.value = member ? member.id : '';
+                showChoice();
+            },
+            refresh() {
+                // Someone who has been deleted can't stay chosen. Without an empty choice, the first member is chosen instead.
+                if (!chosenMember()) {
+                    const [first] = familyGraph.members;
+                    hiddenInput.value = !emptyLabel && first ? first.id : '';
+                }
+                input.disabled = familyGraph.members.length === 0;
+                closeList();
+                showChoice();
+            }
+        };
+    }
+
+    // The member a new member is related to, in the add form
+    const relatedToPicker = createMemberPicker('related-to', { onChange: updateRelatedToDropdown });
+
+    // --- Dynamic UI Updates ---
+
+    /**
+     * @description Updates the 'Related to' picker and the member dropdowns with the members of the tree.
+     * This ensures a new member can be linked to any person already in the tree.
+     */
+    function updateDropdowns() {
+        // If the tree is empty, the first member is the root and has no relative, so the pickers are disabled.
+        relationshipDropdown.disabled = familyGraph.members.length === 0;
+        relatedToPicker.refresh();
+        groupParentPickers.forEach(picker => picker.refresh());
+
+        // The relationship calculator lists everyone too, keeping the current choices where possible.
+        [relationFromDropdown, relationToDropdown].forEach((dropdown, index) => {
+            const selected = FamilyGraph.getMember(familyGraph, dropdown.value);
+            const fallback = familyGraph.members[Math.min(index, familyGraph.members.length - 1)];
+            fillMemberDropdown(dropdown, familyGraph.members, 'Choose a member', selected ? selected.id : (fallback ? fallback.id : ''));
+        });
+        updateMergeForm();
+    }
+
+    /**
+     * @description Describes a partnership for dropdowns and labels, e.g. "Divorced, 1952 – 1970".
+     * @param {object} partnership The partnership to describe.
+     * @returns {string} The description.
+     */
+    function describePartnership(partnership) {
+        const label = FamilyGraph.PARTNERSHIP_TYPES[partnership.type];
+        const dates = [partnership.startDate, partnership.endDate].filter(Boolean).join(' – ');
+        return dates ? `${label}, ${dates}` : label;
+    }
+
+    /*  @description Toggles the visibility of the spouse checkbox based on the selected relationship. 
+        The spouse checkbox is only shown when 'spouse' is selected in the relationship dropdown.
+        When adding a child, the 'Other parent' dropdown lists the related member's partnerships instead.   */
+    function updateRelatedToDropdown() {
+        const selectedRelationship = relationshipDropdown.value;
+        const selectedRelatedToId = relatedToPicker.value();
+        const selectedRelatedToMember = FamilyGraph.getMember(familyGraph, selectedRelatedToId);
+
+        if (selectedRelationship === 'spouse') {
+            spouseOptionContainer.style.display = 'flex';
+        } else {
+            spouseOptionContainer.style.display = 'none';
+            isSpouseCheckbox.checked = false; // Reset the checkbox
+        }
+
+        childUnionDropdown.innerHTML = '';
+        if (selectedRelationship === 'child' && selectedRelatedToMember) {
+            childUnionContainer.style.display = 'flex';
+            fillChildUnionDropdown(childUnionDropdown, selectedRelatedToMember);
+        } else {
+            childUnionContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * @description Fills an 'Other parent' dropdown with a member's partnerships, for choosing the one
+     * a new child was born into, then "No other parent known".
+     * @param {HTMLSelectElement} dropdown The dropdown to fill.
+     * @param {object} member The member the child is being added to.
+     */
+    function fillChildUnionDropdown(dropdown, member) {
+        dropdown.innerHTML = '';
+        const partnerships = FamilyGraph.getPartnerships(familyGraph, member.id);
+        partnerships.forEach(partnership => {
+            const spouseId = partnership.partnerIds.find(id => id !== member.id);
+            const spouse = FamilyGraph.getMember(familyGraph, spouseId);
+            const option = document.createElement('option');
+            option.value = partnership.id;
+            option.textContent = `${spouse.name} (${describePartnership(partnership)})`;
+            dropdown.appendChild(option);
+        });
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'No other parent known';
+        dropdown.appendChild(option);
+        // Default to the current partnership, if there is one.
+        const current = partnerships.filter(FamilyGraph.isPartnershipActive).pop();
+        dropdown.value = current ? current.id : (partnerships.length > 0 ? partnerships[partnerships.length - 1].id : '');
+    }
+
+    // Event listener for the relationship dropdown to show/hide the extra options (the related-to picker calls it too)
+    relationshipDropdown.addEventListener('change', updateRelatedToDropdown);
+
+    // --- Core Application Logic ---
+    /**
+     * @description Adds a new member to the family graph based on form input.
+     * The family rules are applied by FamilyGraph.addRelative(), which throws if one would be broken.
+     * @param {object} graph The graph to add the member to (a copy of the open tree's graph).
+     * @returns {boolean} True if the member was added, otherwise a message has been shown.
+     */
+    function addMember(graph) {
+        const profile = readProfile('member');
+        const relationship = relationshipDropdown.value;
+        const isSpouse = isSpouseCheckbox.checked;
+
+        if (!profile) {
+            return;
+        }
+
+        // Handle spouse relationship
+        if (graph.members.length > 0 && relationship === 'spouse' && !isSpouse) {
+            showMessage("To add a spouse, you must check the 'This member is the spouse' box.");
+            return;
+        }
+
+        // A member can have several partnerships over their life, but only one current one.
+        const partnership = {
+            type: partnershipTypeDropdown.value,
+            startDate: partnershipStartInput.value.trim(),
+            endDate: partnershipEndInput.value.trim(),
+            place: partnershipPlaceInput.value.trim()
+        };
+        if (isSpouse && !checkDates([partnership.startDate, partnership.endDate])) {
+            return;
+        }
+
+        FamilyGraph.addRelative(graph, profile, {
+            relatedId: relatedToPicker.value(),
+            relationship,
+            partnership,
+            partnershipId: childUnionDropdown.value
+        });
+        return true;
+    }
+
+    // --- Family Groups ---
+
+    const familyGroupForm = document.getElementById('family-group-form');
+    const groupChildrenContainer = document.getElementById('group-children');
+    const groupAddChildBtn = document.getElementById('group-add-child-btn');
+    const groupPartnershipTypeDropdown = document.getElementById('group-partnership-type');
+    const groupPartnershipStartInput = document.getElementById('group-partnership-start');
+
+    // Either parent can be someone already in the tree; their name boxes are hidden while they are chosen.
+    const groupParentPickers = [1, 2].map(number => {
+        const picker = createMemberPicker(`group-parent${number}`, {
+            emptyLabel: 'Someone new',
+            onChange: () => {
+                document.getElementById(`group-parent${number}-new`).hidden = Boolean(picker.value());
+            }
+        });
+        return picker;
+    });
+
+    // Numbers the child rows, so each row's inputs have their own ids.
+    let groupChildCount = 0;
+
+    /**
+     * @description Adds a row for another child to the family group form: given name(s), surname and birth date.
+     * @returns {HTMLElement} The row.
+     */
+    function addGroupChildRow() {
+        groupChildCount++;
+        const prefix = `group-child${groupChildCount}`;
+        const row = document.createElement('div');
+        row.className = 'family-group-child';
+        [['name', "Child's given name(s)"], ['surname', 'Surname'], ['birth-date', 'Born']].forEach(([field, label]) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `${prefix}-${field}`;
+            input.placeholder = label;
+            input.setAttribute('aria-label', label);
+            row.appendChild(input);
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'tree-manager-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.setAttribute('aria-label', 'Remove this child');
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            if (groupChildrenContainer.children.length === 0) addGroupChildRow();
+        });
+        row.appendChild(removeBtn);
+        row.dataset.prefix = prefix;
+        groupChildrenContainer.appendChild(row);
+        return row;
+    }
+
+    /**
+     * @description Reads the given name(s), surname and birth date of a person in one of the short forms:
+     * a parent or a child's row in the family group form, or the quick add form.
+     * @param {string} prefix The start of the inputs' ids, e.g. 'group-parent1', 'group-child3' or 'quick-add'.
+     * @param {string} [defaultSurname] The surname to use if none was entered.
+     * @returns {object|null} The person's details, or null if no given name was entered.
+     */
+    function readShortProfile(prefix, defaultSurname = '') {
+        const value = (field) => document.getElementById(`${prefix}-${field}`).value.trim();
+        const givenName = value('name');
+        if (!givenName) return null;
+        const surname = value('surname') || defaultSurname;
+        const birthDate = value('birth-date');
+        return {
+            name: [givenName, surname].filter(Boolean).join(' '),
+            givenName,
+            surname,
+            birth: birthDate ? { date: birthDate, place: '' } : null
+        };
+    }
+
+    /**
+     * @description Reads the family group form into the group FamilyGraph.addFamilyGroup() takes.
+     * Rows with no given name are skipped, and children with no surname get the first parent's.
+     * @returns {object|null} The group, or null if a message was shown because something is wrong.
+     */
+    function readFamilyGroup() {
+        const partners = groupParentPickers.map((picker, index) => (picker.value()
+            ? { id: Number(picker.value()) }
+            : readShortProfile(`group-parent${index + 1}`)));
+        const [firstParent] = partners.filter(Boolean);
+        const firstMember = firstParent && firstParent.id !== undefined ? FamilyGraph.getMember(familyGraph, firstParent.id) : firstParent;
+        const children = Array.from(groupChildrenContainer.children)
+            .map(row => readShortProfile(row.dataset.prefix, firstMember ? firstMember.surname || '' : ''))
+            .filter(Boolean);
+        const newPeople = [...partners.filter(partner => partner && partner.id === undefined), ...children];
+        if (newPeople.length === 0) {
+            showMessage("Please enter the names of the people in the family.");
+            return null;
+        }
+        const partnership = { type: groupPartnershipTypeDropdown.value, startDate: groupPartnershipStartInput.value.trim() };
+        const dates = [...newPeople.map(person => (person.birth ? person.birth.date : '')), partnership.startDate];
+        if (!checkDates(dates)) {
+            return null;
+        }
+        return { partners, partnership, children, newPeople };
+    }
+
+    function resetFamilyGroupForm() {
+        familyGroupForm.reset();
+        groupParentPickers.forEach((picker, index) => {
+            picker.setValue('');
+            document.getElementById(`group-parent${index + 1}-new`).hidden = false;
+        });
+        groupChildrenContainer.innerHTML = '';
+        addGroupChildRow();
+    }
+
+    familyGroupForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const group = readFamilyGroup();
+        if (!group) return;
+        const { newPeople, ...family } = group;
+        const label = `add ${listNames(newPeople.map(person => person.name))}`;
+        if (changeGraph(label, graph => FamilyGraph.addFamilyGroup(graph, family))) {
+            resetFamilyGroupForm();
+        }
+    });
+    groupAddChildBtn.addEventListener('click', () => {
+        addGroupChildRow().querySelector('input').focus();
+    });
+    addGroupChildRow();
+
+    // --- Editing Members ---
+
+    /**
+     * @description Fills a dropdown with members, after an empty choice.
+     * @param {HTMLSelectElement} dropdown The dropdown to fill.
+     * @param {Array<object>} members The members to list.
+     * @param {string} emptyLabel The text of the empty choice (value '').
+     * @param {number|string} selectedId The id to select, or '' for the empty choice.
+     */
+    function fillMemberDropdown(dropdown, members, emptyLabel, selectedId) {
+        dropdown.innerHTML = '';
+        const emptyOption = document.createElement('option');
+        emptyOption.value = '';
+        emptyOption.textContent = emptyLabel;
+        dropdown.appendChild(emptyOption);
+        members.forEach(member => {
+            const option = document.createElement('option');
+            option.value = member.id;
+            option.textContent = member.name;
+            dropdown.appendChild(option);
+        });
+        dropdown.value = selectedId;
+    }
+
+    /**
+     * @description Builds one editable row for each of the member's partnerships.
+     * @param {object} member The member being edited.
+     */
+    function fillPartnershipRows(member) {
+        editPartnershipsContainer.innerHTML = '';
+        const partnerships = FamilyGraph.getPartnerships(familyGraph, member.id);
+        if (partnerships.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'No spouses or partners yet.';
+            editPartnershipsContainer.appendChild(none);
+            return;
+        }
+
+        partnerships.forEach(partnership => {
+            const spouse = FamilyGraph.getMember(familyGraph, partnership.partnerIds.find(id => id !== member.id));
+            const row = document.createElement('div');
+            row.className = 'edit-partnership-row';
+            row.dataset.partnershipId = partnership.id;
+
+            const title = document.createElement('strong');
+            title.textContent = spouse.name;
+            row.appendChild(title);
+
+            const typeDropdown = document.createElement('select');
+            typeDropdown.className = 'edit-partnership-type';
+            typeDropdown.setAttribute('aria-label', `Status with ${spouse.name}`);
+            Object.entries(FamilyGraph.PARTNERSHIP_TYPES).forEach(([type, label]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = label;
+                typeDropdown.appendChild(option);
+            });
+            typeDropdown.value = partnership.type;
+            row.appendChild(typeDropdown);
+
+            [
+                ['edit-partnership-start', 'From', partnership.startDate],
+                ['edit-partnership-end', 'Until', partnership.endDate],
+                ['edit-partnership-place', 'Place', partnership.place]
+            ]
+                .forEach(([className, label, value]) => {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.className = className;
+                    input.placeholder = label;
+                    input.setAttribute('aria-label', `${label} (${spouse.name})`);
+                    input.value = value || '';
+                    row.appendChild(input);
+                });
+
+            const removeLabel = document.createElement('label');
+            const removeCheckbox = document.createElement('input');
+            removeCheckbox.type = 'checkbox';
+            removeCheckbox.className = 'edit-partnership-remove';
+            removeLabel.appendChild(removeCheckbox);
+            removeLabel.appendChild(document.createTextNode(' Remove'));
+            row.appendChild(removeLabel);
+
+            editPartnershipsContainer.appendChild(row);
+        });
+    }
+
+    /**
+     * @description Opens the edit panel for a member, filled with their current details.
+     * @param {number} memberId The id of the member to edit.
+     */
+    function openEditPanel(memberId) {
+        const member = FamilyGraph.getMember(familyGraph, memberId);
+        if (!member) return;
+        editingMemberId = member.id;
+        fillProfile('edit', member);
+        editRemovePhotoCheckbox.checked = false;
+
+        // A member's parents can be anyone except themselves and their descendants.
+        const descendantIds = FamilyGraph.getDescendants(familyGraph, member.id).map(d => d.id);
+        const possibleParents = familyGraph.members.filter(m => m.id !== member.id && !descendantIds.includes(m.id));
+        const parents = FamilyGraph.getParents(familyGraph, member.id);
+        editParentDropdowns.forEach((dropdown, index) => {
+            fillMemberDropdown(dropdown, possibleParents, 'No parent', parents[index] ? parents[index].id : '');
+        });
+
+        fillPartnershipRows(member);
+        const possibleSpouses = familyGraph.members.filter(m => m.id !== member.id);
+        fillMemberDropdown(editNewSpouseDropdown, possibleSpouses, 'No new spouse', '');
+
+        memberEditor.style.display = 'flex';
+        highlightSelectedNode();
+    }
+
+    function closeEditPanel() {
+        editingMemberId = null;
+        memberEditor.style.display = 'none';
+        highlightSelectedNode();
+    }
+
+    // Outline the member who is open in the edit panel, in the tree and on the timeline.
+    function highlightSelectedNode() {
+        d3.select(treeContainer).selectAll('.node')
+            .classed('node--selected', function() {
+                return editingMemberId !== null && this.id === `node-${editingMemberId}`;
+            })
+            .attr('aria-selected', function() {
+                return String(editingMemberId !== null && this.id === `node-${editingMemberId}`);
+            });
+        markSelectedLife();
+    }
+
+    /**
+     * @description Applies the edit panel to the family graph.
+     * The changes are made on a copy of the graph, which is validated before it replaces the
+     * current one, so a rejected change leaves the tree exactly as it was.
+     */
+    function saveMemberEdits() {
+        const profile = readProfile('edit', FamilyGraph.getMember(familyGraph, editingMemberId));
+        if (!profile) {
+            return;
+        }
+        if (editRemovePhotoCheckbox.checked) {
+            profile.photo = '';
+        }
+        const rows = Array.from(editPartnershipsContainer.querySelectorAll('.edit-partnership-row'));
+        // As with the member's own dates, only the partnership dates that were changed are checked.
+        const partnershipDates = rows.flatMap(row => {
+            const partnership = FamilyGraph.getPartnership(familyGraph, row.dataset.partnershipId) || {};
+            return [['start', partnership.startDate], ['end', partnership.endDate]]
+                .map(([field, saved]) => [row.querySelector(`.edit-partnership-${field}`).value.trim(), saved || ''])
+                .filter(([date, saved]) => date !== saved)
+                .map(([date]) => date);
+        });
+        if (!checkDates(partnershipDates)) {
+            return;
+        }
+        const parentIds = editParentDropdowns.map(dropdown => dropdown.value).filter(Boolean);
+        if (parentIds.length === 2 && parentIds[0] === parentIds[1]) {
+            showMessage("Please choose two different parents.");
+            return;
+        }
+
+        const draft = JSON.parse(JSON.stringify(familyGraph));
+        try {
+            FamilyGraph.updateMember(draft, editingMemberId, profile);
+            FamilyGraph.setParents(draft, editingMemberId, parentIds);
+
+            rows.forEach(row => {
+                if (row.querySelector('.edit-partnership-remove').checked) {
+                    FamilyGraph.removePartnership(draft, row.dataset.partnershipId);
+                } else {
+                    FamilyGraph.updatePartnership(draft, row.dataset.partnershipId, {
+                        type: row.querySelector('.edit-partnership-type').value,
+                        startDate: row.querySelector('.edit-partnership-start').value.trim(),
+                        endDate: row.querySelector('.edit-partnership-end').value.trim(),
+                        place: row.querySelector('.edit-partnership-place').value.trim()
+                    });
+                }
+            });
+
+            if (editNewSpouseDropdown.value) {
+                FamilyGraph.addPartnership(draft, editingMemberId, editNewSpouseDropdown.value, {
+                    type: editNewSpouseTypeDropdown.value
+                });
+            }
+        } catch (error) {
+            showMessage(error.message);
+            return;
+        }
+
+        // Only one partnership per person can be current.
+        const stillTogetherTwice = [editingMemberId, Number(editNewSpouseDropdown.value)]
+            .filter(Boolean)
+            .map(id => FamilyGraph.getMember(draft, id))
+            .find(m => FamilyGraph.getPartnerships(draft, m.id).filter(FamilyGraph.isPartnershipActive).length > 1);
+        if (stillTogetherTwice) {
+            showMessage(`${stillTogetherTwice.name} can only have one current spouse. Mark the other partnership as divorced or widowed, or give it an end date.`);
+            return;
+        }
+
+        const problems = FamilyGraph.validateGraph(draft);
+        if (problems.length > 0) {
+            showMessage(problems.join('\n'));
+            return;
+        }
+
+        commandHistory.run(graphCommand(`edit ${profile.name}`, familyGraph, draft));
+    }
+
+    /**
+     * @description Asks the user to confirm deleting the member in the edit panel, in the chosen way.
+     */
+    function deleteEditedMember() {
+        const member = FamilyGraph.getMember(familyGraph, editingMemberId);
+        if (!member) return;
+        const mode = deleteModeDropdown.value;
+        const descendants = FamilyGraph.getDescendants(familyGraph, member.id);
+
+        let question = `Delete ${member.name}?`;
+        if (mode === 'subtree' && descendants.length > 0) {
+            question = `Delete ${member.name} and ${descendants.length} descendant${descendants.length === 1 ? '' : 's'}: ${descendants.map(d => d.name).join(', ')}?`;
+        } else if (mode === 'placeholder') {
+            question = `Replace ${member.name} with an unknown person? Their links to the rest of the family are kept.`;
+        } else if (FamilyGraph.getParents(familyGraph, member.id).length === 0 && descendants.length > 0) {
+            question = `Delete ${member.name}? Their children will stay in the tree, starting a branch of their own if they have no other parent.`;
+        }
+
+        showConfirm(`${question} You can undo this with Ctrl+Z.`, () => {
+            changeGraph(`delete ${member.name}`, graph => FamilyGraph.deleteMember(graph, member.id, mode));
+        });
+    }
+
+    editMemberForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveMemberEdits();
+    });
+    cancelEditBtn.addEventListener('click', closeEditPanel);
+    deleteMemberBtn.addEventListener('click', deleteEditedMember);
+
+    // --- Relationship Calculator ---
+
+    /**
+     * @description Works out how the two chosen members are related, shows the answer
+     * and highlights the path between them in the tree.
+     */
+    function findRelationship() {
+        let relation;
+        try {
+            relation = Relationships.describe(familyGraph, relationFromDropdown.value, relationToDropdown.value);
+        } catch (error) {
+            showMessage(error.message);
+            return;
+        }
+
+        const lines = [relation.description];
+        if (relation.commonAncestors.length > 0) {
+            const names = relation.commonAncestors.map(member => member.name).join(' and ');
+            lines.push(`Nearest common ancestor${relation.commonAncestors.length === 1 ? '' : 's'}: ${names}.`);
+        }
+        relationResult.textContent = lines.join('\n');
+        highlightPath(relation.path);
+    }
+
+    /**
+     * @description Highlights a path of members in the tree, along with the links between them.
+     * The path stays highlighted when the tree is redrawn, until it is cleared.
+     * @param {Array<number>} path The member ids, in order. Empty to clear the highlight.
+     */
+    function highlightPath(path) {
+        highlightedPath = path;
+        const tree = d3.select(treeContainer);
+        const onPath = (a, b) => highlightedPath.some((id, index) =>
+            index > 0 && ((highlightedPath[index - 1] === a && id === b) || (highlightedPath[index - 1] === b && id === a)));
+
+        tree.selectAll('.node')
+            .classed('node--path', function() {
+                return highlightedPath.some(id => this.id === `node-${id}`);
+            });
+        tree.selectAll('.link')
+            .classed('link--path', d => d.parentIds.some(parentId => onPath(parentId, d.childId)));
+        tree.selectAll('.spouse-link')
+            .classed('link--path', d => onPath(...d.partnership.partnerIds));
+    }
+
+    relationshipForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        findRelationship();
+    });
+    clearRelationBtn.addEventListener('click', () => {
+        relationResult.textContent = '';
+        highlightPath([]);
+    });
+
+    // --- GEDCOM Import and Export ---
+
+    /**
+     * @description Reads the chosen .ged file and opens its people as a new saved tree.
+     */
+    function importGedcom() {
+        const file = gedcomFileInput.files[0];
+        if (!file) {
+            showMessage("Please choose a GEDCOM (.ged) file to import.");
+            return;
+        }
+
+        file.text().then(text => {
+            const { members, summary } = Gedcom.toMembers(Gedcom.parse(text));
+            if (members.length === 0) {
+                showMessage("No people could be imported from this file.");
+                return;
+            }
+            const { graph, problems } = FamilyGraph.fromMemberList(members);
+            summary.warnings.push(...problems);
+
+            const treeName = file.name.replace(/\.(ged|gedcom)$/i, '');
+            const tree = { ...TreeStorage.createTree(treeName), graph };
+            const previousTree = activeTree;
+            // Undoing the import deletes the new tree and goes back to the one that was open.
+            commandHistory.run({
+                label: `import ${file.name}`,
+                execute: () => openTree(TreeStorage.saveTree(tree)),
+                undo: () => {
+                    TreeStorage.deleteTree(tree.id);
+                    openTree((previousTree && TreeStorage.loadTree(previousTree.id)) || TreeStorage.createTree('My Family Tree'));
+                }
+            });
+            gedcomFileInput.value = '';
+            showMessage(Gedcom.describeSummary(summary));
+        }).catch(error => {
+            console.error("Error during GEDCOM import:", error);
+            showMessage(`The GEDCOM file could not be imported. ${error.message}`);
+        });
+    }
+
+    /**
+     * @description Downloads the current tree as a GEDCOM 5.5.1 file.
+     */
+    function exportGedcom() {
+        if (familyGraph.members.length === 0) {
+            showMessage("There is no family tree to export yet.");
+            return;
+        }
+        const blob = new Blob([Gedcom.fromMembers(FamilyGraph.toMemberList(sharedGraph().graph))], { type: 'text/plain' });
+        downloadFile(`${exportFileName()}.ged`, blob);
+    }
+
+    importGedcomBtn.addEventListener('click', importGedcom);
+    exportGedcomBtn.addEventListener('click', exportGedcom);
+
+    // --- JSON and CSV Files ---
+
+    // The CSV file waiting for its columns to be mapped: { fileName, rows }.
+    let pendingCsv = null;
+
+    /**
+     * @description Reads the chosen JSON or CSV file. JSON backups go straight to the preview;
+     * CSV files first show the column mapping.
+     */
+    function importTreeFile() {
+        const file = treeFileInput.files[0];
+        if (!file) {
+            showMessage("Please choose a JSON or CSV file to import.");
+            return;
+        }
+
+        file.text().then(text => {
+            if (/\.csv$/i.test(file.name)) {
+                showCsvMapping(file.name, TreeFile.parseCsv(text));
+            } else {
+                previewImport(file.name, TreeFile.fromJson(text));
+            }
+        }).catch(error => {
+            console.error("Error during file import:", error);
+            showMessage(`The file could not be imported. ${error.message}`);
+        });
+    }
+
+    /**
+     * @description Shows a dropdown of the CSV file's columns for each field, with a guess already chosen.
+     * @param {string} fileName The name of the CSV file.
+     * @param {Array<Array<string>>} rows The rows of the file, starting with the header.
+     */
+    function showCsvMapping(fileName, rows) {
+        if (rows.length < 2) {
+            showMessage("The CSV file needs a header row and at least one person.");
+            return;
+        }
+        pendingCsv = { fileName, rows };
+        const headers = rows[0];
+        const guess = TreeFile.guessMapping(headers);
+        csvMappingFields.innerHTML = '';
+        Object.entries(TreeFile.CSV_FIELDS).forEach(([field, label]) => {
+            const dropdown = document.createElement('select');
+            dropdown.id = `csv-field-${field}`;
+            dropdown.dataset.field = field;
+            dropdown.appendChild(new Option('(not in file)', '-1'));
+            headers.forEach((header, index) => dropdown.appendChild(new Option(header || `Column ${index + 1}`, index)));
+            dropdown.value = guess[field];
+            const fieldLabel = document.createElement('label');
+            fieldLabel.htmlFor = dropdown.id;
+            fieldLabel.textContent = `${label}:`;
+            csvMappingFields.append(fieldLabel, dropdown);
+        });
+        csvMapping.style.display = 'flex';
+    }
+
+    function hideCsvMapping() {
+        pendingCsv = null;
+        csvMapping.style.display = 'none';
+        csvMappingFields.innerHTML = '';
+    }
+
+    function previewCsvImport() {
+        if (!pendingCsv) return;
+        const mapping = {};
+        csvMappingFields.querySelectorAll('select').forEach(dropdown => {
+            mapping[dropdown.dataset.field] = parseInt(dropdown.value, 10);
+        });
+        try {
+            previewImport(pendingCsv.fileName, TreeFile.fromCsv(pendingCsv.rows, mapping));
+        } catch (error) {
+            showMessage(error.message);
+        }
+    }
+
+    /**
+     * @description Shows what an import will do and applies it once the user confirms.
+     * When adding to the tree, people who are already in it are linked instead of added again.
+     * @param {string} fileName The name of the imported file.
+     * @param {{graph: object, problems: Array<string>}} imported The family read from the file.
+     */
+    function previewImport(fileName, imported) {
+        if (imported.graph.members.length === 0) {
+            showMessage(["No people could be imported from this file.", ...imported.problems].join('\n'));
+            return;
+        }
+        const mode = importModeDropdown.value;
+        const matches = mode === 'merge' ? TreeFile.findMatches(familyGraph, imported.graph) : new Map();
+        const preview = TreeFile.describePreview(imported, { fileName, mode, graph: familyGraph, matches });
+        showConfirm(preview, () => {
+            if (mode === 'replace') {
+                commandHistory.run(graphCommand(`replace tree with ${fileName}`, familyGraph, imported.graph));
+            } else {
+                let problems = [];
+                changeGraph(`import ${fileName}`, (graph) => {
+                    problems = FamilyGraph.mergeGraph(graph, imported.graph, matches).problems;
+                    return true;
+                });
+                if (problems.length > 0) {
+                    showMessage(`The people were imported, but some links were skipped:\n${problems.join('\n')}`);
+                }
+            }
+            treeFileInput.value = '';
+            hideCsvMapping();
+        });
+    }
+
+    function exportJson() {
+        const tree = { ...(activeTree || { name: exportFileName() }), graph: sharedGraph().graph, privacy };
+        downloadFile(`${exportFileName()}.json`, new Blob([TreeFile.toJson(tree)], { type: 'application/json' }));
+    }
+
+    function exportCsv() {
+        if (familyGraph.members.length === 0) {
+            showMessage("There is no family tree to export yet.");
+            return;
+        }
+        downloadFile(`${exportFileName()}.csv`, new Blob([TreeFile.toCsv(sharedGraph().graph)], { type: 'text/csv' }));
+    }
+
+    importFileBtn.addEventListener('click', importTreeFile);
+    csvPreviewBtn.addEventListener('click', previewCsvImport);
+    csvCancelBtn.addEventListener('click', hideCsvMapping);
+    exportJsonBtn.addEventListener('click', exportJson);
+    exportCsvBtn.addEventListener('click', exportCsv);
+
+    // --- D3.js Tree Visualization ---
+
+    // How long moves, fades and zooms take, in milliseconds.
+    const TRANSITION_DURATION = 500;
+
+    // Members whose descendants are folded away (clicking the small +/− toggle on a member).
+    const collapsedIds = new Set();
+    // The chart shown (one of TreeLayouts.LAYOUTS), and the member the pedigree, descendant,
+    // hourglass and fan charts are centred on. Clicking a member re-centres the chart on them.
+    let chartLayout = 'family';
+    let chartFocusId = null;
+
+    // Where each member was drawn last time, so new members can grow out of their parent.
+    let lastPositions = new Map();
+    // The area covered by the drawn tree, in tree coordinates, for fitting it to the view.
+    let treeBounds = null;
+
+    // The SVG is created once and updated in place; d3-zoom pans and zooms the viewport group inside it.
+    const treeToolbar = document.getElementById('tree-toolbar');
+    const treeMessage = document.createElement('div');
+    treeMessage.className = 'familytree-instructions';
+    treeMessage.textContent = 'Start by adding a family member above to create your tree!';
+    treeContainer.appendChild(treeMessage);
+
+    const treeSvg = d3.select(treeContainer).append('svg')
+        .attr('class', 'family-tree-svg')
+        .attr('width', '100%')
+        .attr('height', '100%');
+    const viewport = treeSvg.append('g').attr('class', 'tree-viewport');
+    const segmentLayer = viewport.append('g').attr('class', 'segment-layer');
+    const linkLayer = viewport.append('g').attr('class', 'link-layer');
+    const nodeLayer = viewport.append('g').attr('class', 'node-layer');
+
+    const zoom = d3.zoom()
+        .scaleExtent([0.1, 3])
+        .on('zoom', (event) => viewport.attr('transform', event.transform));
+    treeSvg.call(zoom).on('dblclick.zoom', null);
+
+    /**
+     * @description Zooms and pans so the whole tree fits in the container.
+     * @param {boolean} [animate=true] False to jump straight there, e.g. when a tree is opened.
+     */
+    function fitTreeToView(animate = true) {
+        if (!treeBounds) return;
+        const width = treeContainer.clientWidth;
+        const height = treeContainer.clientHeight;
+        const padding = 40;
+        const treeWidth = treeBounds.right - treeBounds.left;
+        const treeHeight = treeBounds.bottom - treeBounds.top;
+        // Never zoom in past full size, so small trees aren't blown up.
+        const scale = Math.min(1, (width - padding * 2) / treeWidth, (height - padding * 2) / treeHeight);
+        const transform = d3.zoomIdentity
+            .translate(width / 2, height / 2)
+            .scale(scale)
+            .translate(-(treeBounds.left + treeBounds.right) / 2, -(treeBounds.top + treeBounds.bottom) / 2);
+        if (animate) {
+            treeSvg.transition().duration(TRANSITION_DURATION).call(zoom.transform, transform);
+        } else {
+            treeSvg.call(zoom.transform, transform);
+        }
+    }
+
+    document.getElementById('zoom-in-btn').addEventListener('click', () => {
+        treeSvg.transition().duration(TRANSITION_DURATION / 2).call(zoom.scaleBy, 1.25);
+    });
+    document.getElementById('zoom-out-btn').addEventListener('click', () => {
+        treeSvg.transition().duration(TRANSITION_DURATION / 2).call(zoom.scaleBy, 0.8);
+    });
+    document.getElementById('fit-view-btn').addEventListener('click', () => fitTreeToView());
+
+    // --- Chart Layouts ---
+
+    const layoutDropdown = document.getElementById('layout-select');
+    const layoutFocusDropdown = document.getElementById('layout-focus');
+    Object.entries(TreeLayouts.LAYOUTS).forEach(([name, label]) => {
+        layoutDropdown.appendChild(new Option(label, name));
+    });
+
+    /**
+     * @description Works out who the chart is centred on: the chosen member if they are still in the tree,
+     * otherwise the first member. Also refreshes the "centred on" dropdown, which only the
+     * person-centred charts show.
+     */
+    function updateChartFocus() {
+        if (!FamilyGraph.getMember(familyGraph, chartFocusId)) {
+            chartFocusId = familyGraph.members.length > 0 ? familyGraph.members[0].id : null;
+        }
+        fillMemberDropdown(layoutFocusDropdown, familyGraph.members, 'Centre on…', chartFocusId === null ? '' : chartFocusId);
+        layoutFocusDropdown.style.display = chartLayout === 'family' ? 'none' : '';
+    }
+
+    /**
+     * @description Switches to another chart, or centres the current chart on another member,
+     * then fits the new chart to the view.
+     * @param {string} layout One of TreeLayouts.LAYOUTS.
+     * @param {number|null} focusId The member to centre on.
+     */
+    function showChart(layout, focusId) {
+        chartLayout = layout;
+        chartFocusId = focusId;
+        layoutDropdown.value = layout;
+        drawTree();
+        fitTreeToView();
+    }
+
+    layoutDropdown.addEventListener('change', () => showChart(layoutDropdown.value, chartFocusId));
+    layoutFocusDropdown.addEventListener('change', () => {
+        if (layoutFocusDropdown.value) {
+            showChart(chartLayout, parseInt(layoutFocusDropdown.value, 10));
+        }
+    });
+
+    /**
+     * @description Handles a click on a member: opens them in the edit panel and brings them to the middle
+     * of the view. The person-centred charts are redrawn around them.
+     * @param {object} d The clicked node's data.
+     */
+    function selectNode(d) {
+        focusedMemberId = d.member.id;
+        openEditPanel(d.member.id);
+        if (chartLayout === 'family') {
+            treeSvg.transition().duration(TRANSITION_DURATION).call(zoom.translateTo, d.x, d.y);
+        } else if (d.member.id !== chartFocusId) {
+            showChart(chartLayout, d.member.id);
+        }
+    }
+
+    /**
+     * @description Folds a member's descendants away, or shows them again.
+     * @param {number} memberId The member whose children are toggled.
+     */
+    function toggleCollapsed(memberId) {
+        if (collapsedIds.has(memberId)) {
+            collapsedIds.delete(memberId);
+        } else {
+            collapsedIds.add(memberId);
+        }
+        drawTree();
+    }
+
+    /**
+     * @description Renders the family tree visualization using D3.js.
+     * The SVG is updated in place: new members grow out of their parent, moved members slide to their
+     * new place and removed members fade out, so the view doesn't jump after every change.
+     */
+    function drawTree() {
+        const isEmpty = familyGraph.members.length === 0;
+        // Display a message if the tree is empty
+        treeMessage.style.display = isEmpty ? 'block' : 'none';
+        treeSvg.style('display', isEmpty || isOutlineShown ? 'none' : null);
+        treeToolbar.style.display = isEmpty ? 'none' : 'flex';
+
+        updateChartFocus();
+        const { members, childLinks, spouseLinks, segments, linkShape } = TreeLayouts.layout(chartLayout, familyGraph, {
+            focusId: chartFocusId,
+            collapsedIds
+        });
+        const transition = d3.transition().duration(TRANSITION_DURATION);
+        // New members grow out of their parent (or partner), from where that person was last drawn.
+        const startOf = (d) => (d.origin && (lastPositions.get(d.origin.id) || d.origin)) || { x: d.x, y: d.y };
+        const linkGenerator = linkShape === 'horizontal' ? d3.linkHorizontal() : d3.linkVertical();
+        const linkPath = (source, target) => linkGenerator({ source: [source.x, source.y], target: [target.x, target.y] });
+        // Partners are joined by a curve that bows out sideways by its lift.
+        const spousePath = (d) => {
+            const length = Math.hypot(d.x2 - d.x1, d.y2 - d.y1) || 1;
+            const controlX = (d.x1 + d.x2) / 2 + (d.lift * (d.y2 - d.y1)) / length;
+            const controlY = (d.y1 + d.y2) / 2 - (d.lift * (d.x2 - d.x1)) / length;
+            return `M${d.x1},${d.y1} Q${controlX},${controlY} ${d.x2},${d.y2}`;
+        };
+        const arc = d3.arc();
+
+        // Fan chart rings, one slice per ancestor
+        segmentLayer.selectAll('.fan-segment')
+            .data(segments, d => d.memberId)
+            .join(
+                enter => enter.append('path').style('opacity', 0),
+                update => update,
+                exit => exit.transition(transition).style('opacity', 0).remove()
+            )
+            .attr('class', d => `fan-segment fan-segment--${FamilyGraph.getMember(familyGraph, d.memberId).gender || 'unknown'}`)
+            .attr('d', arc)
+            .transition(transition)
+            .style('opacity', 1);
+
+        // Parent-child links
+        linkLayer.selectAll('.link')
+            .data(childLinks, d => d.key)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', 'link')
+                    .attr('d', d => linkPath(d.source, d.source))
+                    .style('opacity', 0),
+                update => update,
+                exit => exit.transition(transition).style('opacity', 0).remove()
+            )
+            .transition(transition)
+            .attr('d', d => linkPath(d.source, d.target))
+            .style('opacity', 1);
+
+        // Spouse links, one per union
+        const spouseLinkPaths = linkLayer.selectAll('.spouse-link')
+            .data(spouseLinks, d => d.partnership.id)
+            .join(
+                enter => {
+                    const path = enter.append('path')
+                        .attr('d', d => spousePath({ ...d, x2: d.x1, y2: d.y1 }))
+                        .style('opacity', 0);
+                    path.append('title');
+                    return path;
+                },
+                update => update,
+                exit => exit.transition(transition).style('opacity', 0).remove()
+            )
+            .attr('class', d => `spouse-link spouse-link--${d.partnership.type}`);
+        spouseLinkPaths.select('title')
+            .text(d => `${d.member.name} & ${d.spouse.name}: ${describePartnership(d.partnership)}`);
+        spouseLinkPaths.transition(transition)
+            .attr('d', spousePath)
+            .style('opacity', 1);
+
+        // Nodes (circles and text)
+        const nodes = nodeLayer.selectAll('.node')
+            .data(members, d => d.member.id)
+            .join(
+                enter => {
+                    const node = enter.append('g')
+                        .attr('transform', d => {
+                            const start = startOf(d);
+                            return `translate(${start.x},${start.y})`;
+                        })
+                        .style('opacity', 0)
+                        .on('click', (event, d) => selectNode(d))
+                        // Right-clicking, the context menu key or Shift+F10 opens the quick add menu.
+                        .on('contextmenu', (event, d) => {
+                            event.preventDefault();
+                            openNodeMenu(d.member.id);
+                        });
+                    node.append('circle').attr('r', 20);
+                    // The member's name, with their lifespan underneath
+                    node.append('text').attr('class', 'node-name').attr('dy', 5);
+                    node.append('text').attr('class', 'node-lifespan').attr('dy', 34);
+                    // A small +/− button that folds the member's descendants away
+                    const toggle = node.append('g')
+                        .attr('class', 'node-toggle')
+                        .attr('transform', 'translate(18,-18)')
+                        .on('click', (event, d) => {
+                            event.stopPropagation();
+                            toggleCollapsed(d.member.id);
+                        });
+                    toggle.append('circle').attr('r', 8);
+                    toggle.append('text').attr('dy', 1);
+                    toggle.append('title');
+                    return node;
+                },
+                update => update,
+                exit => exit.transition(transition).style('opacity', 0).remove()
+            )
+            .attr('class', d => `node${d.isSpouse ? ' spouse-node' : ''}${d.hasChildren ? ' node--internal' : ' node--leaf'}${d.collapsed ? ' node--collapsed' : ''}${chartLayout !== 'family' && d.member.id === chartFocusId ? ' node--focus' : ''}`)
+            .attr('id', d => `node-${d.member.id}`);
+        labelTreeNodes(nodes, linkShape);
+
+        nodes.select('.node-name').text(d => d.member.name);
+        nodes.select('.node-lifespan').text(d => FamilyDates.formatLifespan(d.member));
+        nodes.select('.node-toggle')
+            .style('display', d => (d.hasChildren ? null : 'none'))
+            .select('text')
+            .text(d => (d.collapsed ? '+' : '−'));
+        nodes.select('.node-toggle title')
+            .text(d => (d.collapsed ? `Show ${d.member.name}'s descendants` : `Hide ${d.member.name}'s descendants`));
+
+        nodes.transition(transition)
+            .attr('transform', d => `translate(${d.x},${d.y})`)
+            .style('opacity', 1);
+
+        const isFirstDraw = lastPositions.size === 0;
+        lastPositions = new Map(members.map(d => [d.member.id, { x: d.x, y: d.y }]));
+        // The fan chart's rings reach past the members drawn in them.
+        const ringRadius = d3.max(segments, d => d.outerRadius) || 0;
+        treeBounds = members.length === 0 ? null : {
+            left: Math.min(d3.min(members, d => d.x) - TreeLayouts.NODE_WIDTH / 2, -ringRadius),
+            right: Math.max(d3.max(members, d => d.x) + TreeLayouts.NODE_WIDTH / 2, ringRadius),
+            top: Math.min(d3.min(members, d => d.y) - TreeLayouts.GENERATION_HEIGHT / 2, -ringRadius),
+            bottom: Math.max(d3.max(members, d => d.y) + TreeLayouts.GENERATION_HEIGHT / 2, ringRadius)
+        };
+        // A newly opened (or newly started) tree is fitted to the view; after that the view stays where the user left it.
+        if (isFirstDraw) {
+            fitTreeToView(false);
+        }
+
+        highlightSelectedNode();
+        highlightPath(highlightedPath);
+        markFoundNode();
+        dimUnmatchedNodes();
+        updateTreeOutline();
+    }
+
+    // --- Screen Readers and Keyboard ---
+
+    const treeAnnouncer = document.getElementById('tree-announcer');
+    const treeOutline = document.getElementById('tree-outline');
+    const outlineViewBtn = document.getElementById('outline-view-btn');
+
+    // The drawn members form an ARIA tree; each node is a treeitem that can be reached with the keyboard.
+    nodeLayer.attr('role', 'tree').attr('aria-label', 'Family tree');
+
+    // The member the keyboard is on in the tree. Only their node is in the Tab order.
+    let focusedMemberId = null;
+    // True while the text outline is shown in place of the chart.
+    let isOutlineShown = false;
+    // The breadth of a node across its generation: left to right in top-down charts, top to bottom in left-to-right ones.
+    let breadthOf = (position) => position.x;
+    // Everyone in the tree when it was last announced, so additions and deletions can be read out.
+    let announcedMembers = new Map();
+
+    /**
+     * @description Reads a message out to screen reader users without moving their focus.
+     * @param {string} message The message.
+     */
+    function announce(message) {
+        // Clearing the region first means the same message is read again if it is repeated.
+        treeAnnouncer.textContent = '';
+        window.setTimeout(() => {
+            treeAnnouncer.textContent = message;
+        }, 100);
+    }
+
+    // "Mary", "Mary and John", or "4 people" for longer lists.
+    function listNames(names) {
+        if (names.length > 3) return `${names.length} people`;
+        return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+
+    /**
+     * @description Announces who was added to or removed from the open tree since the last call,
+     * whether by the forms, an import, or undo and redo.
+     * @param {boolean} [quietly=false] True to only note who is in the tree, e.g. when another tree is opened.
+     */
+    function announceMemberChanges(quietly = false) {
+        const current = new Map(familyGraph.members.map(member => [member.id, member.name]));
+        const added = Array.from(current).filter(([id]) => !announcedMembers.has(id)).map(([, name]) => name);
+        const removed = Array.from(announcedMembers).filter(([id]) => !current.has(id)).map(([, name]) => name);
+        announcedMembers = current;
+        if (quietly) return;
+        const messages = [];
+        if (added.length > 0) messages.push(`Added ${listNames(added)} to the tree.`);
+        if (removed.length > 0) messages.push(`Removed ${listNames(removed)} from the tree.`);
+        if (messages.length > 0) announce(messages.join(' '));
+    }
+
+    /**
+     * @description Works out where each member sits in the family hierarchy from FamilyGraph.buildHierarchy(),
+     * for the treeitem roles: a member and their partners share a level, and their children are one level
+     * below, straight after them.
+     * @param {Set<number>} drawnIds The members drawn in the chart.
+     * @returns {Map<number, {index: number, level: number, position: number, setSize: number, ownsChildren: boolean}>}
+     * Each drawn member's place: their index in reading order, level, position among the members at that
+     * point of the tree, and whether the children that follow belong to them.
+     */
+    function treeItemOrder(drawnIds) {
+        const order = new Map();
+        const visit = (hierarchyNodes, level) => {
+            const items = hierarchyNodes.flatMap(node => [node.member, ...node.spouses]).filter(member => drawnIds.has(member.id));
+            hierarchyNodes.forEach(node => {
+                const family = [node.member, ...node.spouses].filter(member => drawnIds.has(member.id));
+                const hasDrawnChildren = node.children.some(child => drawnIds.has(child.member.id));
+                family.forEach((member, index) => {
+                    order.set(member.id, {
+                        index: order.size,
+                        level,
+                        position: items.indexOf(member) + 1,
+                        setSize: items.length,
+                        ownsChildren: index === family.length - 1 && (hasDrawnChildren || collapsedIds.has(node.member.id))
+                    });
+                });
+                visit(node.children, level + 1);
+            });
+        };
+        visit(FamilyGraph.buildHierarchy(familyGraph), 1);
+        return order;
+    }
+
+    // What a screen reader says for a node: the name, lifespan and partners.
+    function describeNode(member) {
+        const spouses = FamilyGraph.getSpouses(familyGraph, member.id).map(spouse => spouse.name);
+        return [
+            member.name,
+            FamilyDates.formatLifespan(member),
+            spouses.length > 0 ? `partner of ${listNames(spouses)}` : ''
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * @description Gives the drawn nodes their treeitem roles and labels, puts them in reading order
+     * (each member, then their partners, then their children) and keeps one of them in the Tab order.
+     * @param {object} nodes The D3 selection of nodes drawn by drawTree().
+     * @param {string} linkShape 'horizontal' for the left-to-right charts.
+     */
+    function labelTreeNodes(nodes, linkShape) {
+        breadthOf = linkShape === 'horizontal' ? (position) => position.y : (position) => position.x;
+        const order = treeItemOrder(new Set(nodes.data().map(d => d.member.id)));
+        if (!order.has(focusedMemberId)) {
+            const first = nodes.data().sort((a, b) => order.get(a.member.id).index - order.get(b.member.id).index)[0];
+            focusedMemberId = first ? first.member.id : null;
+        }
+        nodes
+            .attr('role', 'treeitem')
+            .attr('aria-label', d => describeNode(d.member))
+            .attr('aria-level', d => order.get(d.member.id).level)
+            .attr('aria-posinset', d => order.get(d.member.id).position)
+            .attr('aria-setsize', d => order.get(d.member.id).setSize)
+            .attr('aria-expanded', d => (order.get(d.member.id).ownsChildren ? String(!d.collapsed) : null))
+            .attr('tabindex', d => (d.member.id === focusedMemberId ? 0 : -1))
+            .sort((a, b) => order.get(a.member.id).index - order.get(b.member.id).index);
+        // The +/− toggles are reached with the + and - keys instead of Tab.
+        nodes.select('.node-toggle').attr('aria-hidden', 'true');
+    }
+
+    /**
+     * @description Moves the keyboard to a member's node and brings it into view.
+     * @param {number} memberId The member.
+     */
+    function focusTreeNode(memberId) {
+        focusedMemberId = memberId;
+        nodeLayer.selectAll('.node').attr('tabindex', d => (d.member.id === memberId ? 0 : -1));
+        const node = document.getElementById(`node-${memberId}`);
+        if (node) {
+            node.focus();
+            centreOnMember(memberId);
+        }
+    }
+
+    // The drawn members among some relatives, in the order they are drawn across the chart.
+    function drawnInOrder(relatives) {
+        return relatives
+            .filter(relative => lastPositions.has(relative.id))
+            .sort((a, b) => breadthOf(lastPositions.get(a.id)) - breadthOf(lastPositions.get(b.id)));
+    }
+
+    /**
+     * @description Arrow keys move between relatives: Up to a parent, Down to a child, and Left and Right
+     * along the member's siblings, partners and partners' siblings. Home and End go to the first and last
+     * member, Enter or Space opens the member in the edit panel, and + and - show and hide their descendants.
+     * @param {KeyboardEvent} event The key press on a node.
+     */
+    function moveThroughTree(event) {
+        const node = event.target.closest && event.target.closest('.node');
+        if (!node) return;
+        const d = d3.select(node).datum();
+        const { member } = d;
+        let targetId = null;
+        switch (event.key) {
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const isUp = event.key === 'ArrowUp';
+                const [next] = drawnInOrder(isUp ? FamilyGraph.getParents(familyGraph, member.id) : FamilyGraph.getChildren(familyGraph, member.id));
+                if (next) {
+                    targetId = next.id;
+                } else {
+                    announce(`No ${isUp ? 'parents' : 'children'} of ${member.name} are shown.`);
+                }
+                break;
+            }
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                // The member and their siblings, everyone's partners, and the partners' own siblings.
+                const family = [member, ...FamilyGraph.getSiblings(familyGraph, member.id)];
+                const partners = family.flatMap(relative => FamilyGraph.getSpouses(familyGraph, relative.id));
+                const inLaws = partners.flatMap(partner => FamilyGraph.getSiblings(familyGraph, partner.id));
+                const row = drawnInOrder([...family, ...partners, ...inLaws]
+                    .filter((relative, index, all) => all.findIndex(other => other.id === relative.id) === index));
+                const next = row[row.findIndex(relative => relative.id === member.id) + (event.key === 'ArrowRight' ? 1 : -1)];
+                if (next) targetId = next.id;
+                break;
+            }
+            case 'Home':
+            case 'End': {
+                const items = nodeLayer.selectAll('.node').filter(other => lastPositions.has(other.member.id)).nodes();
+                const edge = event.key === 'Home' ? items[0] : items[items.length - 1];
+                if (edge) targetId = d3.select(edge).datum().member.id;
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                selectNode(d);
+                break;
+            case '+':
+            case '-':
+                if (d.hasChildren && d.collapsed === (event.key === '+')) {
+                    toggleCollapsed(member.id);
+                    focusTreeNode(member.id);
+                    announce(`${member.name}'s descendants ${d.collapsed ? 'shown' : 'hidden'}.`);
+                }
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        if (targetId !== null) {
+            focusTreeNode(targetId);
+        }
+    }
+
+    nodeLayer.on('keydown', moveThroughTree);
+
+    // --- Quick Add ---
+
+    const nodeMenu = document.getElementById('node-menu');
+    const nodeMenuTitle = document.getElementById('node-menu-title');
+    const nodeMenuActions = document.getElementById('node-menu-actions');
+    const quickAddForm = document.getElementById('quick-add-form');
+    const quickAddNameInput = document.getElementById('quick-add-name');
+    const quickAddSurnameInput = document.getElementById('quick-add-surname');
+    const quickAddUnionDiv = document.getElementById('quick-add-union-div');
+    const quickAddUnionDropdown = document.getElementById('quick-add-union');
+    const quickAddTypeDiv = document.getElementById('quick-add-type-div');
+    const quickAddTypeDropdown = document.getElementById('quick-add-type');
+    const quickAddCancelBtn = document.getElementById('quick-add-cancel-btn');
+
+    // The member the menu is open on (null when it is closed), and the kind of relative being added to them.
+    let quickAddMemberId = null;
+    let quickAddRelationship = null;
+
+    // A button for each kind of relative, then one that opens the member in the edit panel.
+    Object.entries(FamilyGraph.RELATIONSHIPS).forEach(([relationship, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tree-toolbar-btn';
+        button.dataset.relationship = relationship;
+        button.textContent = `Add ${label.toLowerCase()}`;
+        button.addEventListener('click', () => showQuickAddForm(relationship));
+        nodeMenuActions.appendChild(button);
+    });
+    const nodeMenuEditBtn = document.createElement('button');
+    nodeMenuEditBtn.type = 'button';
+    nodeMenuEditBtn.className = 'tree-toolbar-btn';
+    nodeMenuEditBtn.textContent = 'Edit';
+    nodeMenuEditBtn.addEventListener('click', () => {
+        const memberId = quickAddMemberId;
+        closeNodeMenu();
+        openEditPanel(memberId);
+    });
+    nodeMenuActions.appendChild(nodeMenuEditBtn);
+
+    /**
+     * @description Opens the quick add menu beside a member's node. Relatives the member can't have
+     * (a third parent, or a sibling when they have no parents) are disabled.
+     * @param {number} memberId The member.
+     */
+    function openNodeMenu(memberId) {
+        const member = FamilyGraph.getMember(familyGraph, memberId);
+        const node = document.getElementById(`node-${memberId}`);
+        if (!member || !node) return;
+        quickAddMemberId = member.id;
+        focusedMemberId = member.id;
+        nodeMenuTitle.textContent = member.name;
+        const parentCount = FamilyGraph.getParents(familyGraph, member.id).length;
+        nodeMenuActions.querySelectorAll('[data-relationship]').forEach(button => {
+            const { relationship } = button.dataset;
+            button.disabled = (relationship === 'parent' && parentCount >= 2) || (relationship === 'sibling' && parentCount === 0);
+        });
+        nodeMenuActions.hidden = false;
+        quickAddForm.hidden = true;
+        nodeMenu.hidden = false;
+
+        // Beside the node, but kept inside the tree container.
+        const containerRect = treeContainer.getBoundingClientRect();
+        const nodeRect = node.getBoundingClientRect();
+        const left = Math.min(nodeRect.right - containerRect.left, treeContainer.clientWidth - nodeMenu.offsetWidth);
+        const top = Math.min(nodeRect.top - containerRect.top, treeContainer.clientHeight - nodeMenu.offsetHeight);
+        nodeMenu.style.left = `${Math.max(0, left)}px`;
+        nodeMenu.style.top = `${Math.max(0, top)}px`;
+        nodeMenuActions.querySelector('button:not(:disabled)').focus();
+    }
+
+    /**
+     * @description Closes the quick add menu.
+     * @param {boolean} [returnFocus=true] False to leave the focus where it is, e.g. after a click elsewhere.
+     */
+    function closeNodeMenu(returnFocus = true) {
+        if (quickAddMemberId === null) return;
+        const node = document.getElementById(`node-${quickAddMemberId}`);
+        quickAddMemberId = null;
+        nodeMenu.hidden = true;
+        if (returnFocus && node) node.focus();
+    }
+
+    /**
+     * @description Swaps the menu's buttons for a short form for the new relative: their name and birth date,
+     * and which partnership a child was born into or how a spouse is partnered.
+     * @param {string} relationship One of FamilyGraph.RELATIONSHIPS.
+     */
+    function showQuickAddForm(relationship) {
+        const member = FamilyGraph.getMember(familyGraph, quickAddMemberId);
+        quickAddRelationship = relationship;
+        nodeMenuTitle.textContent = `Add a ${FamilyGraph.RELATIONSHIPS[relationship].toLowerCase()} of ${member.name}`;
+        quickAddForm.reset();
+        // Children and siblings usually share the member's surname.
+        quickAddSurnameInput.value = relationship === 'child' || relationship === 'sibling' ? (member.surname || '') : '';
+        quickAddUnionDiv.hidden = relationship !== 'child';
+        if (relationship === 'child') {
+            fillChildUnionDropdown(quickAddUnionDropdown, member);
+        }
+        // A member who is still with someone can only gain an earlier partnership.
+        quickAddTypeDiv.hidden = relationship !== 'spouse';
+        const isPartnered = FamilyGraph.getPartnerships(familyGraph, member.id).some(FamilyGraph.isPartnershipActive);
+        quickAddTypeDropdown.value = isPartnered ? 'divorced' : 'married';
+        nodeMenuActions.hidden = true;
+        quickAddForm.hidden = false;
+        quickAddNameInput.focus();
+    }
+
+    quickAddForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const fields = readShortProfile('quick-add');
+        if (!fields) {
+            showMessage("Please enter a name for the family member.");
+            return;
+        }
+        if (!checkDates([fields.birth ? fields.birth.date : ''])) {
+            return;
+        }
+        const relation = {
+            relatedId: quickAddMemberId,
+            relationship: quickAddRelationship,
+            partnership: { type: quickAddTypeDropdown.value },
+            partnershipId: quickAddRelationship === 'child' ? quickAddUnionDropdown.value : null
+        };
+        if (changeGraph(`add ${fields.name}`, graph => FamilyGraph.addRelative(graph, fields, relation))) {
+            closeNodeMenu();
+        }
+    });
+    quickAddCancelBtn.addEventListener('click', () => closeNodeMenu());
+    nodeMenu.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeNodeMenu();
+        }
+    });
+    // A click anywhere else closes the menu. This listens before d3-zoom, which stops clicks on the tree going further.
+    document.addEventListener('mousedown', (event) => {
+        if (quickAddMemberId !== null && !nodeMenu.contains(event.target) && !isModalOpen()) {
+            closeNodeMenu(false);
+        }
+    }, true);
+
+    // A button in the outline that opens a member in the edit panel.
+    function outlineMemberButton(member) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tree-outline-member';
+        button.textContent = member.name;
+        button.addEventListener('click', () => openEditPanel(member.id));
+        return button;
+    }
 
     /**
-     * @description Displays a message to the user using the custom modal.
-     * @param {string} message The text to be displayed in the modal.
+     * @description Writes the tree as nested lists: each member with their lifespan and partners,
+     * and their children listed underneath.
+     * @param {Array<object>} hierarchyNodes Nodes from FamilyGraph.buildHierarchy().
+     * @returns {HTMLElement} The list.
      */
-    function showMessage(message) {
-        modalMessage.textContent = message;
-        messageModal.style.display = 'flex';
+    function outlineList(hierarchyNodes) {
+        const list = document.createElement('ul');
+        hierarchyNodes.forEach(node => {
+            const item = document.createElement('li');
+            item.appendChild(outlineMemberButton(node.member));
+            const lifespan = FamilyDates.formatLifespan(node.member);
+            if (lifespan) item.append(` (${lifespan})`);
+            node.unions.forEach(({ partnership, spouse }) => {
+                const spouseLifespan = FamilyDates.formatLifespan(spouse);
+                item.append(`; ${describePartnership(partnership)}: `, outlineMemberButton(spouse), spouseLifespan ? ` (${spouseLifespan})` : '');
+            });
+            if (node.children.length > 0) {
+                item.appendChild(outlineList(node.children));
+            }
+            list.appendChild(item);
+        });
+        return list;
     }
 
-    // Event listener to close the modal when the close button is clicked.
-    closeButton.addEventListener('click', () => {
-        messageModal.style.display = 'none';
-    });
-
-    // Event listener to close the modal if the user clicks anywhere outside of it.
-    window.addEventListener('click', (event) => {
-        if (event.target === messageModal) {
-            messageModal.style.display = 'none';
+    // Rebuilds the text outline while it is shown.
+    function updateTreeOutline() {
+        if (!isOutlineShown) return;
+        treeOutline.innerHTML = '';
+        const intro = document.createElement('p');
+        intro.textContent = familyGraph.members.length === 0 ? 'There is nobody in this tree yet.'
+            : `${familyGraph.members.length} ${familyGraph.members.length === 1 ? 'person' : 'people'}, with children listed under their parents. Choose a name to edit that person.`;
+        treeOutline.appendChild(intro);
+        if (familyGraph.members.length > 0) {
+            treeOutline.appendChild(outlineList(FamilyGraph.buildHierarchy(familyGraph)));
         }
+    }
+
+    outlineViewBtn.addEventListener('click', () => {
+        isOutlineShown = !isOutlineShown;
+        outlineViewBtn.setAttribute('aria-pressed', String(isOutlineShown));
+        treeOutline.style.display = isOutlineShown ? 'block' : 'none';
+        drawTree();
     });
 
-    // --- Family Tree Data and DOM Element References ---
-    let familyMembers = [];
-    let nextId = 1;
+    // --- Finding People ---
 
-    // DOM elements for the form inputs and dropdowns
-    const addMemberForm = document.getElementById('add-member-form');
-    const memberNameInput = document.getElementById('member-name');
-    const relatedToDropdown = document.getElementById('related-to');
-    const relationshipDropdown = document.getElementById('relationship');
+    const searchForm = document.getElementById('search-form');
+    const searchNameInput = document.getElementById('search-name');
+    const searchSurnameInput = document.getElementById('search-surname');
+    const searchBornFromInput = document.getElementById('search-born-from');
+    const searchBornToInput = document.getElementById('search-born-to');
+    const searchPlaceInput = document.getElementById('search-place');
+    const searchStatusDropdown = document.getElementById('search-status');
+    const searchFilterCheckbox = document.getElementById('search-filter');
+    const searchSummary = document.getElementById('search-summary');
+    const searchResultsList = document.getElementById('search-results');
+    const clearSearchBtn = document.getElementById('clear-search-btn');
 
-    // Container for the spouse checkbox, initially hidden
-    const spouseOptionContainer = document.getElementById('spouse-option-container');
-    const isSpouseCheckbox = document.getElementById('is-spouse');
+    Object.entries(TreeSearch.STATUSES).forEach(([status, label]) => {
+        searchStatusDropdown.appendChild(new Option(label, status));
+    });
 
-    // Buttons for adding members and downloading the family tree image
-    const downloadImgBtnPage = document.getElementById('download-img-btn-page');
-    const downloadImgBtnNav = document.getElementById('download-img-btn-nav');
+    // The most results listed at once; the rest are counted in the summary.
+    const MAX_SEARCH_RESULTS = 50;
 
-    // Container for the family tree visualization
-    const treeContainer = document.getElementById('family-tree-container');
+    // The members found by the current search (null when nothing is being searched for),
+    // and the position in the results list picked with the arrow keys.
+    let searchResults = null;
+    let activeResultIndex = -1;
 
-    // --- Dynamic UI Updates ---
+    function readSearchYear(input) {
+        const year = parseInt(input.value, 10);
+        return Number.isNaN(year) ? null : year;
+    }
 
     /**
-     * @description Updates the 'Related to' dropdown with the names of existing family members.
-     * This ensures a new member can be linked to any person already in the tree.
+     * @description Runs the search in the form again, e.g. after the tree changes, and lists the results.
      */
-    function updateDropdowns() {
-        relatedToDropdown.innerHTML = '';
-        if (familyMembers.length === 0) {
-            // If the tree is empty, the first member is the root and has no parent. And the dropdowns are disabled.
-            const option = document.createElement('option');
-            option.value = 'root';
-            option.textContent = 'First member (Root)';
-            relatedToDropdown.appendChild(option);
-            relatedToDropdown.disabled = true;
-            relationshipDropdown.disabled = true;
-        } else {
-            // Populate the 'Related to' dropdown with family members that already are in the tree.
-            relatedToDropdown.disabled = false;
-            relationshipDropdown.disabled = false;
-            familyMembers.forEach(member => {
-                const option = document.createElement('option');
-                option.value = member.id;
-                option.textContent = member.name;
-                relatedToDropdown.appendChild(option);
-            });
+    function updateSearch() {
+        const criteria = {
+            name: searchNameInput.value,
+            surname: searchSurnameInput.value.trim(),
+            birthFrom: readSearchYear(searchBornFromInput),
+            birthTo: readSearchYear(searchBornToInput),
+            place: searchPlaceInput.value.trim(),
+            status: searchStatusDropdown.value
+        };
+        const isSearching = Boolean(criteria.name.trim() || criteria.surname || criteria.place ||
+            criteria.birthFrom !== null || criteria.birthTo !== null || criteria.status !== 'any');
+
+        try {
+            searchResults = isSearching ? TreeSearch.search(familyGraph, criteria) : null;
+            searchSummary.textContent = '';
+        } catch (error) {
+            searchResults = null;
+            searchSummary.textContent = error.message;
         }
+        if (searchResults) {
+            const count = searchResults.length;
+            searchSummary.textContent = count === 0 ? 'Nobody matches.'
+                : `${count} ${count === 1 ? 'person' : 'people'} found${count > MAX_SEARCH_RESULTS ? `, showing the first ${MAX_SEARCH_RESULTS}` : ''}.`;
+        }
+        activeResultIndex = -1;
+        showSearchResults();
+        dimUnmatchedNodes();
     }
 
-    /*  @description Toggles the visibility of the spouse checkbox based on the selected relationship. 
-        The spouse checkbox is only shown when 'spouse' is selected in the relationship dropdown.   */
-    function updateRelatedToDropdown() {
-        const selectedRelationship = relationshipDropdown.value;
-        const selectedRelatedToId = relatedToDropdown.value;
-        const selectedRelatedToMember = familyMembers.find(m => m.id == selectedRelatedToId);
+    /**
+     * @description Lists the search results with a line of context each, so people with the same name
+     * can be told apart. The result picked with the arrow keys is marked.
+     */
+    function showSearchResults() {
+        searchResultsList.innerHTML = '';
+        const shown = (searchResults || []).slice(0, MAX_SEARCH_RESULTS);
+        shown.forEach(({ member }, index) => {
+            const item = document.createElement('li');
+            item.id = `search-result-${member.id}`;
+            item.className = 'search-result';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(index === activeResultIndex));
+            const name = document.createElement('span');
+            name.className = 'search-result-name';
+            name.textContent = member.name;
+            const context = document.createElement('span');
+            context.className = 'search-result-context';
+            context.textContent = TreeSearch.describeContext(familyGraph, member);
+            item.append(name, context);
+            item.addEventListener('click', () => {
+                activeResultIndex = index;
+                markActiveResult();
+                openEditPanel(member.id);
+                centreOnMember(member.id);
+            });
+            searchResultsList.appendChild(item);
+        });
+        searchNameInput.setAttribute('aria-expanded', String(shown.length > 0));
+        markActiveResult();
+    }
 
-        if (selectedRelationship === 'spouse') {
-            spouseOptionContainer.style.display = 'flex';
+    function markActiveResult() {
+        Array.from(searchResultsList.children).forEach((item, index) => {
+            item.classList.toggle('search-result--active', index === activeResultIndex);
+            item.setAttribute('aria-selected', String(index === activeResultIndex));
+        });
+        const active = searchResultsList.children[activeResultIndex];
+        if (active) {
+            searchNameInput.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
         } else {
-            spouseOptionContainer.style.display = 'none';
-            isSpouseCheckbox.checked = false; // Reset the checkbox
+            searchNameInput.removeAttribute('aria-activedescendant');
         }
+        markFoundNode();
     }
 
-    // Event listener for the relationship dropdown change to show/hide spouse checkbox
-    relationshipDropdown.addEventListener('change', updateRelatedToDropdown);
+    // Ring the member picked in the search results in the tree.
+    function markFoundNode() {
+        const active = searchResults && searchResults[activeResultIndex];
+        const activeId = active ? active.member.id : null;
+        d3.select(treeContainer).selectAll('.node')
+            .classed('node--found', function() {
+                return activeId !== null && this.id === `node-${activeId}`;
+            });
+    }
 
-    // --- Core Application Logic ---
     /**
-     * @description Adds a new member to the familyMembers array based on form input.
-     * It handles validation and assigns parent/spouse IDs correctly.
+     * @description Brings a member to the middle of the view. Members who aren't drawn are shown first:
+     * branches folded above them are unfolded, and the person-centred charts are re-centred on them.
+     * @param {number} memberId The member to show.
      */
-    function addMember() {
-        const name = memberNameInput.value.trim();
-        const relatedToId = relatedToDropdown.value;
-        const relationship = relationshipDropdown.value;
-        const isSpouse = isSpouseCheckbox.checked;
+    function centreOnMember(memberId) {
+        if (!lastPositions.has(memberId)) {
+            if (chartLayout === 'family') {
+                FamilyGraph.getAncestors(familyGraph, memberId).forEach(ancestor => collapsedIds.delete(ancestor.id));
+                drawTree();
+            } else {
+                showChart(chartLayout, memberId);
+            }
+        }
+        const position = lastPositions.get(memberId);
+        if (position) {
+            treeSvg.transition().duration(TRANSITION_DURATION).call(zoom.translateTo, position.x, position.y);
+        }
+    }
 
-        if (!name) {
-            showMessage("Please enter a name for the family member.");
-            return;
+    /**
+     * @description Moves through the search results with the arrow keys, bringing each one into view.
+     * @param {number} step 1 for the next result, -1 for the previous one.
+     */
+    function moveThroughResults(step) {
+        const count = searchResultsList.children.length;
+        if (count === 0) return;
+        activeResultIndex = (activeResultIndex + step + count) % count;
+        markActiveResult();
+        centreOnMember(searchResults[activeResultIndex].member.id);
+    }
+
+    /**
+     * @description In filter mode, fades out everyone who doesn't match the search, with the links
+     * between them. Kept when the tree is redrawn.
+     */
+    function dimUnmatchedNodes() {
+        const matchIds = searchFilterCheckbox.checked && searchResults ? new Set(searchResults.map(({ member }) => member.id)) : null;
+        const isDimmed = (id) => matchIds !== null && !matchIds.has(id);
+        const tree = d3.select(treeContainer);
+        tree.selectAll('.node')
+            .classed('node--dimmed', d => isDimmed(d.member.id));
+        tree.selectAll('.fan-segment')
+            .classed('node--dimmed', d => isDimmed(d.memberId));
+        tree.selectAll('.link')
+            .classed('link--dimmed', d => isDimmed(d.childId) && d.parentIds.every(isDimmed));
+        tree.selectAll('.spouse-link')
+            .classed('link--dimmed', d => d.partnership.partnerIds.every(isDimmed));
+    }
+
+    function clearSearch() {
+        searchForm.reset();
+        updateSearch();
+    }
+
+    searchForm.addEventListener('input', updateSearch);
+    searchForm.addEventListener('change', (event) => {
+        // Text boxes are searched as they are typed in, so only the dropdown and checkbox are handled here.
+        if (event.target === searchStatusDropdown || event.target === searchFilterCheckbox) {
+            updateSearch();
+        }
+    });
+    searchForm.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (event.target === searchStatusDropdown) return;
+            event.preventDefault();
+            moveThroughResults(event.key === 'ArrowDown' ? 1 : -1);
+        } else if (event.key === 'Escape') {
+            clearSearch();
         }
+    });
+    // Enter opens the picked result (or the best match) in the edit panel.
+    searchForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (!searchResults || searchResults.length === 0) return;
+        if (activeResultIndex === -1) {
+            activeResultIndex = 0;
+            markActiveResult();
+        }
+        const memberId = searchResults[activeResultIndex].member.id;
+        openEditPanel(memberId);
+        centreOnMember(memberId);
+    });
+    clearSearchBtn.addEventListener('click', clearSearch);
 
-        // Handle adding the first member (the root)
-        if (familyMembers.length === 0) {
-            familyMembers.push({
-                id: nextId,
-                name: name,
-                parentId: null,
-                isSpouse: false
-            });
-            nextId++;
-            return true;
+    // --- Checking the Tree ---
+
+    const checkTreeBtn = document.getElementById('check-tree-btn');
+    const checkSummary = document.getElementById('check-summary');
+    const checkIssuesList = document.getElementById('check-issues');
+
+    // True once the tree has been checked, so the list of issues is kept up to date as the tree changes.
+    let isTreeChecked = false;
+
+    /**
+     * @description Checks the open tree with TreeChecks and lists the issues found. Clicking an issue
+     * (or pressing Enter on it) opens the first person involved and brings them into view.
+     */
+    function checkTree() {
+        isTreeChecked = true;
+        const issues = TreeChecks.checkTree(familyGraph);
+        checkSummary.textContent = issues.length === 0 ? 'No problems found.'
+            : `${issues.length} possible problem${issues.length === 1 ? '' : 's'} found.`;
+        checkIssuesList.innerHTML = '';
+        issues.forEach(({ check, memberIds, message }) => {
+            const item = document.createElement('li');
+            item.className = 'check-issue';
+            const label = document.createElement('span');
+            label.className = 'check-issue-label';
+            label.textContent = TreeChecks.CHECKS[check];
+            const text = document.createElement('span');
+            text.textContent = message;
+            item.append(label, text);
+            if (memberIds.length > 0) {
+                const goToMember = () => {
+                    openEditPanel(memberIds[0]);
+                    centreOnMember(memberIds[0]);
+                };
+                item.classList.add('check-issue--link');
+                item.tabIndex = 0;
+                item.addEventListener('click', goToMember);
+                item.addEventListener('keydown', (event) => {
+                    if (event.key === 'Enter' && event.target === item) goToMember();
+                });
+            }
+            if (check === 'likelyDuplicate') {
+                const mergeButton = document.createElement('button');
+                mergeButton.type = 'button';
+                mergeButton.className = 'tree-manager-btn check-issue-merge';
+                mergeButton.textContent = 'Merge…';
+                mergeButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    startMerge(...memberIds);
+                });
+                item.appendChild(mergeButton);
+            }
+            checkIssuesList.appendChild(item);
+        });
+    }
+
+    // Keeps the list of issues current after the tree changes, once it has been checked.
+    function updateTreeCheck() {
+        if (isTreeChecked) {
+            checkTree();
         }
+    }
 
-        const relatedToMember = familyMembers.find(m => m.id == relatedToId);
-        if (!relatedToMember) {
-            showMessage("Please select a valid member to relate to.");
-            return;
+    checkTreeBtn.addEventListener('click', checkTree);
+
+    // --- Merging Duplicate People ---
+
+    const mergeForm = document.getElementById('merge-form');
+    const mergeKeepDropdown = document.getElementById('merge-keep');
+    const mergeDuplicateDropdown = document.getElementById('merge-duplicate');
+    const mergeFieldsTable = document.getElementById('merge-fields');
+
+    // The details compared when merging, read the way the profile form shows them.
+    const MERGE_FIELDS = [
+        { key: 'givenName', label: 'Given name(s)', read: m => (m.givenName !== undefined ? m.givenName : (m.name || '')) },
+        { key: 'surname', label: 'Surname', read: m => m.surname || '' },
+        { key: 'birthName', label: 'Birth name', read: m => m.birthName || '' },
+        { key: 'nicknames', label: 'Nicknames', read: m => m.nicknames || [] },
+        { key: 'gender', label: 'Gender', read: m => m.gender || '' },
+        { key: 'livingStatus', label: 'Living', read: m => m.livingStatus || '' },
+        { key: 'birthDate', label: 'Born', read: m => (m.birth ? m.birth.date || '' : '') },
+        { key: 'birthPlace', label: 'Place of birth', read: m => (m.birth ? m.birth.place || '' : '') },
+        { key: 'deathDate', label: 'Died', read: m => (m.death ? m.death.date || '' : '') },
+        { key: 'deathPlace', label: 'Place of death', read: m => (m.death ? m.death.place || '' : '') },
+        { key: 'notes', label: 'Notes', read: m => m.notes || '' },
+        { key: 'photo', label: 'Photo', read: m => m.photo || '' }
+    ];
+
+    // Members are listed with their lifespan, since duplicates usually share a name.
+    function fillMergeDropdown(dropdown, emptyLabel) {
+        const selected = FamilyGraph.getMember(familyGraph, dropdown.value);
+        fillMemberDropdown(dropdown, familyGraph.members, emptyLabel, selected ? selected.id : '');
+        Array.from(dropdown.options).forEach(option => {
+            const member = FamilyGraph.getMember(familyGraph, option.value);
+            const lifespan = member ? FamilyDates.formatLifespan(member) : '';
+            if (lifespan) option.textContent += ` (${lifespan})`;
+        });
+    }
+
+    function updateMergeForm() {
+        fillMergeDropdown(mergeKeepDropdown, 'Choose a member');
+        fillMergeDropdown(mergeDuplicateDropdown, 'Choose their duplicate');
+        showMergeComparison();
+    }
+
+    function chosenMergeMembers() {
+        const keep = FamilyGraph.getMember(familyGraph, mergeKeepDropdown.value);
+        const duplicate = FamilyGraph.getMember(familyGraph, mergeDuplicateDropdown.value);
+        return keep && duplicate && keep.id !== duplicate.id ? { keep, duplicate } : null;
+    }
+
+    function showMergeValue(cell, value, field) {
+        if (field.key === 'photo' && value) {
+            const photo = document.createElement('img');
+            photo.className = 'profile-photo-preview';
+            photo.src = value;
+            photo.alt = 'Photo';
+            cell.appendChild(photo);
+        } else if (field.key === 'livingStatus') {
+            cell.append(TreePrivacy.LIVING_STATUSES[value]);
+        } else {
+            cell.append(Array.isArray(value) ? value.join(', ') : value);
         }
+    }
 
-        // Handle spouse relationship
-        if (relationship === 'spouse' && !isSpouse) {
-            showMessage("To add a spouse, you must check the 'This member is the spouse' box.");
+    /**
+     * @description Shows the two chosen people's details side by side. Where they differ, a radio button
+     * on each side picks the value to keep: the kept person's, unless theirs is empty or they are an
+     * unknown placeholder.
+     */
+    function showMergeComparison() {
+        mergeFieldsTable.innerHTML = '';
+        const chosen = chosenMergeMembers();
+        mergeFieldsTable.style.display = chosen ? 'table' : 'none';
+        if (!chosen) return;
+
+        const header = mergeFieldsTable.insertRow();
+        ['', chosen.keep.name, chosen.duplicate.name].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        MERGE_FIELDS.forEach(field => {
+            const values = [field.read(chosen.keep), field.read(chosen.duplicate)];
+            const isEmpty = (value) => (Array.isArray(value) ? value.length === 0 : !value);
+            if (values.every(isEmpty)) return;
+
+            const row = mergeFieldsTable.insertRow();
+            row.insertCell().textContent = field.label;
+            if (JSON.stringify(values[0]) === JSON.stringify(values[1])) {
+                const cell = row.insertCell();
+                cell.colSpan = 2;
+                showMergeValue(cell, values[0], field);
+                return;
+            }
+            const preferred = isEmpty(values[0]) || chosen.keep.placeholder ? 1 : 0;
+            values.forEach((value, index) => {
+                const label = document.createElement('label');
+                label.className = 'merge-choice';
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `merge-${field.key}`;
+                radio.value = index === 0 ? 'keep' : 'duplicate';
+                radio.checked = index === preferred;
+                label.appendChild(radio);
+                if (isEmpty(value)) {
+                    label.append('(empty)');
+                } else {
+                    showMergeValue(label, value, field);
+                }
+                row.insertCell().appendChild(label);
+            });
+        });
+    }
+
+    /**
+     * @description Builds the merged person's details from the values chosen in the comparison.
+     * @returns {object} The member fields.
+     */
+    function readMergedFields(keep, duplicate) {
+        const chosen = {};
+        MERGE_FIELDS.forEach(field => {
+            const radio = mergeFieldsTable.querySelector(`input[name="merge-${field.key}"]:checked`);
+            chosen[field.key] = field.read(radio && radio.value === 'duplicate' ? duplicate : keep);
+        });
+        const { birthDate, birthPlace, deathDate, deathPlace, photo, ...fields } = chosen;
+        const event = (date, place) => (date || place ? { date, place } : null);
+        return {
+            ...fields,
+            name: [fields.givenName, fields.surname].filter(Boolean).join(' '),
+            birth: event(birthDate, birthPlace),
+            death: event(deathDate, deathPlace),
+            photo
+        };
+    }
+
+    /**
+     * @description Merges the duplicate into the kept person, after the user confirms.
+     */
+    function mergeChosenMembers() {
+        const chosen = chosenMergeMembers();
+        if (!chosen) {
+            showMessage("Please choose two different people to merge.");
             return;
         }
-        
-        // Find existing spouse if one exists
-        const existingSpouse = familyMembers.find(m => m.parentId === relatedToMember.id && m.isSpouse);
-        if (isSpouse && existingSpouse) {
-            showMessage(`${relatedToMember.name} Already has a spouse. This is a monogamous site (one spouse).`);
+        const { keep, duplicate } = chosen;
+        const fields = readMergedFields(keep, duplicate);
+        showConfirm(`Merge ${duplicate.name} into ${keep.name}? ${duplicate.name}'s parents, children and partners will move to ${fields.name}. You can undo this with Ctrl+Z.`, () => {
+            if (changeGraph(`merge ${duplicate.name} into ${keep.name}`, graph => FamilyGraph.mergeMembers(graph, keep.id, duplicate.id, fields))) {
+                mergeDuplicateDropdown.value = '';
+                showMergeComparison();
+            }
+        });
+    }
+
+    /**
+     * @description Fills in the merge form with two people, e.g. a likely duplicate from the checker, and scrolls to it.
+     * @param {number} keepId The person to keep.
+     * @param {number} duplicateId Their duplicate.
+     */
+    function startMerge(keepId, duplicateId) {
+        mergeKeepDropdown.value = keepId;
+        mergeDuplicateDropdown.value = duplicateId;
+        showMergeComparison();
+        mergeForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    mergeKeepDropdown.addEventListener('change', showMergeComparison);
+    mergeDuplicateDropdown.addEventListener('change', showMergeComparison);
+    mergeForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        mergeChosenMembers();
+    });
+
+    // --- Tree Statistics ---
+
+    const statsSummary = document.getElementById('stats-summary');
+    const statsFacts = document.getElementById('stats-facts');
+    const statsTimeline = document.getElementById('stats-timeline');
+
+    // The size of the statistics charts; they are scaled to fit the panel.
+    const STATS_CHART_WIDTH = 300;
+    const STATS_BAR_HEIGHT = 20;
+    const STATS_LABEL_WIDTH = 110;
+    const STATS_TIMELINE_HEIGHT = 160;
+
+    /**
+     * @description Draws a horizontal bar chart, one bar per row. Bars are matched to rows by label,
+     * so they grow and shrink as the tree changes.
+     * @param {HTMLElement} container The element to draw in.
+     * @param {Array<{label: string, count: number}>} rows The bars, top first.
+     * @param {string} emptyText What to say when there are no rows.
+     */
+    function drawBarChart(container, rows, emptyText) {
+        const chart = d3.select(container);
+        chart.select('.stats-empty').remove();
+        if (rows.length === 0) {
+            chart.select('svg').remove();
+            chart.append('p').attr('class', 'stats-empty').text(emptyText);
             return;
         }
+        const height = rows.length * STATS_BAR_HEIGHT;
+        const x = d3.scaleLinear()
+            .domain([0, d3.max(rows, d => d.count)])
+            .range([0, STATS_CHART_WIDTH - STATS_LABEL_WIDTH - 30]);
+        let svg = chart.select('svg');
+        if (svg.empty()) {
+            svg = chart.append('svg').attr('class', 'stats-svg');
+        }
+        svg.attr('viewBox', `0 0 ${STATS_CHART_WIDTH} ${height}`);
 
-        // If the member is a spouse, their parent is the relatedToMember
-        if (isSpouse) {
-            familyMembers.push({
-                id: nextId,
-                name: name,
-                parentId: relatedToMember.id,
-                isSpouse: true
+        const bars = svg.selectAll('.stats-bar')
+            .data(rows, d => d.label)
+            .join(enter => {
+                const bar = enter.append('g').attr('class', 'stats-bar');
+                bar.append('title');
+                bar.append('text').attr('class', 'stats-bar-label').attr('dy', '0.35em');
+                bar.append('rect').attr('height', STATS_BAR_HEIGHT - 4).attr('width', 0);
+                bar.append('text').attr('class', 'stats-bar-count').attr('dy', '0.35em');
+                return bar;
             });
-        } else {
-            // Logic for children and siblings
-            let parentId = null;
-            if (relationship === 'child') {
-                parentId = relatedToMember.id;
-            } else if (relationship === 'sibling') {
-                parentId = relatedToMember.parentId;
-                // Siblings must have a parent
-                if (parentId === null) {
-                    showMessage("A sibling must be related to a member who has a parent.");
-                    return;
-                }
-            } else {
-                showMessage("Invalid relationship type.");
-                return;
-            }
+        bars.attr('transform', (d, i) => `translate(0,${i * STATS_BAR_HEIGHT})`);
+        bars.select('title').text(d => `${d.label}: ${d.count}`);
+        bars.select('.stats-bar-label')
+            .attr('x', STATS_LABEL_WIDTH - 6)
+            .attr('y', STATS_BAR_HEIGHT / 2)
+            .text(d => (d.label.length > 16 ? `${d.label.slice(0, 15)}…` : d.label));
+        bars.select('rect')
+            .attr('x', STATS_LABEL_WIDTH)
+            .attr('y', 2)
+            .transition().duration(TRANSITION_DURATION)
+            .attr('width', d => x(d.count));
+        bars.select('.stats-bar-count')
+            .attr('y', STATS_BAR_HEIGHT / 2)
+            .text(d => d.count)
+            .transition().duration(TRANSITION_DURATION)
+            .attr('x', d => STATS_LABEL_WIDTH + x(d.count) + 4);
+    }
 
-            familyMembers.push({
-                id: nextId,
-                name: name,
-                parentId: parentId,
-                isSpouse: false
-            });
+    /**
+     * @description Draws the births and deaths in each decade as pairs of columns along a time axis.
+     * @param {Array<{start: number, births: number, deaths: number}>} timeline From TreeStatistics.summarize().
+     */
+    function drawTimeline(timeline) {
+        const chart = d3.select(statsTimeline);
+        chart.selectAll('*').remove();
+        if (timeline.length === 0) {
+            chart.append('p').attr('class', 'stats-empty').text('No birth or death dates recorded yet.');
+            return;
         }
-        nextId++;
-        return true;
+        const margin = { top: 20, right: 5, bottom: 25, left: 25 };
+        const kinds = ['births', 'deaths'];
+        const x = d3.scaleBand()
+            .domain(timeline.map(d => d.start))
+            .range([margin.left, STATS_CHART_WIDTH - margin.right])
+            .padding(0.2);
+        const kindX = d3.scaleBand().domain(kinds).range([0, x.bandwidth()]);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(timeline, d => Math.max(d.births, d.deaths))])
+            .nice()
+            .range([STATS_TIMELINE_HEIGHT - margin.bottom, margin.top]);
+        const svg = chart.append('svg')
+            .attr('class', 'stats-svg')
+            .attr('viewBox', `0 0 ${STATS_CHART_WIDTH} ${STATS_TIMELINE_HEIGHT}`);
+
+        // Label about six decades along the axis, however long the timeline is.
+        const step = Math.ceil(timeline.length / 6);
+        svg.append('g')
+            .attr('class', 'stats-axis')
+            .attr('transform', `translate(0,${STATS_TIMELINE_HEIGHT - margin.bottom})`)
+            .call(d3.axisBottom(x).tickValues(x.domain().filter((start, i) => i % step === 0)).tickFormat(start => `${start}s`));
+        svg.append('g')
+            .attr('class', 'stats-axis')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(Math.min(4, y.domain()[1])).tickFormat(d3.format('d')));
+
+        svg.append('g')
+            .selectAll('g')
+            .data(timeline)
+            .join('g')
+            .attr('transform', d => `translate(${x(d.start)},0)`)
+            .selectAll('rect')
+            .data(d => kinds.map(kind => ({ kind, start: d.start, count: d[kind] })))
+            .join('rect')
+            .attr('class', d => `stats-timeline-bar stats-timeline-bar--${d.kind}`)
+            .attr('x', d => kindX(d.kind))
+            .attr('width', kindX.bandwidth())
+            .attr('y', d => y(d.count))
+            .attr('height', d => y(0) - y(d.count))
+            .append('title')
+            .text(d => `${d.count} ${d.count === 1 ? d.kind.slice(0, -1) : d.kind} in the ${d.start}s`);
+
+        const legend = svg.append('g')
+            .selectAll('g')
+            .data(kinds)
+            .join('g')
+            .attr('transform', (kind, i) => `translate(${margin.left + i * 70},5)`);
+        legend.append('rect')
+            .attr('class', kind => `stats-timeline-bar stats-timeline-bar--${kind}`)
+            .attr('width', 10)
+            .attr('height', 10);
+        legend.append('text')
+            .attr('class', 'stats-legend-text')
+            .attr('x', 14)
+            .attr('y', 9)
+            .text(kind => kind[0].toUpperCase() + kind.slice(1));
     }
 
+    /**
+     * @description Adds a line to the facts list. A member named in it can be clicked to bring them into view.
+     * @param {string} term What the fact is, e.g. "Oldest".
+     * @param {string} text The fact.
+     * @param {object} [member] The member the fact is about.
+     */
+    function addStatsFact(term, text, member) {
+        const title = document.createElement('dt');
+        title.textContent = term;
+        const detail = document.createElement('dd');
+        if (member) {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'stats-member';
+            link.textContent = member.name;
+            link.addEventListener('click', () => {
+                openEditPanel(member.id);
+                centreOnMember(member.id);
+            });
+            detail.append(link, ` ${text}`);
+        } else {
+            detail.textContent = text;
+        }
+        statsFacts.append(title, detail);
+    }
 
-    // --- D3.js Tree Visualization ---
-    
     /**
-     * @description Renders the family tree visualization using D3.js.
-     * This function is responsible for converting the flat familyMembers array into a
-     * hierarchical structure and drawing the nodes and links.
+     * @description Works out the open tree's statistics with TreeStatistics and redraws the panel.
+     * Called whenever the tree changes or another tree is opened.
      */
-    function drawTree() {
-        // Clear any previous SVG
-        treeContainer.innerHTML = '';
-
-        if (familyMembers.length === 0) {
-            // Display a message if the tree is empty
-            const message = document.createElement('div');
-            message.className = 'familytree-instructions';
-            message.textContent = 'Start by adding a family member above to create your tree!';
-            treeContainer.appendChild(message);
-            return;
+    function updateStatistics() {
+        const stats = TreeStatistics.summarize(familyGraph);
+        const generationCount = stats.generations.length;
+        statsSummary.textContent = stats.total === 0 ? 'Nobody has been added to this tree yet.'
+            : `${stats.total} ${stats.total === 1 ? 'person' : 'people'} in ${generationCount} generation${generationCount === 1 ? '' : 's'}.`;
+
+        statsFacts.innerHTML = '';
+        if (stats.averageLifespan) {
+            const { years, count } = stats.averageLifespan;
+            addStatsFact('Average lifespan', `${Math.round(years)} years (from ${count} ${count === 1 ? 'person' : 'people'})`);
+        }
+        const describeAge = ({ years, living }) => (living ? `(${years}, living)` : `(lived to ${years})`);
+        if (stats.oldest) {
+            addStatsFact('Oldest', describeAge(stats.oldest), stats.oldest.member);
         }
+        if (stats.youngest && stats.youngest.member !== stats.oldest.member) {
+            addStatsFact('Youngest', describeAge(stats.youngest), stats.youngest.member);
+        }
+
+        drawBarChart(document.getElementById('stats-generations'),
+            stats.generations.map(({ generation, count }) => ({ label: `Generation ${generation}`, count })),
+            'Nobody to count yet.');
+        drawBarChart(document.getElementById('stats-genders'), stats.genders, 'Nobody to count yet.');
+        drawBarChart(document.getElementById('stats-surnames'), stats.surnames, 'No surnames recorded yet.');
+        drawBarChart(document.getElementById('stats-birthplaces'), stats.birthplaces, 'No birthplaces recorded yet.');
+        drawTimeline(stats.timeline);
+    }
+
+    // --- Family Timeline ---
+
+    const familyTimelineChart = document.getElementById('timeline-chart');
+    const familyTimelineSummary = document.getElementById('timeline-summary');
+    const familyTimelineGroupDropdown = document.getElementById('timeline-group');
+
+    // The size of the timeline: one row per person, a heading row per group, and the names to the left.
+    const FAMILY_TIMELINE_ROW_HEIGHT = 22;
+    const FAMILY_TIMELINE_LABEL_WIDTH = 170;
+    const FAMILY_TIMELINE_AXIS_HEIGHT = 30;
+    // Used when the page hasn't been laid out yet, so the chart has no width to fit.
+    const FAMILY_TIMELINE_DEFAULT_WIDTH = 900;
+
+    // The shape of the marker for each kind of event (see TreeTimeline.EVENTS).
+    const EVENT_SYMBOLS = {
+        marriage: d3.symbolDiamond,
+        child: d3.symbolCircle,
+        death: d3.symbolCross
+    };
+
+    Object.entries(TreeTimeline.GROUPINGS).forEach(([groupBy, label]) => {
+        familyTimelineGroupDropdown.appendChild(new Option(label, groupBy));
+    });
+
+    // The time axis before zooming, and the zoom applied to it. Only the time axis zooms; the rows stay put.
+    let familyTimelineX = d3.scaleLinear();
+    let familyTimelineTransform = d3.zoomIdentity;
+
+    const familyTimelineSvg = d3.select(familyTimelineChart).append('svg').attr('class', 'timeline-svg');
+    const familyTimelineClip = familyTimelineSvg.append('defs')
+        .append('clipPath')
+        .attr('id', 'timeline-clip')
+        .append('rect');
+    const familyTimelineAxis = familyTimelineSvg.append('g').attr('class', 'timeline-axis');
+    const familyTimelineRows = familyTimelineSvg.append('g').attr('class', 'timeline-rows');
+
+    const familyTimelineZoom = d3.zoom()
+        .scaleExtent([1, 50])
+        .on('zoom', (event) => {
+            familyTimelineTransform = event.transform;
+            positionFamilyTimeline();
+        });
+    familyTimelineSvg.call(familyTimelineZoom).on('dblclick.zoom', null);
+
+    // Moves the bars, markers and axis to the current zoom.
+    function positionFamilyTimeline() {
+        const x = familyTimelineTransform.rescaleX(familyTimelineX);
+        familyTimelineAxis.call(d3.axisTop(x).ticks(8).tickFormat(d3.format('d')));
+        familyTimelineRows.selectAll('.timeline-life')
+            .attr('x', d => x(d.start))
+            .attr('width', d => Math.max(2, x(d.end) - x(d.start)));
+        familyTimelineRows.selectAll('.timeline-event')
+            .attr('transform', d => `translate(${x(d.year)},${FAMILY_TIMELINE_ROW_HEIGHT / 2})`);
+    }
+
+    // Outlines the lifespan of the member open in the edit panel, matching the outline in the tree.
+    function markSelectedLife() {
+        familyTimelineRows.selectAll('.timeline-row')
+            .classed('timeline-row--selected', d => d.member.id === editingMemberId);
+    }
 
-        // Convert the flat array to a hierarchical structure
-        const dataMap = familyMembers.reduce((map, member) => {
-            map[member.id] = member;
-            return map;
-        }, {});
-        
-        let root = familyMembers.find(m => m.parentId === null);
-        if (!root) {
-            showMessage("The family tree is corrupted. The root member is missing.");
+    /**
+     * @description Draws the open tree on the timeline with TreeTimeline: a heading for each generation
+     * or branch, then a bar for each lifespan with markers for marriages, children's births and the death.
+     * Clicking a row opens the person in the edit panel and brings them into view in the tree.
+     */
+    function updateFamilyTimeline() {
+        const timeline = TreeTimeline.buildTimeline(familyGraph, familyTimelineGroupDropdown.value);
+        const undatedNote = timeline.undated.length === 0 ? ''
+            : ` ${timeline.undated.length} ${timeline.undated.length === 1 ? 'person has' : 'people have'} no dates and ${timeline.undated.length === 1 ? "isn't" : "aren't"} shown.`;
+        if (timeline.groups.length === 0) {
+            familyTimelineSvg.style('display', 'none');
+            familyTimelineSummary.textContent = `Add birth, death or marriage dates to see the family across time.${undatedNote}`;
             return;
         }
+        familyTimelineSvg.style('display', null);
+        const lifeCount = d3.sum(timeline.groups, group => group.lives.length);
+        familyTimelineSummary.textContent = `${lifeCount} ${lifeCount === 1 ? 'person' : 'people'} from ${Math.floor(timeline.earliest)} to ${Math.floor(timeline.latest)}.${undatedNote}`;
 
-        const findChildren = (member) => {
-            member.children = familyMembers.filter(m => m.parentId === member.id && !m.isSpouse);
-            member.spouse = familyMembers.find(m => m.parentId === member.id && m.isSpouse);
-            member.children.forEach(findChildren);
-        };
-        findChildren(root);
-
-        // Set up the D3.js tree layout
-        const margin = { top: 40, right: 90, bottom: 50, left: 90 };
-        const width = treeContainer.clientWidth - margin.left - margin.right;
-        const height = treeContainer.clientHeight - margin.top - margin.bottom;
-
-        const svg = d3.select(treeContainer).append('svg')
-            .attr('width', width + margin.right + margin.left)
-            .attr('height', height + margin.top + margin.bottom)
-            .append('g')
-            .attr('transform', `translate(${margin.left},${margin.top})`);
-
-        const treeLayout = d3.tree().size([width, height]);
-        const rootNode = d3.hierarchy(root, d => d.children);
-        const treeData = treeLayout(rootNode);
-
-        // Add links (lines)
-        svg.selectAll('.link')
-            .data(treeData.links())
-            .enter().append('path')
-            .attr('class', 'link')
-            .attr('d', d3.linkVertical()
-                .x(d => d.x)
-                .y(d => d.y));
-
-        // Add nodes (circles and text)
-        const nodes = svg.selectAll('.node')
-            .data(treeData.descendants())
-            .enter().append('g')
-            .attr('class', d => `node${d.children ? ' node--internal' : ' node--leaf'}`)
-            .attr('transform', d => `translate(${d.x},${d.y})`);
-
-        nodes.append('circle')
-            .attr('r', 20);
-
-        // Add text to the nodes
-        nodes.append('text')
-            .attr('dy', 5)
-            .text(d => d.data.name);
-
-        // Add spouse nodes and links
-        const spouseNodes = nodes.filter(d => d.data.spouse);
-        spouseNodes.each(function(d) {
-            const node = d3.select(this);
-            const spouse = d.data.spouse;
-            const spouseNode = {
-                data: spouse,
-                x: d.x + 50, // Position spouse next to the main member
-                y: d.y
-            };
+        // A row for each group heading, followed by a row for each life in the group.
+        const rows = timeline.groups.flatMap(group => [{ heading: group.label }, ...group.lives]);
+        const width = familyTimelineChart.clientWidth || FAMILY_TIMELINE_DEFAULT_WIDTH;
+        const height = FAMILY_TIMELINE_AXIS_HEIGHT + rows.length * FAMILY_TIMELINE_ROW_HEIGHT;
+        familyTimelineSvg.attr('width', width).attr('height', height);
+        familyTimelineClip
+            .attr('x', FAMILY_TIMELINE_LABEL_WIDTH)
+            .attr('width', width - FAMILY_TIMELINE_LABEL_WIDTH)
+            .attr('height', height);
+        familyTimelineAxis.attr('transform', `translate(0,${FAMILY_TIMELINE_AXIS_HEIGHT - 5})`);
+        familyTimelineX = d3.scaleLinear()
+            .domain([Math.floor(timeline.earliest) - 2, Math.ceil(timeline.latest) + 2])
+            .range([FAMILY_TIMELINE_LABEL_WIDTH + 10, width - 10]);
+        familyTimelineZoom
+            .extent([[FAMILY_TIMELINE_LABEL_WIDTH, 0], [width, height]])
+            .translateExtent([[FAMILY_TIMELINE_LABEL_WIDTH, 0], [width, height]]);
 
-            // Draw spouse link
-            svg.append('path')
-                .attr('class', 'link')
-                .attr('d', `M${d.x},${d.y} L${spouseNode.x},${spouseNode.y}`);
+        familyTimelineRows.selectAll('*').remove();
+        const row = familyTimelineRows.selectAll('g')
+            .data(rows)
+            .join('g')
+            .attr('transform', (d, i) => `translate(0,${FAMILY_TIMELINE_AXIS_HEIGHT + i * FAMILY_TIMELINE_ROW_HEIGHT})`);
 
-            // Draw spouse node
-            const spouseGroup = svg.append('g')
-                .attr('class', 'node spouse-node')
-                .attr('transform', `translate(${spouseNode.x},${spouseNode.y})`);
+        row.filter(d => d.heading)
+            .attr('class', 'timeline-heading')
+            .append('text')
+            .attr('x', 5)
+            .attr('y', FAMILY_TIMELINE_ROW_HEIGHT / 2)
+            .attr('dy', '0.35em')
+            .text(d => d.heading);
 
-            spouseGroup.append('circle')
-                .attr('r', 20)
-                .style('fill', '#1da34a') // Different color for spouses
-                .style('stroke', '#3f0');
+        const lives = row.filter(d => !d.heading)
+            .attr('class', 'timeline-row')
+            .attr('id', d => `timeline-${d.member.id}`)
+            .on('click', (event, d) => {
+                openEditPanel(d.member.id);
+                centreOnMember(d.member.id);
+            });
+        lives.append('title')
+            .text(d => [d.member.name, FamilyDates.formatLifespan(d.member)].filter(Boolean).join(', '));
+        lives.append('text')
+            .attr('class', 'timeline-name')
+            .attr('x', FAMILY_TIMELINE_LABEL_WIDTH - 6)
+            .attr('y', FAMILY_TIMELINE_ROW_HEIGHT / 2)
+            .attr('dy', '0.35em')
+            .text(d => (d.member.name.length > 24 ? `${d.member.name.slice(0, 23)}…` : d.member.name));
+        const plot = lives.append('g').attr('clip-path', 'url(#timeline-clip)');
+        // Bars whose birth or death had to be guessed from other events are drawn with a dashed outline.
+        plot.append('rect')
+            .attr('class', d => `timeline-life${d.startKnown && d.endKnown ? '' : ' timeline-life--estimated'}${d.living ? ' timeline-life--living' : ''}`)
+            .attr('y', 4)
+            .attr('height', FAMILY_TIMELINE_ROW_HEIGHT - 8);
+        plot.selectAll('.timeline-event')
+            .data(d => d.events)
+            .join('path')
+            .attr('class', d => `timeline-event timeline-event--${d.kind}`)
+            .attr('d', d => d3.symbol(EVENT_SYMBOLS[d.kind], 40)())
+            .append('title')
+            .text(d => `${TreeTimeline.EVENTS[d.kind]}: ${d.label} (${Math.floor(d.year)})`);
 
-            spouseGroup.append('text')
-                .attr('dy', 5)
-                .text(spouse.name);
-        });
+        positionFamilyTimeline();
+        markSelectedLife();
     }
 
+    familyTimelineGroupDropdown.addEventListener('change', updateFamilyTimeline);
+    document.getElementById('timeline-reset-btn').addEventListener('click', () => {
+        familyTimelineSvg.transition().duration(TRANSITION_DURATION).call(familyTimelineZoom.transform, d3.zoomIdentity);
+    });
+
     // --- Form Submission and Event Handling ---
 
     // Event listener for the form submission
     addMemberForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        if (addMember()) {
-            // Only update and redraw if the member was successfully added
-            updateDropdowns();
-            drawTree();
-            memberNameInput.value = ''; // Clear the input field
+        // The tree is only saved and redrawn if the member was successfully added
+        if (changeGraph(`add ${memberNameInput.value.trim()}`, addMember)) {
+            fillProfile('member'); // Clear the input fields
+            partnershipStartInput.value = '';
+            partnershipEndInput.value = '';
+            partnershipPlaceInput.value = '';
         }
     });
     
+    // --- Privacy for Sharing ---
+
+    const privacyModeDropdown = document.getElementById('privacy-mode');
+    const privacyDetails = document.getElementById('privacy-details');
+    const privacySummary = document.getElementById('privacy-summary');
+
+    Object.entries(TreePrivacy.MODES).forEach(([mode, label]) => {
+        privacyModeDropdown.appendChild(new Option(label, mode));
+    });
+    Object.entries(TreePrivacy.DETAILS).forEach(([detail, label]) => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `privacy-detail-${detail}`;
+        checkbox.value = detail;
+        const detailLabel = document.createElement('label');
+        detailLabel.htmlFor = checkbox.id;
+        detailLabel.textContent = label;
+        privacyDetails.append(checkbox, detailLabel);
+    });
+
+    /**
+     * @description Makes the copy of the open tree that leaves the browser, with the privacy setting applied.
+     * @returns {{graph: object, livingIds: Set<number>}} From TreePrivacy.applyPrivacy().
+     */
+    function sharedGraph() {
+        return TreePrivacy.applyPrivacy(familyGraph, privacy);
+    }
+
+    /**
+     * @description Shows the open tree's privacy setting, and how many of its people it covers.
+     */
+    function updatePrivacySettings() {
+        privacyModeDropdown.value = privacy.mode;
+        privacyDetails.hidden = privacy.mode !== 'details';
+        privacyDetails.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = privacy.details.includes(checkbox.value);
+        });
+        const living = familyGraph.members.filter(member => TreePrivacy.isLiving(member)).length;
+        privacySummary.textContent = living === 0
+            ? 'Nobody in this tree is treated as living.'
+            : `${living} ${living === 1 ? 'person is' : 'people are'} treated as living, from their dates or as set on them.`;
+    }
+
+    function changePrivacy() {
+        privacy = TreePrivacy.normalizeSettings({
+            mode: privacyModeDropdown.value,
+            details: Array.from(privacyDetails.querySelectorAll('input:checked'), checkbox => checkbox.value)
+        });
+        saveActiveTree();
+        updatePrivacySettings();
+    }
+
+    privacyModeDropdown.addEventListener('change', changePrivacy);
+    privacyDetails.addEventListener('change', changePrivacy);
+
+    /**
+     * @description Copies the chart's layers as they are drawn now, with the privacy setting applied:
+     * living people are shown as "Living" or left out along with their links, and hidden details come off
+     * their labels. The drawn elements still hold their D3 data, which says who each copy shows.
+     * @returns {Array<Element>} The copied layers, in drawing order.
+     */
+    function sharedLayers() {
+        const { graph, livingIds } = sharedGraph();
+        const isHidden = (id) => livingIds.has(id) && !FamilyGraph.getMember(graph, id);
+        return [segmentLayer, linkLayer, nodeLayer].map(layer => {
+            const copy = layer.node().cloneNode(true);
+            const copies = Array.from(copy.children);
+            Array.from(layer.node().children).forEach((element, index) => {
+                const d = element.__data__;
+                const drawn = copies[index];
+                if (!d) return;
+                if (element.classList.contains('fan-segment')) {
+                    if (isHidden(d.memberId)) drawn.remove();
+                } else if (element.classList.contains('link')) {
+                    if (isHidden(d.childId) || d.parentIds.every(isHidden)) drawn.remove();
+                } else if (element.classList.contains('spouse-link')) {
+                    const partnership = graph.partnerships.find(p => p.id === d.partnership.id);
+                    if (!partnership) {
+                        drawn.remove();
+                        return;
+                    }
+                    const [member, spouse] = [d.member.id, d.spouse.id].map(id => FamilyGraph.getMember(graph, id));
+                    drawn.querySelector('title').textContent = `${member.name} & ${spouse.name}: ${describePartnership(partnership)}`;
+                } else if (element.classList.contains('node') && livingIds.has(d.member.id)) {
+                    const member = FamilyGraph.getMember(graph, d.member.id);
+                    if (!member) {
+                        drawn.remove();
+                        return;
+                    }
+                    drawn.querySelector('.node-name').textContent = member.name;
+                    drawn.querySelector('.node-lifespan').textContent = FamilyDates.formatLifespan(member);
+                    drawn.setAttribute('aria-label', member.name);
+                }
+            });
+            return copy;
+        });
+    }
+
     // --- Image Download Functionality ---
     
     /**
      * @description Uses html2canvas to capture the family tree SVG and download it as a PNG image.
      * It temporarily creates a container to ensure the entire SVG is captured correctly.
+     * Living people are shown as the privacy setting says.
      */
     function downloadImage() {
         const svgElement = treeContainer.querySelector('svg');
@@ -317,18 +3117,26 @@ document.addEventListener('DOMContentLoaded', () => {
             showMessage("There is no family tree to download yet.");
             return;
         }
+        if (typeof html2canvas === 'undefined') {
+            showMessage("The image library could not be loaded, so the tree can't be downloaded as an image. Reload the page to try again, or use \"Export SVG\" instead.");
+            return;
+        }
 
         // To correctly capture the SVG, we need to create a temporary container.
         const tempContainer = document.createElement('div');
         tempContainer.style.width = treeContainer.scrollWidth + 'px';
         tempContainer.style.height = treeContainer.scrollHeight + 'px';
-        tempContainer.appendChild(svgElement.cloneNode(true));
+        const svgCopy = svgElement.cloneNode(false);
+        const viewportCopy = viewport.node().cloneNode(false);
+        viewportCopy.append(...sharedLayers());
+        svgCopy.appendChild(viewportCopy);
+        tempContainer.appendChild(svgCopy);
         document.body.appendChild(tempContainer);
 
         html2canvas(tempContainer).then(canvas => {
             const link = document.createElement('a');
             link.href = canvas.toDataURL('image/png');
-            link.download = 'family-tree.png';
+            link.download = `${exportFileName()}.png`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
@@ -346,7 +3154,89 @@ document.addEventListener('DOMContentLoaded', () => {
         downloadImgBtnNav.addEventListener('click', downloadImage);
     }
     
-    // Initial calls when the page loads to set up the dropdowns and the empty tree view.
-    updateDropdowns();
-    drawTree();
+    // --- SVG and PDF Export ---
+
+    const exportForm = document.getElementById('export-form');
+    const exportTitleInput = document.getElementById('export-title');
+    const exportPaperDropdown = document.getElementById('export-paper');
+    const exportOrientationDropdown = document.getElementById('export-orientation');
+    const exportPagesAcrossInput = document.getElementById('export-pages-across');
+    const exportLegendCheckbox = document.getElementById('export-legend');
+    const exportSvgBtn = document.getElementById('export-svg-btn');
+
+    Object.entries(TreeExport.PAPER_SIZES).forEach(([key, size]) => {
+        exportPaperDropdown.appendChild(new Option(size.label, key));
+    });
+
+    // Exported files are named after the open tree.
+    function exportFileName() {
+        return activeTree ? activeTree.name : 'family-tree';
+    }
+
+    // How long a download's address is kept, in milliseconds. Firefox and Safari cancel a download whose
+    // address is revoked straight after the click, so it is kept for as long as jsPDF's FileSaver keeps it.
+    const DOWNLOAD_URL_LIFETIME = 40000;
+
+    /**
+     * @description Saves a file to the user's computer.
+     * @param {string} fileName The name to save it as.
+     * @param {Blob} blob The file contents.
+     */
+    function downloadFile(fileName, blob) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME);
+    }
+
+    /**
+     * @description Copies the chart as it is drawn now into a standalone SVG, with the chosen title and legend.
+     * Living people are shown as the privacy setting says.
+     * @returns {SVGSVGElement|null} The SVG (remove it from the page when finished), or null if the tree is empty.
+     */
+    function createExportSvg() {
+        if (!treeBounds) {
+            showMessage("There is no family tree to export yet.");
+            return null;
+        }
+        return TreeExport.createStandaloneSvg(sharedLayers(), treeBounds, {
+            title: exportTitleInput.value.trim() || exportFileName(),
+            legend: exportLegendCheckbox.checked,
+            background: window.getComputedStyle(treeContainer).backgroundColor
+        });
+    }
+
+    function exportSvg() {
+        const svg = createExportSvg();
+        if (!svg) return;
+        downloadFile(`${exportFileName()}.svg`, new Blob([TreeExport.toSvgFile(svg)], { type: 'image/svg+xml' }));
+        svg.remove();
+    }
+
+    function exportPdf() {
+        const svg = createExportSvg();
+        if (!svg) return;
+        TreeExport.createPdf(svg, {
+            paper: exportPaperDropdown.value,
+            orientation: exportOrientationDropdown.value,
+            pagesAcross: Number(exportPagesAcrossInput.value)
+        }).then(doc => {
+            doc.save(`${exportFileName()}.pdf`);
+        }).catch(error => {
+            console.error("Error during PDF export:", error);
+            showMessage(error.message);
+        }).finally(() => svg.remove());
+    }
+
+    exportSvgBtn.addEventListener('click', exportSvg);
+    exportForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        exportPdf();
+    });
+
+    // Initial call when the page loads to open the last saved tree (or start a new one).
+    loadInitialTree();
 });
@@ -0,0 +1,235 @@
+// Searching and filtering the members of a family tree for the Family Tree Creator.
+// Names are matched loosely: case and accents are ignored ("zoe" finds "Zoë", "muller" finds
+// "Müller"), the start of a word is enough ("eliz" finds "Elizabeth") and small typing mistakes
+// are forgiven ("jonh" finds "John"). Surname, birth years, place and whether someone is living
+// narrow the results down. Nothing here touches the page; script.js shows the results.
+
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+
+export const TreeSearch = (() => {
+    // Who to include by whether they are still alive.
+    const STATUSES = {
+        any: 'Living or deceased',
+        living: 'Living',
+        deceased: 'Deceased'
+    };
+
+    // People with no recorded death are counted as living, unless they were born longer ago than this.
+    const MAX_LIFESPAN = 110;
+
+    // Letters that don't split into a plain letter and an accent, written the way they are usually typed.
+    const SPECIAL_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+
+    // How good each kind of match is; the best matches are listed first.
+    const SCORES = {
+        exact: 4,
+        prefix: 3,
+        contains: 2,
+        typo: 1
+    };
+
+    /**
+     * @description Makes text comparable: lower case, accents removed and punctuation turned into spaces.
+     * @param {string} text The text.
+     * @returns {string} The plain text.
+     */
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[ßæœøłđðþı]/g, letter => SPECIAL_LETTERS[letter])
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    function words(text) {
+        return normalize(text).split(' ').filter(Boolean);
+    }
+
+    // The number of typing mistakes forgiven in a word: none in short words, or almost everything would match.
+    function allowedTypos(word) {
+        if (word.length >= 8) return 2;
+        if (word.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * @description Counts the letters that have to be added, removed, changed or swapped to turn one word into another.
+     * @param {string} a The first word.
+     * @param {string} b The second word.
+     * @returns {number} The number of edits.
+     */
+    function editDistance(a, b) {
+        // rows[i][j] is the distance between the first i letters of a and the first j letters of b.
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * @description Scores how well one typed word matches one word of a name.
+     * A word that is still being typed is compared with the start of the name word too.
+     * @param {string} typed The typed word.
+     * @param {string} word The name word.
+     * @returns {number} One of SCORES, or 0 for no match.
+     */
+    function matchWord(typed, word) {
+        if (word === typed) return SCORES.exact;
+        if (word.startsWith(typed)) return SCORES.prefix;
+        if (typed.length >= 3 && word.includes(typed)) return SCORES.contains;
+        const allowed = allowedTypos(typed);
+        if (allowed > 0 && (editDistance(typed, word) <= allowed || editDistance(typed, word.slice(0, typed.length)) <= allowed)) {
+            return SCORES.typo;
+        }
+        return 0;
+    }
+
+    /**
+     * @description Scores how well typed text matches a list of names. Every typed word has to match
+     * a word in one of the names.
+     * @param {string} query The typed text.
+     * @param {Array<string>} names The names to look in.
+     * @returns {number} The total score, or 0 for no match.
+     */
+    function matchText(query, names) {
+        const nameWords = names.flatMap(words);
+        let total = 0;
+        for (const typed of words(query)) {
+            const best = Math.max(0, ...nameWords.map(word => matchWord(typed, word)));
+            if (best === 0) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    // Every name a member may be searched by: their full name, birth name and nicknames.
+    function namesOf(member) {
+        return [member.name, member.givenName, member.surname, member.birthName, ...(member.nicknames || [])].filter(Boolean);
+    }
+
+    // A member's surname and birth name. Members saved before surnames had their own field use the last word of their name.
+    function surnamesOf(member) {
+        if (member.surname || member.birthName) {
+            return [member.surname, member.birthName].filter(Boolean);
+        }
+        return [words(member.name).pop() || ''];
+    }
+
+    /**
+     * @description Tells whether a member is probably still alive. A livingStatus set by hand on the member
+     * decides; otherwise they are if no death is recorded and they weren't born more than MAX_LIFESPAN
+     * years ago. People with no dates at all are counted as living.
+     * @param {object} member The member.
+     * @param {number} [currentYear] The year to compare with; this year by default.
+     * @returns {boolean} True if the member is probably alive.
+     */
+    function isLiving(member, currentYear = new Date().getFullYear()) {
+        if (member.livingStatus === 'living') return true;
+        if (member.livingStatus === 'deceased') return false;
+        const death = member.death || {};
+        if (death.date || death.place) return false;
+        const birth = member.birth && FamilyDates.toRange(member.birth.date);
+        return !birth || birth.latest > currentYear - MAX_LIFESPAN;
+    }
+
+    /**
+     * @description Checks a member against the criteria other than their name.
+     * A birth year range leaves out members whose birth date isn't known.
+     * @param {object} member The member.
+     * @param {object} criteria See search().
+     * @returns {boolean} True if the member fits.
+     */
+    function fitsFilters(member, criteria) {
+        const { surname, birthFrom, birthTo, place, status = 'any' } = criteria;
+        if (surname && matchText(surname, surnamesOf(member)) === 0) {
+            return false;
+        }
+        if (birthFrom != null || birthTo != null) {
+            const birth = member.birth && FamilyDates.toRange(member.birth.date);
+            if (!birth) return false;
+            if (birthFrom != null && birth.latest < birthFrom) return false;
+            if (birthTo != null && birth.earliest > birthTo) return false;
+        }
+        if (place) {
+            const places = [member.birth && member.birth.place, member.death && member.death.place].filter(Boolean);
+            if (!places.some(text => normalize(text).includes(normalize(place)))) return false;
+        }
+        if (status === 'living' && !isLiving(member)) return false;
+        if (status === 'deceased' && isLiving(member)) return false;
+        return true;
+    }
+
+    /**
+     * @description Finds the members who match a search, best matches first.
+     * Criteria left empty don't filter anything, so an empty search finds everybody.
+     * @param {object} graph The family graph.
+     * @param {object} criteria The search.
+     * @param {string} [criteria.name] Any of the member's names, loosely matched.
+     * @param {string} [criteria.surname] Their surname or birth name, loosely matched.
+     * @param {number|null} [criteria.birthFrom] The earliest birth year.
+     * @param {number|null} [criteria.birthTo] The latest birth year.
+     * @param {string} [criteria.place] Part of their place of birth or death.
+     * @param {string} [criteria.status='any'] One of STATUSES.
+     * @returns {Array<{member: object, score: number}>} The matching members.
+     */
+    function search(graph, criteria) {
+        if (criteria.status && !STATUSES[criteria.status]) {
+            throw new Error(`"${criteria.status}" is not a search status.`);
+        }
+        if (criteria.birthFrom != null && criteria.birthTo != null && criteria.birthFrom > criteria.birthTo) {
+            throw new Error('The "born from" year must not be after the "born to" year.');
+        }
+        const query = (criteria.name || '').trim();
+        return graph.members
+            .filter(member => fitsFilters(member, criteria))
+            .map(member => ({ member, score: query ? matchText(query, namesOf(member)) : 0 }))
+            .filter(result => !query || result.score > 0)
+            .sort((a, b) => b.score - a.score || a.member.name.localeCompare(b.member.name));
+    }
+
+    /**
+     * @description Describes a member briefly so people with the same name can be told apart in results,
+     * e.g. "1890 – 1955 · child of John and Mary Smith".
+     * @param {object} graph The family graph.
+     * @param {object} member The member.
+     * @returns {string} The description, or an empty string if nothing is known about them.
+     */
+    function describeContext(graph, member) {
+        const details = [];
+        const lifespan = FamilyDates.formatLifespan(member);
+        if (lifespan) details.push(lifespan);
+        const parents = FamilyGraph.getParents(graph, member.id);
+        if (parents.length > 0) {
+            details.push(`child of ${parents.map(parent => parent.name).join(' and ')}`);
+        } else {
+            const spouses = FamilyGraph.getSpouses(graph, member.id);
+            if (spouses.length > 0) details.push(`partner of ${spouses.map(spouse => spouse.name).join(' and ')}`);
+        }
+        const place = member.birth && member.birth.place;
+        if (place) details.push(`born in ${place}`);
+        return details.join(' · ');
+    }
+
+    return {
+        STATUSES,
+        MAX_LIFESPAN,
+        normalize,
+        editDistance,
+        isLiving,
+        search,
+        describeContext
+    };
+})();
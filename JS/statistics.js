@@ -0,0 +1,191 @@
+// Statistics about a family tree for the Family Tree Creator.
+// summarize() counts the members of a tree by generation, gender, surname and birthplace, works out
+// their average lifespan and who lived longest and shortest, and counts births and deaths by decade.
+// Unknown people left in place of deleted members aren't counted. Nothing here touches the page;
+// script.js draws the charts with D3.
+
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+import { TreeSearch } from './search.js';
+
+export const TreeStatistics = (() => {
+    // How genders are labelled, in the order they are charted.
+    const GENDERS = {
+        female: 'Female',
+        male: 'Male',
+        other: 'Other',
+        '': 'Not recorded'
+    };
+
+    // The number of surnames and birthplaces listed; the rest are left out.
+    const TOP_COUNT = 10;
+
+    // The number of years in each bar of the births and deaths timeline.
+    const TIMELINE_BUCKET = 10;
+
+    /**
+     * @description Numbers the generations of a tree, 1 being the oldest. Children are one generation
+     * below their parents and partners share a generation, so people who married into the family line
+     * up with their partners. Each unconnected part of the tree starts from generation 1.
+     * @param {object} graph The family graph.
+     * @returns {Map<number, number>} Each member's id and generation.
+     */
+    function generationsOf(graph) {
+        const generations = new Map();
+        graph.members.forEach(start => {
+            if (generations.has(start.id)) return;
+            // Walk out from this member, one step up or down for each parent link and none for a partner.
+            const part = new Map([[start.id, 0]]);
+            const queue = [start.id];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                const depth = part.get(id);
+                const next = [
+                    ...FamilyGraph.getParents(graph, id).map(member => [member.id, depth - 1]),
+                    ...FamilyGraph.getChildren(graph, id).map(member => [member.id, depth + 1]),
+                    ...FamilyGraph.getSpouses(graph, id).map(member => [member.id, depth])
+                ];
+                next.forEach(([nextId, nextDepth]) => {
+                    if (!part.has(nextId)) {
+                        part.set(nextId, nextDepth);
+                        queue.push(nextId);
+                    }
+                });
+            }
+            const top = Math.min(...part.values());
+            part.forEach((depth, id) => generations.set(id, depth - top + 1));
+        });
+        return generations;
+    }
+
+    // Counts how often each value appears, most common first; values that are the same apart from case are counted together.
+    function countValues(values) {
+        const counts = new Map();
+        values.forEach(value => {
+            const key = TreeSearch.normalize(value);
+            if (!key) return;
+            const entry = counts.get(key) || { label: value.trim(), count: 0 };
+            entry.count += 1;
+            counts.set(key, entry);
+        });
+        return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+
+    // A member's surname. Members saved before surnames had their own field use the last word of their name.
+    function surnameOf(member) {
+        if (member.surname) return member.surname;
+        const words = (member.name || '').trim().split(/\s+/);
+        return words.length > 1 ? words[words.length - 1] : '';
+    }
+
+    /**
+     * @description Works out how old a member lived to be, or how old they are now if they are living.
+     * @param {object} member The member.
+     * @param {number} currentYear The year to measure the living against.
+     * @returns {{years: number, living: boolean}|null} Their age in whole years, or null if it isn't known.
+     */
+    function ageOf(member, currentYear) {
+        const birth = member.birth && FamilyDates.toDecimalYear(member.birth.date);
+        if (birth === null || birth === undefined) return null;
+        const death = member.death && FamilyDates.toDecimalYear(member.death.date);
+        if (death !== null && death !== undefined) {
+            return death >= birth ? { years: Math.floor(death - birth), living: false } : null;
+        }
+        if (!TreeSearch.isLiving(member, currentYear)) return null;
+        return { years: Math.max(0, Math.floor(currentYear - birth)), living: true };
+    }
+
+    /**
+     * @description Counts births and deaths in each TIMELINE_BUCKET years, from the first to the last
+     * decade with either. Dates that can't be understood are left out.
+     * @param {Array<object>} members The members.
+     * @returns {Array<{start: number, births: number, deaths: number}>} The counts, oldest first.
+     */
+    function countEvents(members) {
+        const buckets = new Map();
+        const add = (date, kind) => {
+            const year = FamilyDates.toDecimalYear(date);
+            if (year === null) return;
+            const start = Math.floor(year / TIMELINE_BUCKET) * TIMELINE_BUCKET;
+            const bucket = buckets.get(start) || { start, births: 0, deaths: 0 };
+            bucket[kind] += 1;
+            buckets.set(start, bucket);
+        };
+        members.forEach(member => {
+            if (member.birth && member.birth.date) add(member.birth.date, 'births');
+            if (member.death && member.death.date) add(member.death.date, 'deaths');
+        });
+        if (buckets.size === 0) return [];
+        const starts = Array.from(buckets.keys());
+        const timeline = [];
+        for (let start = Math.min(...starts); start <= Math.max(...starts); start += TIMELINE_BUCKET) {
+            timeline.push(buckets.get(start) || { start, births: 0, deaths: 0 });
+        }
+        return timeline;
+    }
+
+    /**
+     * @description Sums up a tree.
+     * @param {object} graph The family graph.
+     * @param {number} [currentYear] The year to measure the living against; this year by default.
+     * @returns {object} The statistics:
+     * - total: the number of people counted.
+     * - generations: [{ generation, count }], oldest generation first.
+     * - genders: [{ gender, label, count }] in the order of GENDERS, leaving out genders nobody has.
+     * - surnames and birthplaces: the TOP_COUNT most common, as [{ label, count }].
+     * - averageLifespan: { years, count } over the people with both dates known, or null.
+     * - oldest and youngest: { member, years, living } for the people who lived longest and shortest
+     *   (counting the living at their age today), or null if no ages are known.
+     * - timeline: births and deaths by decade, from countEvents().
+     */
+    function summarize(graph, currentYear = new Date().getFullYear()) {
+        const members = graph.members.filter(member => !member.placeholder);
+        const generationIds = generationsOf(graph);
+
+        const generationCounts = new Map();
+        members.forEach(member => {
+            const generation = generationIds.get(member.id);
+            generationCounts.set(generation, (generationCounts.get(generation) || 0) + 1);
+        });
+        const generations = Array.from(generationCounts, ([generation, count]) => ({ generation, count }))
+            .sort((a, b) => a.generation - b.generation);
+
+        const genders = Object.keys(GENDERS)
+            .map(gender => ({
+                gender,
+                label: GENDERS[gender],
+                count: members.filter(member => (GENDERS[member.gender] ? member.gender : '') === gender).length
+            }))
+            .filter(entry => entry.count > 0);
+
+        const ages = members
+            .map(member => ({ member, age: ageOf(member, currentYear) }))
+            .filter(entry => entry.age !== null)
+            .map(({ member, age }) => ({ member, years: age.years, living: age.living }));
+        const lifespans = ages.filter(entry => !entry.living);
+        const byAge = ages.slice().sort((a, b) => b.years - a.years);
+
+        return {
+            total: members.length,
+            generations,
+            genders,
+            surnames: countValues(members.map(surnameOf)).slice(0, TOP_COUNT),
+            birthplaces: countValues(members.map(member => (member.birth && member.birth.place) || '')).slice(0, TOP_COUNT),
+            averageLifespan: lifespans.length === 0 ? null : {
+                years: lifespans.reduce((sum, entry) => sum + entry.years, 0) / lifespans.length,
+                count: lifespans.length
+            },
+            oldest: byAge.length > 0 ? byAge[0] : null,
+            youngest: byAge.length > 0 ? byAge[byAge.length - 1] : null,
+            timeline: countEvents(members)
+        };
+    }
+
+    return {
+        GENDERS,
+        TOP_COUNT,
+        TIMELINE_BUCKET,
+        generationsOf,
+        summarize
+    };
+})();
@@ -0,0 +1,280 @@
+// Browser storage for the Family Tree Creator.
+// Every family tree is saved to localStorage under its own key, with an index of all saved
+// trees so the tree manager can list, rename, duplicate and delete them.
+// Saves carry a schema version so they can be migrated when the member model changes.
+// Each saved tree holds its family as a FamilyGraph (see familyGraph.js).
+
+import { FamilyGraph } from './familyGraph.js';
+
+export const TreeStorage = (() => {
+    const STORAGE_PREFIX = 'familyTreeCreator';
+    const INDEX_KEY = `${STORAGE_PREFIX}.trees`;
+    const ACTIVE_KEY = `${STORAGE_PREFIX}.activeTree`;
+
+    // The version of the saved tree format written by this file.
+    const SCHEMA_VERSION = 3;
+
+    /*  Each migration upgrades a saved tree from the version it is keyed by to the next one.
+        When the member model changes, bump SCHEMA_VERSION and add a step here.
+        Steps must not use FamilyGraph, so they keep working after the model changes again.   */
+    const migrations = {
+        // Version 1 saved a flat familyMembers array where each member had one parentId,
+        // and spouses were stored as an isSpouse "child" of their partner.
+        // Version 2 saves a FamilyGraph with parent links and partnerships.
+        1: (tree) => {
+            const { familyMembers = [], nextId = 1, ...rest } = tree;
+            // A member's partner is either the spouse record added under them, or, for a spouse record,
+            // the member it was added under.
+            const partnerOf = (memberId) => {
+                const spouse = familyMembers.find(m => m.parentId === memberId && m.isSpouse);
+                if (spouse) return spouse.id;
+                const member = familyMembers.find(m => m.id === memberId);
+                return member && member.isSpouse ? member.parentId : null;
+            };
+            const parentLinks = [];
+            const partnerships = [];
+
+            familyMembers.forEach(member => {
+                if (member.isSpouse) {
+                    partnerships.push({
+                        id: partnerships.length + 1,
+                        partnerIds: [member.parentId, member.id],
+                        marriage: member.marriage || null
+                    });
+                } else if (member.parentId !== null) {
+                    // A child's second parent was the partner of the member they were added under.
+                    parentLinks.push({ parentId: member.parentId, childId: member.id });
+                    const partnerId = partnerOf(member.parentId);
+                    if (partnerId !== null) {
+                        parentLinks.push({ parentId: partnerId, childId: member.id });
+                    }
+                }
+            });
+
+            return {
+                ...rest,
+                schemaVersion: 2,
+                graph: {
+                    members: familyMembers.map(({ parentId, isSpouse, marriage, ...fields }) => fields),
+                    parentLinks,
+                    partnerships,
+                    nextId,
+                    nextPartnershipId: partnerships.length + 1
+                }
+            };
+        },
+        // Version 2 partnerships only had an optional marriage { date, place }.
+        // Version 3 partnerships have a type (married, partner, divorced, widowed) and start and end dates.
+        2: (tree) => ({
+            ...tree,
+            schemaVersion: 3,
+            graph: {
+                ...tree.graph,
+                partnerships: tree.graph.partnerships.map(({ marriage, ...partnership }) => ({
+                    ...partnership,
+                    type: 'married',
+                    startDate: marriage ? marriage.date : '',
+                    endDate: '',
+                    place: marriage ? marriage.place : ''
+                }))
+            }
+        })
+    };
+
+    /**
+     * @description Reads and parses a JSON value from localStorage.
+     * @param {string} key The localStorage key to read.
+     * @param {*} fallback The value returned when nothing (or nothing valid) is stored.
+     * @returns {*} The parsed value or the fallback.
+     */
+    function readJson(key, fallback) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.error(`Could not parse saved data for ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * @description Serializes a value and writes it to localStorage.
+     * Throws a readable error when the browser refuses the write (e.g. the storage quota is full).
+     * @param {string} key The localStorage key to write.
+     * @param {*} value The value to store.
+     */
+    function writeJson(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Could not save ${key}:`, error);
+            throw new Error("Your browser refused to save the family tree. Storage may be full or disabled.");
+        }
+    }
+
+    function treeKey(treeId) {
+        return `${STORAGE_PREFIX}.tree.${treeId}`;
+    }
+
+    function generateTreeId() {
+        return `tree-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * @description Upgrades a saved tree to the current schema version, one step at a time.
+     * Also used for trees read from backup files (see treeFile.js).
+     * @param {object} tree The tree as it was read from storage.
+     * @returns {object} The tree in the current format.
+     */
+    function migrate(tree) {
+        let migrated = { ...tree, schemaVersion: tree.schemaVersion || 1 };
+        if (migrated.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`"${tree.name}" was saved by a newer version of the Family Tree Creator.`);
+        }
+        while (migrated.schemaVersion < SCHEMA_VERSION) {
+            const step = migrations[migrated.schemaVersion];
+            if (!step) {
+                throw new Error(`No migration exists for saved trees at version ${migrated.schemaVersion}.`);
+            }
+            migrated = step(migrated);
+        }
+        return migrated;
+    }
+
+    function writeIndexEntry(tree) {
+        const index = listTrees().filter(entry => entry.id !== tree.id);
+        index.push({ id: tree.id, name: tree.name, updatedAt: tree.updatedAt });
+        writeJson(INDEX_KEY, index);
+    }
+
+    // --- Public API ---
+
+    /**
+     * @description Lists the saved trees, most recently updated first.
+     * @returns {Array<{id: string, name: string, updatedAt: string}>}
+     */
+    function listTrees() {
+        const index = readJson(INDEX_KEY, []);
+        return index.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @description Loads a saved tree, migrating it to the current schema if needed.
+     * Migrated trees are written back so the upgrade only happens once.
+     * @param {string} treeId The id of the tree to load.
+     * @returns {object|null} The tree, or null if no tree is saved under that id.
+     */
+    function loadTree(treeId) {
+        const stored = readJson(treeKey(treeId), null);
+        if (!stored) {
+            return null;
+        }
+        const tree = migrate(stored);
+        if (tree.schemaVersion !== stored.schemaVersion) {
+            writeJson(treeKey(tree.id), tree);
+        }
+        return tree;
+    }
+
+    /**
+     * @description Saves a tree and stamps it with the current schema version and time.
+     * @param {object} tree The tree to save. Must have an id and a name.
+     * @returns {object} The saved tree.
+     */
+    function saveTree(tree) {
+        const saved = {
+            ...tree,
+            schemaVersion: SCHEMA_VERSION,
+            updatedAt: new Date().toISOString()
+        };
+        writeJson(treeKey(saved.id), saved);
+        writeIndexEntry(saved);
+        return saved;
+    }
+
+    /**
+     * @description Creates and saves a new, empty tree.
+     * @param {string} name The display name of the tree.
+     * @returns {object} The new tree.
+     */
+    function createTree(name) {
+        const now = new Date().toISOString();
+        return saveTree({
+            id: generateTreeId(),
+            name,
+            createdAt: now,
+            graph: FamilyGraph.createGraph()
+        });
+    }
+
+    /**
+     * @description Renames a saved tree.
+     * @param {string} treeId The id of the tree to rename.
+     * @param {string} name The new display name.
+     * @returns {object|null} The renamed tree, or null if it does not exist.
+     */
+    function renameTree(treeId, name) {
+        const tree = loadTree(treeId);
+        if (!tree) {
+            return null;
+        }
+        return saveTree({ ...tree, name });
+    }
+
+    /**
+     * @description Copies a saved tree, including all of its members, under a new id.
+     * @param {string} treeId The id of the tree to copy.
+     * @param {string} name The display name for the copy.
+     * @returns {object|null} The copy, or null if the original does not exist.
+     */
+    function duplicateTree(treeId, name) {
+        const tree = loadTree(treeId);
+        if (!tree) {
+            return null;
+        }
+        const copy = JSON.parse(JSON.stringify(tree));
+        return saveTree({
+            ...copy,
+            id: generateTreeId(),
+            name,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * @description Deletes a saved tree and removes it from the index.
+     * @param {string} treeId The id of the tree to delete.
+     */
+    function deleteTree(treeId) {
+        localStorage.removeItem(treeKey(treeId));
+        writeJson(INDEX_KEY, listTrees().filter(entry => entry.id !== treeId));
+        if (getActiveTreeId() === treeId) {
+            localStorage.removeItem(ACTIVE_KEY);
+        }
+    }
+
+    function getActiveTreeId() {
+        return localStorage.getItem(ACTIVE_KEY);
+    }
+
+    function setActiveTreeId(treeId) {
+        localStorage.setItem(ACTIVE_KEY, treeId);
+    }
+
+    return {
+        SCHEMA_VERSION,
+        migrate,
+        listTrees,
+        loadTree,
+        saveTree,
+        createTree,
+        renameTree,
+        duplicateTree,
+        deleteTree,
+        getActiveTreeId,
+        setActiveTreeId
+    };
+})();
@@ -0,0 +1,171 @@
+// The family timeline for the Family Tree Creator.
+// buildTimeline() turns a tree into rows for a chart across time: each member's lifespan, with the
+// years they married, had children and died, grouped by generation or by family branch. Nothing here
+// touches the page; script.js draws the timeline with D3.
+
+import { TreeChecks } from './checks.js';
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+import { TreeSearch } from './search.js';
+import { TreeStatistics } from './statistics.js';
+
+export const TreeTimeline = (() => {
+    // The ways rows can be grouped, with the label shown to users.
+    const GROUPINGS = {
+        generation: 'Generation',
+        branch: 'Family branch'
+    };
+
+    // The kinds of event marked on a lifespan.
+    const EVENTS = {
+        marriage: 'Marriage',
+        child: 'Birth of a child',
+        death: 'Death'
+    };
+
+    function lastWord(text) {
+        const words = (text || '').trim().split(/\s+/).filter(Boolean);
+        return words.length > 0 ? words[words.length - 1] : '';
+    }
+
+    /**
+     * @description Works out the family a member was born into, from their birth name or surname.
+     * Members with only one name (e.g. "Me") take the branch of their parents.
+     * @param {object} graph The family graph.
+     * @param {object} member The member.
+     * @param {Set<number>} [visited] Members already looked at, so circular ancestry can't loop forever.
+     * @returns {string} The family name, or an empty string if it can't be told.
+     */
+    function branchOf(graph, member, visited = new Set()) {
+        visited.add(member.id);
+        if (member.birthName) return lastWord(member.birthName);
+        if (member.surname) return member.surname.trim();
+        if (lastWord(member.name) !== (member.name || '').trim()) return lastWord(member.name);
+        for (const parent of FamilyGraph.getParents(graph, member.id)) {
+            if (!visited.has(parent.id)) {
+                const branch = branchOf(graph, parent, visited);
+                if (branch) return branch;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * @description Collects the dated events in a member's life: their marriages and partnerships,
+     * the births of their children and their death.
+     * @param {object} graph The family graph.
+     * @param {object} member The member.
+     * @returns {Array<{kind: string, year: number, label: string, memberId: number}>} The events, earliest first.
+     * memberId is the other person involved (the partner or child), or the member themselves for their death.
+     */
+    function eventsOf(graph, member) {
+        const events = [];
+        FamilyGraph.getPartnerships(graph, member.id).forEach(partnership => {
+            const year = FamilyDates.toDecimalYear(partnership.startDate);
+            const partner = FamilyGraph.getMember(graph, partnership.partnerIds.find(id => id !== member.id));
+            if (year === null || !partner) return;
+            const label = partnership.type === 'partner' ? `Partners with ${partner.name}` : `Married ${partner.name}`;
+            events.push({ kind: 'marriage', year, label, memberId: partner.id });
+        });
+        FamilyGraph.getChildren(graph, member.id).forEach(child => {
+            const year = child.birth ? FamilyDates.toDecimalYear(child.birth.date) : null;
+            if (year !== null) {
+                events.push({ kind: 'child', year, label: `Birth of ${child.name}`, memberId: child.id });
+            }
+        });
+        const death = member.death ? FamilyDates.toDecimalYear(member.death.date) : null;
+        if (death !== null) {
+            events.push({ kind: 'death', year: death, label: `Died${member.death.place ? ` in ${member.death.place}` : ''}`, memberId: member.id });
+        }
+        return events.sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * @description Works out where a member's lifespan bar starts and ends. A missing birth or death is
+     * filled in from the member's other events, and the living are drawn up to today.
+     * @param {object} graph The family graph.
+     * @param {object} member The member.
+     * @param {number} currentYear The year the lifespans of the living run to.
+     * @returns {object|null} { member, start, end, startKnown, endKnown, living, events },
+     * or null if nothing in their life is dated.
+     */
+    function lifeOf(graph, member, currentYear) {
+        const events = eventsOf(graph, member);
+        const birth = member.birth ? FamilyDates.toDecimalYear(member.birth.date) : null;
+        const death = member.death ? FamilyDates.toDecimalYear(member.death.date) : null;
+        const years = events.map(event => event.year);
+        if (birth !== null) years.push(birth);
+        if (years.length === 0) return null;
+
+        const start = birth !== null ? birth : Math.min(...years);
+        // Without a birth date, someone whose first event was a marriage or a child was at least
+        // MIN_PARENT_AGE then, so they are only counted as living if that still fits a believable life.
+        const earliestBirth = birth !== null ? birth : start - TreeChecks.MIN_PARENT_AGE;
+        const living = death === null && TreeSearch.isLiving(member, currentYear) &&
+            earliestBirth > currentYear - TreeSearch.MAX_LIFESPAN;
+        let end = death !== null ? death : Math.max(...years);
+        if (living) end = Math.max(end, currentYear);
+        return {
+            member,
+            start,
+            end,
+            startKnown: birth !== null,
+            endKnown: death !== null || living,
+            living,
+            events
+        };
+    }
+
+    /**
+     * @description Builds the rows of the timeline.
+     * @param {object} graph The family graph.
+     * @param {string} [groupBy='generation'] One of GROUPINGS.
+     * @param {number} [currentYear] The year the lifespans of the living run to; this year by default.
+     * @returns {{groups: Array<{label: string, lives: Array<object>}>, undated: Array<object>, earliest: number|null, latest: number|null}}
+     * The groups of lives from lifeOf() (each sorted by when it starts), the members left out because
+     * nothing in their life is dated, and the first and last years shown (null if nobody is dated).
+     * Unknown people left in place of deleted members are left out altogether.
+     */
+    function buildTimeline(graph, groupBy = 'generation', currentYear = new Date().getFullYear()) {
+        if (!GROUPINGS[groupBy]) {
+            throw new Error(`"${groupBy}" is not a way of grouping the timeline.`);
+        }
+        const members = graph.members.filter(member => !member.placeholder);
+        const generations = groupBy === 'generation' ? TreeStatistics.generationsOf(graph) : null;
+        const groups = new Map();
+        const undated = [];
+        members.forEach(member => {
+            const life = lifeOf(graph, member, currentYear);
+            if (!life) {
+                undated.push(member);
+                return;
+            }
+            const key = generations ? generations.get(member.id) : branchOf(graph, member);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(life);
+        });
+
+        const lives = Array.from(groups.values()).flat();
+        if (lives.length === 0) {
+            return { groups: [], undated, earliest: null, latest: null };
+        }
+        const sorted = Array.from(groups.entries()).sort(([a, aLives], [b, bLives]) => (generations
+            ? a - b
+            : Math.min(...aLives.map(life => life.start)) - Math.min(...bLives.map(life => life.start))));
+        return {
+            groups: sorted.map(([key, groupLives]) => ({
+                label: generations ? `Generation ${key}` : key ? `${key} family` : 'Family name not known',
+                lives: groupLives.sort((a, b) => a.start - b.start || a.member.name.localeCompare(b.member.name))
+            })),
+            undated,
+            earliest: Math.min(...lives.map(life => life.start)),
+            latest: Math.max(...lives.map(life => life.end))
+        };
+    }
+
+    return {
+        GROUPINGS,
+        EVENTS,
+        buildTimeline
+    };
+})();
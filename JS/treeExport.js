@@ -0,0 +1,277 @@
+// Vector export for the Family Tree Creator.
+// The drawn tree is copied into a standalone SVG with every style written onto the elements,
+// so it looks the same outside the page, and can be turned into a print-ready PDF with jsPDF and svg2pdf.js.
+// PDFs fit the tree on one page, or spread it over several pages as a poster to be taped together.
+
+import { FamilyGraph } from './familyGraph.js';
+
+export const TreeExport = (() => {
+    // Paper sizes in millimetres, portrait.
+    const PAPER_SIZES = {
+        a4: { label: 'A4', width: 210, height: 297 },
+        a3: { label: 'A3', width: 297, height: 420 },
+        a2: { label: 'A2', width: 420, height: 594 },
+        a1: { label: 'A1', width: 594, height: 841 },
+        a0: { label: 'A0', width: 841, height: 1189 },
+        letter: { label: 'Letter', width: 215.9, height: 279.4 },
+        legal: { label: 'Legal', width: 215.9, height: 355.6 },
+        tabloid: { label: 'Tabloid', width: 279.4, height: 431.8 }
+    };
+
+    // The blank border of each PDF page, in millimetres.
+    const PAGE_MARGIN = 10;
+
+    // Space around the tree, for the title and for each legend entry, in SVG units.
+    const SVG_MARGIN = 40;
+    const TITLE_HEIGHT = 60;
+    const LEGEND_ITEM_WIDTH = 190;
+    const LEGEND_ROW_HEIGHT = 30;
+
+    // The CSS properties copied onto each exported element, so it no longer needs the page's stylesheets.
+    const STYLE_PROPERTIES = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'opacity',
+        'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+    ];
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    function createSvgElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NAMESPACE, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+
+    /**
+     * @description Lists the legend entries: how members, partners and each kind of link are drawn.
+     * @returns {Array<{kind: string, className: string, label: string}>} kind is 'node' or 'link'.
+     */
+    function legendItems() {
+        return [
+            { kind: 'node', className: 'node', label: 'Family member' },
+            { kind: 'node', className: 'node spouse-node', label: 'Partner (married in)' },
+            { kind: 'link', className: 'link', label: 'Parent and child' },
+            ...Object.entries(FamilyGraph.PARTNERSHIP_TYPES).map(([type, label]) => ({
+                kind: 'link',
+                className: `spouse-link spouse-link--${type}`,
+                label: `Partners: ${label.toLowerCase()}`
+            }))
+        ];
+    }
+
+    /**
+     * @description Draws the legend as a grid of samples with labels.
+     * @param {number} width The width available.
+     * @returns {{group: SVGGElement, height: number}} The legend and the height it needs.
+     */
+    function createLegend(width) {
+        const items = legendItems();
+        const perRow = Math.max(1, Math.floor(width / LEGEND_ITEM_WIDTH));
+        const group = createSvgElement('g', { class: 'export-legend' });
+        items.forEach((item, index) => {
+            const x = (index % perRow) * LEGEND_ITEM_WIDTH;
+            const y = Math.floor(index / perRow) * LEGEND_ROW_HEIGHT + LEGEND_ROW_HEIGHT / 2;
+            if (item.kind === 'node') {
+                const node = createSvgElement('g', { class: item.className, transform: `translate(${x + 15},${y})` });
+                node.appendChild(createSvgElement('circle', { r: 10 }));
+                group.appendChild(node);
+            } else {
+                group.appendChild(createSvgElement('path', { class: item.className, d: `M${x},${y}L${x + 30},${y}` }));
+            }
+            const label = createSvgElement('text', { class: 'export-legend-label', x: x + 40, y, dy: '0.35em' });
+            label.textContent = item.label;
+            group.appendChild(label);
+        });
+        return { group, height: Math.ceil(items.length / perRow) * LEGEND_ROW_HEIGHT };
+    }
+
+    // Writes the computed style of every element inside the SVG onto it, while it is still in the page.
+    function inlineStyles(svg) {
+        svg.querySelectorAll('*').forEach(element => {
+            const computed = window.getComputedStyle(element);
+            const style = STYLE_PROPERTIES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value && value !== 'normal' && value !== 'auto')
+                // Dash lengths are written without units, which every SVG reader understands.
+                .map(([property, value]) => `${property}: ${property === 'stroke-dasharray' ? value.replace(/px/g, '') : value}`);
+            if (style.length > 0) {
+                element.setAttribute('style', style.join('; '));
+            }
+        });
+    }
+
+    /**
+     * @description Copies the drawn tree into a standalone SVG, with an optional title above it and legend below.
+     * The copy is added to the page (out of sight) so the page's styles can be read onto it;
+     * remove it with svg.remove() when finished.
+     * @param {Array<Element>} layers The SVG groups holding the drawn tree, in drawing order.
+     * @param {{left: number, right: number, top: number, bottom: number}} bounds The area the tree covers.
+     * @param {object} [options]
+     * @param {string} [options.title] A heading for the chart.
+     * @param {boolean} [options.legend] Whether to explain the colours and dashed lines.
+     * @param {string} [options.background] The background colour.
+     * @returns {SVGSVGElement} The SVG, with width and height set in SVG units.
+     */
+    function createStandaloneSvg(layers, bounds, { title = '', legend = true, background = '#000' } = {}) {
+        const treeWidth = bounds.right - bounds.left;
+        const treeHeight = bounds.bottom - bounds.top;
+        const titleHeight = title ? TITLE_HEIGHT : 0;
+        const width = Math.max(treeWidth, legend ? LEGEND_ITEM_WIDTH * 2 : 0) + SVG_MARGIN * 2;
+        const legendParts = legend ? createLegend(width - SVG_MARGIN * 2) : null;
+        const legendHeight = legendParts ? legendParts.height + SVG_MARGIN / 2 : 0;
+        const height = titleHeight + treeHeight + legendHeight + SVG_MARGIN * 2;
+
+        const svg = createSvgElement('svg', {
+            class: 'export-svg',
+            width,
+            height,
+            viewBox: `0 0 ${width} ${height}`
+        });
+        svg.appendChild(createSvgElement('rect', { width, height, fill: background }));
+
+        if (title) {
+            const heading = createSvgElement('text', { class: 'export-title', x: width / 2, y: SVG_MARGIN + titleHeight / 2, dy: '0.35em' });
+            heading.textContent = title;
+            svg.appendChild(heading);
+        }
+
+        // The tree is centred across the page, under the title.
+        const tree = createSvgElement('g', {
+            transform: `translate(${(width - treeWidth) / 2 - bounds.left},${SVG_MARGIN + titleHeight - bounds.top})`
+        });
+        layers.forEach(layer => tree.appendChild(layer.cloneNode(true)));
+        // Buttons and selection outlines only make sense on screen.
+        tree.querySelectorAll('.node-toggle').forEach(toggle => toggle.remove());
+        tree.querySelectorAll('.node--selected').forEach(node => node.classList.remove('node--selected'));
+        // Nor do the keyboard and screen reader attributes the chart's nodes have in the page.
+        tree.querySelectorAll('[role], [tabindex], [aria-label]').forEach(element => {
+            Array.from(element.attributes)
+                .filter(attribute => /^(role|tabindex|aria-)/.test(attribute.name))
+                .forEach(attribute => element.removeAttribute(attribute.name));
+        });
+        svg.appendChild(tree);
+
+        if (legendParts) {
+            legendParts.group.setAttribute('transform', `translate(${SVG_MARGIN},${SVG_MARGIN + titleHeight + treeHeight + SVG_MARGIN / 2})`);
+            svg.appendChild(legendParts.group);
+        }
+
+        svg.style.position = 'absolute';
+        svg.style.left = '-100000px';
+        document.body.appendChild(svg);
+        inlineStyles(svg);
+        return svg;
+    }
+
+    /**
+     * @description Writes an SVG as the text of a .svg file.
+     * @param {SVGSVGElement} svg The SVG from createStandaloneSvg().
+     * @returns {string} The file contents.
+     */
+    function toSvgFile(svg) {
+        // The file doesn't need the styles that hide the SVG in the page.
+        const copy = svg.cloneNode(true);
+        copy.removeAttribute('style');
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}`;
+    }
+
+    /**
+     * @description Works out how a chart is printed: the page size, how much it is scaled and how many pages it takes.
+     * With one page across, the whole chart is shrunk (or grown) to fit on one page. With more, the chart is
+     * enlarged to fill that many pages side by side, and as many rows of pages as it needs.
+     * @param {number} width The chart width, in SVG units.
+     * @param {number} height The chart height, in SVG units.
+     * @param {object} [options]
+     * @param {string} [options.paper] One of PAPER_SIZES.
+     * @param {string} [options.orientation] 'portrait' or 'landscape'.
+     * @param {number} [options.pagesAcross] How many pages wide the printed chart is.
+     * @returns {object} { pageWidth, pageHeight, printWidth, printHeight, scale, columns, rows }, in millimetres
+     * (scale is millimetres per SVG unit).
+     */
+    function planPages(width, height, { paper = 'a4', orientation = 'landscape', pagesAcross = 1 } = {}) {
+        const size = PAPER_SIZES[paper];
+        if (!size) {
+            throw new Error(`"${paper}" is not a paper size. Use one of: ${Object.keys(PAPER_SIZES).join(', ')}.`);
+        }
+        if (!Number.isInteger(pagesAcross) || pagesAcross < 1) {
+            throw new Error('The number of pages across must be a whole number of at least 1.');
+        }
+        const landscape = orientation === 'landscape';
+        const pageWidth = landscape ? size.height : size.width;
+        const pageHeight = landscape ? size.width : size.height;
+        const printWidth = pageWidth - PAGE_MARGIN * 2;
+        const printHeight = pageHeight - PAGE_MARGIN * 2;
+
+        const scale = pagesAcross === 1
+            ? Math.min(printWidth / width, printHeight / height)
+            : (printWidth * pagesAcross) / width;
+        // A tiny allowance stops rounding errors from adding an empty row of pages.
+        const rows = Math.max(1, Math.ceil((height * scale) / printHeight - 1e-6));
+        return { pageWidth, pageHeight, printWidth, printHeight, scale, columns: pagesAcross, rows };
+    }
+
+    /**
+     * @description Prints an SVG to a PDF, one page or a poster of several pages. Each page of a poster shows
+     * its row and column so the pages can be put together.
+     * @param {SVGSVGElement} svg The SVG from createStandaloneSvg().
+     * @param {object} [options] The paper, orientation and pagesAcross, as for planPages().
+     * @returns {Promise<object>} The jsPDF document, ready to save.
+     */
+    function createPdf(svg, options = {}) {
+        if (!window.jspdf || typeof window.jspdf.jsPDF.API.svg !== 'function') {
+            return Promise.reject(new Error('The PDF library could not be loaded. Reload the page to try again.'));
+        }
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        let plan;
+        try {
+            plan = planPages(width, height, options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const orientation = plan.pageWidth > plan.pageHeight ? 'landscape' : 'portrait';
+        const format = [plan.pageWidth, plan.pageHeight];
+        const doc = new window.jspdf.jsPDF({ orientation, unit: 'mm', format });
+
+        // A chart on a single page is centred on it.
+        const offsetX = plan.columns === 1 ? (plan.printWidth - width * plan.scale) / 2 : 0;
+        const offsetY = plan.rows === 1 ? (plan.printHeight - height * plan.scale) / 2 : 0;
+        const pageCount = plan.columns * plan.rows;
+
+        const pages = [];
+        for (let row = 0; row < plan.rows; row++) {
+            for (let column = 0; column < plan.columns; column++) {
+                pages.push({ row, column });
+            }
+        }
+        return pages.reduce((previous, { row, column }, index) => previous.then(() => {
+            if (index > 0) doc.addPage(format, orientation);
+            // Each page shows its own part of the chart, clipped to the printable area.
+            doc.saveGraphicsState();
+            doc.rect(PAGE_MARGIN, PAGE_MARGIN, plan.printWidth, plan.printHeight, null);
+            doc.clip();
+            doc.discardPath();
+            return doc.svg(svg, {
+                x: PAGE_MARGIN + offsetX - column * plan.printWidth,
+                y: PAGE_MARGIN + offsetY - row * plan.printHeight,
+                width: width * plan.scale,
+                height: height * plan.scale
+            }).then(() => {
+                doc.restoreGraphicsState();
+                if (pageCount > 1) {
+                    doc.setFontSize(8);
+                    doc.text(`Page ${index + 1} of ${pageCount} (row ${row + 1}, column ${column + 1})`,
+                        PAGE_MARGIN, plan.pageHeight - PAGE_MARGIN / 2);
+                }
+            });
+        }), Promise.resolve()).then(() => doc);
+    }
+
+    return {
+        PAPER_SIZES,
+        legendItems,
+        createStandaloneSvg,
+        toSvgFile,
+        planPages,
+        createPdf
+    };
+})();
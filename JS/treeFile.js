@@ -0,0 +1,439 @@
+// Tree files for the Family Tree Creator: backing up and sharing trees as JSON, and importing spreadsheets as CSV.
+//
+// JSON files are written by toJson() and read by fromJson():
+// {
+//   "format": "family-tree-creator",   always this value, so other JSON files are recognised and rejected
+//   "schemaVersion": 3,                the member format (see storage.js); files from older versions are upgraded
+//   "name": "Smith Family",            the tree's name
+//   "createdAt": "2024-05-01T09:30:00.000Z", "updatedAt": "...", "exportedAt": "...",   optional ISO dates
+//   "homePersonId": 3,                 optional: the person the tree belongs to, whose relatives personaltree.html names
+//   "privacy": { "mode": "redact", "details": ["dates"] },   optional: what happens to living people (see privacy.js)
+//   "members": [
+//     { "id": 1, "name": "Mary Smith", "givenName": "Mary", "surname": "Smith", "birthName": "Jones",
+//       "nicknames": ["Molly"], "gender": "female", "birth": { "date": "abt. 1890", "place": "Leeds" },
+//       "death": { "date": "1955", "place": "York" }, "notes": "", "photo": "data:image/jpeg;base64,...",
+//       "livingStatus": "deceased" }   livingStatus is living, deceased or empty to work it out from the dates
+//   ],                                 only id (a whole number, unique in the file) and name are required
+//   "parentLinks": [{ "parentId": 1, "childId": 3 }],
+//   "partnerships": [
+//     { "id": 1, "partnerIds": [1, 2], "type": "married", "startDate": "1912", "endDate": "", "place": "York" }
+//   ]                                  type is married, partner, divorced or widowed
+// }
+//
+// CSV files have a header row and one person per row. Parents and spouses are given by name, so they must
+// match the name of another row. The columns holding each field are chosen with a mapping, which
+// guessMapping() fills in from the headers.
+
+import { FamilyDates } from './dates.js';
+import { FamilyGraph } from './familyGraph.js';
+import { TreePrivacy } from './privacy.js';
+import { TreeStorage } from './storage.js';
+
+export const TreeFile = (() => {
+    const FORMAT = 'family-tree-creator';
+
+    // The fields a CSV column can be mapped to, with their column headers in exported files.
+    const CSV_FIELDS = {
+        name: 'Name',
+        parent1: 'Parent 1',
+        parent2: 'Parent 2',
+        spouse: 'Spouse',
+        gender: 'Gender',
+        birthDate: 'Birth date',
+        birthPlace: 'Birth place',
+        deathDate: 'Death date',
+        deathPlace: 'Death place',
+        notes: 'Notes'
+    };
+
+    // Headers that guessMapping() recognises for each field, written in lower case without punctuation.
+    const HEADER_NAMES = {
+        name: ['name', 'full name', 'person'],
+        parent1: ['parent 1', 'parent1', 'parent', 'father'],
+        parent2: ['parent 2', 'parent2', 'mother'],
+        spouse: ['spouse', 'partner', 'husband', 'wife'],
+        gender: ['gender', 'sex'],
+        birthDate: ['birth date', 'birth', 'born', 'date of birth', 'dob'],
+        birthPlace: ['birth place', 'birthplace', 'place of birth'],
+        deathDate: ['death date', 'death', 'died', 'date of death', 'dod'],
+        deathPlace: ['death place', 'deathplace', 'place of death'],
+        notes: ['notes', 'note', 'comments']
+    };
+
+    // How many names the import preview lists before summing up the rest.
+    const PREVIEW_NAMES = 10;
+
+    // --- JSON ---
+
+    /**
+     * @description Writes a tree as a JSON file in the format described at the top of this file.
+     * @param {object} tree The tree: { name, createdAt, updatedAt, homePersonId, privacy, graph }.
+     * @returns {string} The file contents.
+     */
+    function toJson(tree) {
+        const { members, parentLinks, partnerships } = tree.graph;
+        return JSON.stringify({
+            format: FORMAT,
+            schemaVersion: TreeStorage.SCHEMA_VERSION,
+            name: tree.name,
+            createdAt: tree.createdAt,
+            updatedAt: tree.updatedAt,
+            exportedAt: new Date().toISOString(),
+            homePersonId: tree.homePersonId,
+            privacy: tree.privacy,
+            members,
+            parentLinks,
+            partnerships
+        }, null, 2);
+    }
+
+    /**
+     * @description Reads a JSON tree file. Members without a usable id or name, and links to people
+     * who are not in the file or that break the family rules, are skipped and reported.
+     * @param {string} text The file contents.
+     * @returns {{name: string, homePersonId: number|null, privacy: object, graph: object, problems: Array<string>}} The tree's
+     * name, the person it belongs to (if the file names one who is in it), its privacy setting, its family and anything skipped.
+     */
+    function fromJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error("This file is not valid JSON.");
+        }
+        if (!data || data.format !== FORMAT || !Array.isArray(data.members)) {
+            throw new Error("This JSON file is not a Family Tree Creator tree.");
+        }
+
+        // Hand-written files may leave out the version; they are read as the current one.
+        const { graph: stored } = TreeStorage.migrate({
+            name: data.name,
+            schemaVersion: data.schemaVersion || TreeStorage.SCHEMA_VERSION,
+            graph: {
+                members: data.members,
+                parentLinks: data.parentLinks || [],
+                partnerships: data.partnerships || []
+            }
+        });
+
+        const graph = FamilyGraph.createGraph();
+        const problems = [];
+        stored.members.forEach((member, index) => {
+            if (!member || !Number.isInteger(member.id)) {
+                problems.push(`Person ${index + 1} in the file has no id, so they were skipped.`);
+            } else if (typeof member.name !== 'string' || !member.name.trim()) {
+                problems.push(`Person ${member.id} in the file has no name, so they were skipped.`);
+            } else if (FamilyGraph.getMember(graph, member.id)) {
+                problems.push(`More than one person in the file has the id ${member.id}; only the first was kept.`);
+            } else {
+                graph.members.push({ ...member, name: member.name.trim() });
+                graph.nextId = Math.max(graph.nextId, member.id + 1);
+            }
+        });
+
+        const missing = (id) => !FamilyGraph.getMember(graph, id);
+        const attempt = (change) => {
+            try {
+                change();
+            } catch (error) {
+                problems.push(error.message);
+            }
+        };
+        stored.parentLinks.forEach(({ parentId, childId }) => {
+            if (missing(parentId) || missing(childId)) {
+                problems.push(`A parent link refers to person ${missing(parentId) ? parentId : childId}, who is not in the file.`);
+                return;
+            }
+            attempt(() => FamilyGraph.addParentLink(graph, parentId, childId));
+        });
+        stored.partnerships.forEach(({ id, partnerIds = [], ...details }) => {
+            const unknown = partnerIds.find(missing);
+            if (partnerIds.length !== 2) {
+                problems.push(`Partnership ${id} doesn't name two partners, so it was skipped.`);
+                return;
+            }
+            if (unknown !== undefined) {
+                problems.push(`Partnership ${id} refers to person ${unknown}, who is not in the file.`);
+                return;
+            }
+            attempt(() => FamilyGraph.addPartnership(graph, partnerIds[0], partnerIds[1], details));
+        });
+
+        const homePersonId = Number.isInteger(data.homePersonId) && FamilyGraph.getMember(graph, data.homePersonId) ? data.homePersonId : null;
+        const privacy = TreePrivacy.normalizeSettings(data.privacy);
+        return { name: typeof data.name === 'string' ? data.name : '', homePersonId, privacy, graph, problems };
+    }
+
+    // --- CSV ---
+
+    /**
+     * @description Splits CSV text into rows of cells. Quoted cells may contain commas, line breaks and
+     * doubled quotes (""). Completely empty lines are left out.
+     * @param {string} text The CSV text.
+     * @returns {Array<Array<string>>} The rows.
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, ''); // A byte order mark, added by some spreadsheet programs
+        const endRow = () => {
+            row.push(cell);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        };
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                cell += char;
+            }
+        }
+        endRow();
+        return rows;
+    }
+
+    // Writes one CSV cell, quoting it if it holds a comma, quote or line break.
+    function csvCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * @description Guesses which column holds each field from the header row.
+     * @param {Array<string>} headers The first row of the CSV file.
+     * @returns {object} The column index for each field in CSV_FIELDS, or -1 if no column matched.
+     */
+    function guessMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+        const used = new Set();
+        const mapping = {};
+        Object.keys(CSV_FIELDS).forEach(field => {
+            const index = normalized.findIndex((header, i) => !used.has(i) && HEADER_NAMES[field].includes(header));
+            mapping[field] = index;
+            if (index !== -1) used.add(index);
+        });
+        return mapping;
+    }
+
+    function normalizeGender(value) {
+        const text = value.trim().toLowerCase();
+        if (!text) return '';
+        if (['m', 'male', 'man'].includes(text)) return 'male';
+        if (['f', 'female', 'woman'].includes(text)) return 'female';
+        return 'other';
+    }
+
+    /**
+     * @description Builds a family from CSV rows. The first row is the header. Names must be unique for
+     * parents and spouses to be found; when a name is repeated, references use its first row.
+     * Rows without a name, parents or spouses who can't be found and links that break the family
+     * rules are skipped and reported.
+     * @param {Array<Array<string>>} rows The rows from parseCsv().
+     * @param {object} mapping The column index of each field (see guessMapping()). A name column is required.
+     * @returns {{graph: object, problems: Array<string>}} The family and anything skipped.
+     */
+    function fromCsv(rows, mapping) {
+        if (mapping.name === undefined || mapping.name < 0) {
+            throw new Error("Please choose the column that holds each person's name.");
+        }
+        const graph = FamilyGraph.createGraph();
+        const problems = [];
+        const byName = new Map();
+        const cell = (row, field) => (mapping[field] >= 0 && row[mapping[field]] ? row[mapping[field]].trim() : '');
+        const key = (name) => name.toLowerCase();
+
+        const people = [];
+        rows.slice(1).forEach((row, index) => {
+            const rowNumber = index + 2;
+            const name = cell(row, 'name');
+            if (!name) {
+                problems.push(`Row ${rowNumber} has no name, so it was skipped.`);
+                return;
+            }
+            ['birthDate', 'deathDate'].forEach(field => {
+                if (!FamilyDates.isValid(cell(row, field))) {
+                    problems.push(`Row ${rowNumber}: "${cell(row, field)}" is not a date that can be understood; it was kept as written.`);
+                }
+            });
+            const event = (date, place) => (date || place ? { date, place } : null);
+            const member = FamilyGraph.addMember(graph, {
+                name,
+                gender: normalizeGender(cell(row, 'gender')),
+                birth: event(cell(row, 'birthDate'), cell(row, 'birthPlace')),
+                death: event(cell(row, 'deathDate'), cell(row, 'deathPlace')),
+                notes: cell(row, 'notes')
+            });
+            if (byName.has(key(name))) {
+                problems.push(`"${name}" appears more than once (rows ${byName.get(key(name)).rowNumber} and ${rowNumber}); parents and spouses named "${name}" refer to the first.`);
+            } else {
+                byName.set(key(name), { member, rowNumber });
+            }
+            people.push({ member, row, rowNumber });
+        });
+
+        const attempt = (change) => {
+            try {
+                change();
+            } catch (error) {
+                problems.push(error.message);
+            }
+        };
+        people.forEach(({ member, row, rowNumber }) => {
+            ['parent1', 'parent2'].forEach(field => {
+                const parentName = cell(row, field);
+                if (!parentName) return;
+                const parent = byName.get(key(parentName));
+                if (!parent) {
+                    problems.push(`Row ${rowNumber}: parent "${parentName}" is not in the file.`);
+                } else {
+                    attempt(() => FamilyGraph.addParentLink(graph, parent.member.id, member.id));
+                }
+            });
+            const spouseName = cell(row, 'spouse');
+            if (!spouseName) return;
+            const spouse = byName.get(key(spouseName));
+            if (!spouse) {
+                problems.push(`Row ${rowNumber}: spouse "${spouseName}" is not in the file.`);
+            } else if (!FamilyGraph.getSpouses(graph, member.id).some(s => s.id === spouse.member.id)) {
+                // Both spouses usually name each other, so the partnership is only added once.
+                attempt(() => FamilyGraph.addPartnership(graph, member.id, spouse.member.id));
+            }
+        });
+        return { graph, problems };
+    }
+
+    /**
+     * @description Writes a family as CSV, with the columns in CSV_FIELDS. Each person's first two parents
+     * and first spouse are given by name, so the file can be read back with fromCsv().
+     * @param {object} graph The family graph.
+     * @returns {string} The file contents.
+     */
+    function toCsv(graph) {
+        const lines = [Object.values(CSV_FIELDS).map(csvCell).join(',')];
+        graph.members.forEach(member => {
+            const parents = FamilyGraph.getParents(graph, member.id);
+            const [spouse] = FamilyGraph.getSpouses(graph, member.id);
+            const values = {
+                name: member.name,
+                parent1: parents[0] ? parents[0].name : '',
+                parent2: parents[1] ? parents[1].name : '',
+                spouse: spouse ? spouse.name : '',
+                gender: member.gender,
+                birthDate: member.birth && member.birth.date,
+                birthPlace: member.birth && member.birth.place,
+                deathDate: member.death && member.death.date,
+                deathPlace: member.death && member.death.place,
+                notes: member.notes
+            };
+            lines.push(Object.keys(CSV_FIELDS).map(field => csvCell(values[field])).join(','));
+        });
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    // --- Merging ---
+
+    function birthYear(member) {
+        const date = member.birth && FamilyDates.parse(member.birth.date);
+        return date ? date.year : null;
+    }
+
+    /**
+     * @description Finds the people in an imported family who are already in the open tree: same name
+     * (ignoring case) and no conflicting birth year. Someone who matches more than one existing
+     * person is not matched, so they are added rather than guessed.
+     * @param {object} graph The open tree's family.
+     * @param {object} imported The imported family.
+     * @returns {Map<number, number>} Imported member ids mapped to the ids of the same people in the open tree.
+     */
+    function findMatches(graph, imported) {
+        const matches = new Map();
+        imported.members.forEach(member => {
+            const year = birthYear(member);
+            const candidates = graph.members.filter(existing =>
+                !existing.placeholder &&
+                existing.name.toLowerCase() === member.name.toLowerCase() &&
+                (year === null || birthYear(existing) === null || birthYear(existing) === year));
+            if (candidates.length === 1) {
+                matches.set(member.id, candidates[0].id);
+            }
+        });
+        return matches;
+    }
+
+    function countPeople(count) {
+        return `${count} ${count === 1 ? 'person' : 'people'}`;
+    }
+
+    // Lists names, summing up any beyond PREVIEW_NAMES.
+    function listNames(members) {
+        const names = members.slice(0, PREVIEW_NAMES).map(member => member.name);
+        if (members.length > PREVIEW_NAMES) {
+            names.push(`and ${members.length - PREVIEW_NAMES} more`);
+        }
+        return names.join(', ');
+    }
+
+    /**
+     * @description Describes what an import will do, for the user to confirm.
+     * @param {object} imported The imported family and problems, from fromJson() or fromCsv().
+     * @param {object} options
+     * @param {string} options.fileName The name of the imported file.
+     * @param {string} options.mode 'merge' to add to the open tree, 'replace' to replace it.
+     * @param {object} options.graph The open tree's family.
+     * @param {Map<number, number>} [options.matches] People already in the open tree, from findMatches().
+     * @returns {string} The preview.
+     */
+    function describePreview(imported, { fileName, mode, graph, matches = new Map() }) {
+        const { members, parentLinks, partnerships } = imported.graph;
+        const lines = [];
+        if (mode === 'replace') {
+            lines.push(`Replace the ${countPeople(graph.members.length)} in this tree with the ${countPeople(members.length)} in "${fileName}"? This can be undone.`);
+            lines.push(`People: ${listNames(members)}`);
+        } else {
+            lines.push(`Add the ${countPeople(members.length)} in "${fileName}" to this tree? This can be undone.`);
+            const matched = members.filter(member => matches.has(member.id));
+            const added = members.filter(member => !matches.has(member.id));
+            if (matched.length > 0) {
+                lines.push(`Already in this tree, so they will be linked instead of added again (${matched.length}): ${listNames(matched)}`);
+            }
+            lines.push(`New people (${added.length}): ${added.length > 0 ? listNames(added) : 'none'}`);
+        }
+        lines.push(`Parent-child links: ${parentLinks.length}. Partnerships: ${partnerships.length}.`);
+        if (imported.problems.length > 0) {
+            lines.push('', `Problems (these will be skipped or kept as written):`, ...imported.problems);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        FORMAT,
+        CSV_FIELDS,
+        toJson,
+        fromJson,
+        parseCsv,
+        guessMapping,
+        fromCsv,
+        toCsv,
+        findMatches,
+        describePreview
+    };
+})();
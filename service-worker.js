@@ -0,0 +1,87 @@
+// The service worker for the Family Tree Creator, registered by JS/offline.js.
+// When it is installed it saves every file the site needs, so every page works with no network connection.
+// Requests go to the network first, so changes to the site show up straight away, and the saved copy
+// (refreshed with each response) is used when the network can't be reached.
+// Add new files to SITE_FILES, and bump the version in CACHE_NAME whenever the site's files are added,
+// removed or changed: a changed service worker is installed afresh, and activate clears out the old copy.
+
+const CACHE_NAME = 'family-tree-creator-v2';
+
+// Everything the pages load, relative to this file.
+const SITE_FILES = [
+    './',
+    'index.html',
+    'about.html',
+    'familytrees.html',
+    'personaltree.html',
+    'manifest.webmanifest',
+    'Images/icon.svg',
+    'Images/icon-192.png',
+    'Images/icon-512.png',
+    'Data/personaltree.json',
+    'CSS/styles.css',
+    'CSS/reset.css',
+    'CSS/mediaqueries.css',
+    'CSS/typography.css',
+    'CSS/navigation.css',
+    'CSS/footer.css',
+    'CSS/indexpage.css',
+    'CSS/mytreepage.css',
+    'CSS/downloadbutton.css',
+    'CSS/aboutpage.css',
+    'CSS/familytrees.css',
+    'CSS/d3js.css',
+    'CSS/personaltreeanchor.css',
+    'JS/vendor/d3.v7.min.js',
+    'JS/vendor/html2canvas.min.js',
+    'JS/vendor/jspdf.umd.min.js',
+    'JS/vendor/svg2pdf.umd.min.js',
+    'JS/offline.js',
+    'JS/familyGraph.js',
+    'JS/dates.js',
+    'JS/storage.js',
+    'JS/history.js',
+    'JS/gedcom.js',
+    'JS/treeFile.js',
+    'JS/relationships.js',
+    'JS/search.js',
+    'JS/privacy.js',
+    'JS/checks.js',
+    'JS/statistics.js',
+    'JS/timeline.js',
+    'JS/layouts.js',
+    'JS/treeExport.js',
+    'JS/script.js',
+    'JS/personalTree.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(SITE_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+// Old copies of the site are deleted once this version takes over.
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Only the site's own files are saved; anything else goes straight to the network.
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Pages are saved once, whatever is in their address after the "?" (e.g. personaltree.html?me=3).
+    url.search = '';
+    event.respondWith(fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(url.href, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(url.href).then(saved => saved || Response.error())));
+});
@@ -0,0 +1,69 @@
+// Tests for the data quality checker in JS/checks.js: the unlikely dates, unlinked people and likely
+// duplicates it reports, and the data it leaves alone. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyGraph } from '../JS/familyGraph.js';
+import { TreeChecks } from '../JS/checks.js';
+
+const YEAR = 2025;
+
+const person = (name, born, died) => ({
+    name,
+    birth: born ? { date: born, place: '' } : null,
+    death: died ? { date: died, place: '' } : null
+});
+
+const checksFound = graph => TreeChecks.checkTree(graph, YEAR).map(issue => issue.check);
+
+test('a believable family has no problems', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, person('Ann', '1900', '1970'));
+    FamilyGraph.addRelative(graph, person('Bob', 'abt. 1898', '1960'), { relatedId: ann.id, relationship: 'spouse' });
+    const [partnership] = FamilyGraph.getPartnerships(graph, ann.id);
+    FamilyGraph.addRelative(graph, person('Ann', '1925'), { relatedId: ann.id, relationship: 'child', partnershipId: partnership.id });
+    assert.deepEqual(TreeChecks.checkTree(graph, YEAR), []);
+});
+
+test('children born to very young or dead parents are reported, naming the child first', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, person('Ann', '1900', '1950'));
+    const carl = FamilyGraph.addRelative(graph, person('Carl', '1905'), { relatedId: ann.id, relationship: 'child' });
+    const dan = FamilyGraph.addRelative(graph, person('Dan', '1960'), { relatedId: ann.id, relationship: 'child' });
+    const issues = TreeChecks.checkTree(graph, YEAR);
+    assert.deepEqual(issues.map(issue => [issue.check, issue.memberIds]), [
+        ['bornAfterParentDied', [dan.id, ann.id]],
+        ['youngParent', [ann.id, carl.id]]
+    ]);
+    assert.equal(issues[1].message, `Ann would have been younger than ${TreeChecks.MIN_PARENT_AGE} when Carl was born.`);
+});
+
+test('impossible lifespans are reported, but an approximate date that could be right is not', () => {
+    const graph = FamilyGraph.createGraph();
+    const olga = FamilyGraph.addRelative(graph, person('Olga', '1800', '1950'));
+    FamilyGraph.addRelative(graph, person('Paul', '1900', '1890'), { relatedId: olga.id, relationship: 'spouse' });
+    FamilyGraph.addRelative(graph, person('Rose', 'abt. 1830', 'abt. 1952'), { relatedId: olga.id, relationship: 'child' });
+    assert.deepEqual(checksFound(graph), ['diedBeforeBorn', 'longLife']);
+});
+
+test('someone born long ago with no death is reported, unless they are marked as deceased', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, person('Ann', '1850'));
+    assert.deepEqual(checksFound(graph), ['longLife']);
+    FamilyGraph.updateMember(graph, ann.id, { livingStatus: 'deceased' });
+    assert.deepEqual(checksFound(graph), []);
+});
+
+test('people linked to nobody and people entered twice are reported', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, person('Ann', '1900', '1980'));
+    const cathy = FamilyGraph.addRelative(graph, person('Catherine', '1925'), { relatedId: ann.id, relationship: 'child' });
+    const copy = FamilyGraph.addRelative(graph, person('Katherine', 'abt. 1926'), { relatedId: ann.id, relationship: 'child' });
+    FamilyGraph.addRelative(graph, person('Kate', '1926'), { relatedId: ann.id, relationship: 'child' });
+    const zed = FamilyGraph.addMember(graph, person('Zed'));
+    const issues = TreeChecks.checkTree(graph, YEAR);
+    assert.deepEqual(issues.map(issue => [issue.check, issue.memberIds]), [
+        ['orphanedRecord', [zed.id]],
+        ['likelyDuplicate', [cathy.id, copy.id]]
+    ]);
+});
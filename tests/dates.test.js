@@ -0,0 +1,49 @@
+// Tests for genealogy dates in JS/dates.js: reading partly known dates, the years they could mean and
+// writing them as labels and in GEDCOM form. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyDates } from '../JS/dates.js';
+
+test('exact dates are read in the forms people type them', () => {
+    ['12 Mar 1890', '12 March 1890', '1890-03-12'].forEach(text => {
+        const { qualifier, year, month, day } = FamilyDates.parse(text);
+        assert.deepEqual({ qualifier, year, month, day }, { qualifier: 'exact', year: 1890, month: 3, day: 12 }, text);
+    });
+    assert.equal(FamilyDates.parse('Mar 1890').day, null);
+});
+
+test('approximate and open-ended dates keep their qualifier', () => {
+    assert.equal(FamilyDates.parse('abt. 1890').qualifier, 'about');
+    assert.equal(FamilyDates.parse('before 1920').qualifier, 'before');
+    assert.equal(FamilyDates.parse('after 1900').qualifier, 'after');
+    const between = FamilyDates.parse('between 1890 and 1895');
+    assert.deepEqual([between.qualifier, between.year, between.endYear], ['between', 1890, 1895]);
+});
+
+test('text that is not a date is invalid, but an empty date is allowed', () => {
+    assert.equal(FamilyDates.isValid(''), true);
+    assert.equal(FamilyDates.isValid('soon'), false);
+    assert.equal(FamilyDates.isValid('32 Mar 1890'), false);
+    assert.equal(FamilyDates.isValid('between 1895 and 1890'), false);
+    assert.equal(FamilyDates.parse('soon'), null);
+});
+
+test('a date covers the range of years it could mean', () => {
+    assert.deepEqual(FamilyDates.toRange('1890'), { earliest: 1890, latest: 1890 });
+    assert.deepEqual(FamilyDates.toRange('abt. 1890'), { earliest: 1890 - FamilyDates.ABOUT_MARGIN, latest: 1890 + FamilyDates.ABOUT_MARGIN });
+    assert.deepEqual(FamilyDates.toRange('before 1920'), { earliest: -Infinity, latest: 1920 });
+    assert.deepEqual(FamilyDates.toRange('between 1890 and 1895'), { earliest: 1890, latest: 1895 });
+    assert.equal(FamilyDates.toDecimalYear('between 1890 and 1895'), 1892.5);
+    assert.ok(FamilyDates.toDecimalYear('Mar 1890') < FamilyDates.toDecimalYear('12 Mar 1890'));
+});
+
+test('dates are written as short labels, lifespans and GEDCOM dates', () => {
+    assert.equal(FamilyDates.formatYear('12 Mar 1890'), '1890');
+    assert.equal(FamilyDates.formatYear('between 1890 and 1895'), 'bet. 1890–1895');
+    assert.equal(FamilyDates.formatLifespan({ birth: { date: 'abt. 1890' }, death: { date: 'before 1960' } }), 'abt. 1890 – bef. 1960');
+    assert.equal(FamilyDates.formatLifespan({ death: { date: '1960' } }), 'd. 1960');
+    assert.equal(FamilyDates.toGedcom('12 Mar 1890'), '12 MAR 1890');
+    assert.equal(FamilyDates.toGedcom('between 1890 and 1895'), 'BET 1890 AND 1895');
+    assert.equal(FamilyDates.toGedcom('the spring after the war'), 'the spring after the war');
+});
@@ -0,0 +1,311 @@
+// Tests for the family rules in JS/familyGraph.js: adding relatives and family groups, linking spouses,
+// deleting and merging members and arranging the tree for drawing. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyGraph } from '../JS/familyGraph.js';
+import { TreePrivacy } from '../JS/privacy.js';
+
+// A couple, Ann and Bob, with a son Carl.
+function createFamily() {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, { name: 'Ann' });
+    const bob = FamilyGraph.addRelative(graph, { name: 'Bob' }, { relatedId: ann.id, relationship: 'spouse' });
+    const [partnership] = FamilyGraph.getPartnerships(graph, ann.id);
+    const carl = FamilyGraph.addRelative(graph, { name: 'Carl' }, { relatedId: ann.id, relationship: 'child', partnershipId: partnership.id });
+    return { graph, ann, bob, carl, partnership };
+}
+
+const names = members => members.map(member => member.name).sort();
+
+// --- Relationship rules ---
+
+test('the first member is added without a relative', () => {
+    const graph = FamilyGraph.createGraph();
+    const first = FamilyGraph.addRelative(graph, { name: 'Ann' }, { relatedId: 99, relationship: 'child' });
+    assert.equal(first.id, 1);
+    assert.deepEqual(names(graph.members), ['Ann']);
+});
+
+test('a child belongs to both partners of the partnership they were born into', () => {
+    const { graph, carl } = createFamily();
+    assert.deepEqual(names(FamilyGraph.getParents(graph, carl.id)), ['Ann', 'Bob']);
+});
+
+test('a child with no partnership chosen has one parent', () => {
+    const { graph, ann } = createFamily();
+    const dan = FamilyGraph.addRelative(graph, { name: 'Dan' }, { relatedId: ann.id, relationship: 'child' });
+    assert.deepEqual(names(FamilyGraph.getParents(graph, dan.id)), ['Ann']);
+});
+
+test("a child can't be born into someone else's partnership", () => {
+    const { graph, carl, partnership } = createFamily();
+    assert.throws(
+        () => FamilyGraph.addRelative(graph, { name: 'Dan' }, { relatedId: carl.id, relationship: 'child', partnershipId: partnership.id }),
+        /isn't one of Carl's/
+    );
+    assert.equal(graph.members.length, 3);
+});
+
+test("a sibling shares the member's parents", () => {
+    const { graph, carl } = createFamily();
+    const dora = FamilyGraph.addRelative(graph, { name: 'Dora' }, { relatedId: carl.id, relationship: 'sibling' });
+    assert.deepEqual(names(FamilyGraph.getParents(graph, dora.id)), ['Ann', 'Bob']);
+    assert.deepEqual(names(FamilyGraph.getSiblings(graph, carl.id)), ['Dora']);
+});
+
+test('a sibling needs a member with a parent', () => {
+    const { graph, ann } = createFamily();
+    assert.throws(() => FamilyGraph.addRelative(graph, { name: 'Eve' }, { relatedId: ann.id, relationship: 'sibling' }), /must be related to a member who has a parent/);
+    assert.equal(graph.members.length, 3);
+});
+
+test('a parent of a member with no parents goes above them', () => {
+    const { graph, ann } = createFamily();
+    const gran = FamilyGraph.addRelative(graph, { name: 'Gran' }, { relatedId: ann.id, relationship: 'parent' });
+    assert.deepEqual(names(FamilyGraph.getChildren(graph, gran.id)), ['Ann']);
+    assert.deepEqual(FamilyGraph.getSpouses(graph, gran.id), []);
+});
+
+test("a member with two parents can't have another", () => {
+    const { graph, carl } = createFamily();
+    assert.throws(() => FamilyGraph.addRelative(graph, { name: 'Gran' }, { relatedId: carl.id, relationship: 'parent' }), /already has two parents: Ann and Bob/);
+    assert.equal(graph.members.length, 3);
+});
+
+test('a second parent is partnered with the first', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, { name: 'Ann' });
+    const mum = FamilyGraph.addRelative(graph, { name: 'Mum' }, { relatedId: ann.id, relationship: 'parent' });
+    const dad = FamilyGraph.addRelative(graph, { name: 'Dad' }, { relatedId: ann.id, relationship: 'parent' });
+    assert.deepEqual(names(FamilyGraph.getParents(graph, ann.id)), ['Dad', 'Mum']);
+    assert.equal(FamilyGraph.getPartnerships(graph, mum.id)[0].type, 'married');
+    assert.deepEqual(FamilyGraph.getSpouses(graph, mum.id).map(spouse => spouse.id), [dad.id]);
+});
+
+test('a second parent of a child whose parent has remarried is recorded as an ended partnership', () => {
+    const { graph, ann } = createFamily();
+    const fay = FamilyGraph.addRelative(graph, { name: 'Fay' }, { relatedId: ann.id, relationship: 'child' });
+    const other = FamilyGraph.addRelative(graph, { name: 'Other' }, { relatedId: fay.id, relationship: 'parent' });
+    const partnership = FamilyGraph.getPartnerships(graph, other.id)[0];
+    assert.equal(partnership.type, 'divorced');
+    assert.ok(partnership.partnerIds.includes(ann.id));
+});
+
+test('a second parent chosen for an existing member is partnered with the first, as when adding one', () => {
+    const { graph, ann, bob } = createFamily();
+    const dan = FamilyGraph.addRelative(graph, { name: 'Dan' }, { relatedId: ann.id, relationship: 'child' });
+    const eve = FamilyGraph.addMember(graph, { name: 'Eve' });
+    FamilyGraph.setParents(graph, dan.id, [ann.id, eve.id]);
+    const [partnership] = FamilyGraph.getPartnerships(graph, eve.id);
+    assert.equal(partnership.type, 'divorced');
+    assert.deepEqual(partnership.partnerIds.slice().sort(), [ann.id, eve.id].sort());
+
+    // Parents who are partners already, or who were the member's parents before, aren't partnered again.
+    FamilyGraph.setParents(graph, dan.id, [eve.id, ann.id]);
+    FamilyGraph.setParents(graph, dan.id, [ann.id, bob.id]);
+    assert.equal(graph.partnerships.length, 2);
+});
+
+test('an unknown relationship is refused', () => {
+    const { graph, ann } = createFamily();
+    assert.throws(() => FamilyGraph.addRelative(graph, { name: 'Eve' }, { relatedId: ann.id, relationship: 'cousin' }), /Invalid relationship type/);
+    assert.throws(() => FamilyGraph.addRelative(graph, { name: 'Eve' }, { relatedId: 99, relationship: 'child' }), /valid member to relate to/);
+    assert.equal(graph.members.length, 3);
+});
+
+// --- Spouse linking ---
+
+test('a spouse is linked by a partnership with the details given', () => {
+    const { graph, ann, bob, partnership } = createFamily();
+    assert.deepEqual(partnership.partnerIds, [ann.id, bob.id]);
+    assert.equal(partnership.type, 'married');
+    assert.ok(FamilyGraph.isPartnershipActive(partnership));
+    assert.deepEqual(names(FamilyGraph.getSpouses(graph, ann.id)), ['Bob']);
+});
+
+test('a member who is still with someone can only gain an ended partnership', () => {
+    const { graph, ann } = createFamily();
+    assert.throws(
+        () => FamilyGraph.addRelative(graph, { name: 'Ed' }, { relatedId: ann.id, relationship: 'spouse', partnership: { type: 'partner' } }),
+        /Ann is still with Bob/
+    );
+    assert.equal(graph.members.length, 3);
+
+    const ed = FamilyGraph.addRelative(graph, { name: 'Ed' }, { relatedId: ann.id, relationship: 'spouse', partnership: { type: 'married', startDate: '1980', endDate: '1985' } });
+    assert.deepEqual(names(FamilyGraph.getSpouses(graph, ann.id)), ['Bob', 'Ed']);
+    assert.equal(FamilyGraph.getPartnerships(graph, ed.id)[0].endDate, '1985');
+});
+
+test('an unknown partnership type is refused before anyone is added', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, { name: 'Ann' });
+    assert.throws(() => FamilyGraph.addRelative(graph, { name: 'Bob' }, { relatedId: ann.id, relationship: 'spouse', partnership: { type: 'engaged' } }), /not a partnership type/);
+    assert.equal(graph.members.length, 1);
+});
+
+test('a couple can marry again after a divorce, but not while still together', () => {
+    const { graph, ann, bob, partnership } = createFamily();
+    assert.throws(() => FamilyGraph.addPartnership(graph, ann.id, bob.id), /already spouses/);
+    FamilyGraph.updatePartnership(graph, partnership.id, { type: 'divorced' });
+    FamilyGraph.addPartnership(graph, bob.id, ann.id, { startDate: '2001' });
+    assert.equal(FamilyGraph.getPartnerships(graph, ann.id).length, 2);
+    assert.throws(() => FamilyGraph.addPartnership(graph, ann.id, ann.id), /can't be their own spouse/);
+});
+
+// --- Family groups ---
+
+test('a whole family can be added to an empty tree at once', () => {
+    const graph = FamilyGraph.createGraph();
+    const { partners, partnership, children } = FamilyGraph.addFamilyGroup(graph, {
+        partners: [{ name: 'Ann' }, { name: 'Bob' }],
+        partnership: { type: 'married', startDate: '1950' },
+        children: [{ name: 'Carl' }, { name: 'Dora' }]
+    });
+    assert.deepEqual(names(partners), ['Ann', 'Bob']);
+    assert.equal(partnership.startDate, '1950');
+    assert.deepEqual(names(children), ['Carl', 'Dora']);
+    children.forEach(child => assert.deepEqual(names(FamilyGraph.getParents(graph, child.id)), ['Ann', 'Bob']));
+});
+
+test('a family group joins the tree through a partner who is already in it', () => {
+    const { graph, carl } = createFamily();
+    const { partners, children } = FamilyGraph.addFamilyGroup(graph, {
+        partners: [{ name: 'Cora' }, { id: String(carl.id) }],
+        children: [{ name: 'Gina' }]
+    });
+    assert.deepEqual(partners.map(partner => partner.name), ['Carl', 'Cora']);
+    assert.deepEqual(names(FamilyGraph.getParents(graph, children[0].id)), ['Carl', 'Cora']);
+    assert.throws(() => FamilyGraph.addFamilyGroup(graph, { partners: [{ name: 'Xena' }], children: [{ name: 'Yves' }] }), /already in the tree/);
+    assert.throws(() => FamilyGraph.addFamilyGroup(graph, { partners: [null] }), /at least one parent/);
+});
+
+test('children added to a couple who are still together join their partnership', () => {
+    const { graph, ann, bob, partnership } = createFamily();
+    const { children } = FamilyGraph.addFamilyGroup(graph, { partners: [{ id: bob.id }, { id: ann.id }], children: [{ name: 'Eve' }] });
+    assert.equal(graph.partnerships.length, 1);
+    assert.deepEqual(names(FamilyGraph.getPartnershipChildren(graph, partnership.id)), ['Carl', 'Eve']);
+    assert.equal(children.length, 1);
+});
+
+test('nothing in a family group is added if one part of it breaks the rules', () => {
+    const { graph, ann, carl } = createFamily();
+    const before = JSON.stringify(graph);
+    assert.throws(
+        () => FamilyGraph.addFamilyGroup(graph, { partners: [{ id: ann.id }, { name: 'Ed' }], children: [{ name: 'Hal' }] }),
+        /Ann is still with Bob/
+    );
+    assert.throws(
+        () => FamilyGraph.addFamilyGroup(graph, { partners: [{ id: ann.id }, { name: 'Ed' }], partnership: { type: 'engaged' }, children: [{ name: 'Hal' }] }),
+        /not a partnership type/
+    );
+    assert.equal(JSON.stringify(graph), before);
+
+    // A couple already in the tree are only partnered again once every child is known to be fine.
+    const dora = FamilyGraph.addRelative(graph, { name: 'Dora' }, { relatedId: carl.id, relationship: 'spouse', partnership: { type: 'divorced' } });
+    const withDora = JSON.stringify(graph);
+    assert.throws(
+        () => FamilyGraph.addFamilyGroup(graph, { partners: [{ id: carl.id }, { id: dora.id }], children: [{ name: 'Hal' }, { name: '' }] }),
+        /needs a name/
+    );
+    assert.equal(JSON.stringify(graph), withDora);
+
+    const empty = FamilyGraph.createGraph();
+    assert.throws(() => FamilyGraph.addFamilyGroup(empty, { partners: [{ name: 'Ann' }, { name: 'Bob' }], partnership: { type: 'engaged' } }), /not a partnership type/);
+    assert.deepEqual(empty, FamilyGraph.createGraph());
+});
+
+// --- Deletion ---
+
+test('deleting a member keeps their children with their other parent', () => {
+    const { graph, ann, carl } = createFamily();
+    FamilyGraph.deleteMember(graph, ann.id, 'reattach');
+    assert.deepEqual(names(graph.members), ['Bob', 'Carl']);
+    assert.deepEqual(names(FamilyGraph.getParents(graph, carl.id)), ['Bob']);
+    assert.deepEqual(graph.partnerships, []);
+});
+
+test('deleting a member can leave an unknown person in their place', () => {
+    const { graph, ann, carl } = createFamily();
+    FamilyGraph.deleteMember(graph, ann.id, 'placeholder');
+    const placeholder = FamilyGraph.getMember(graph, ann.id);
+    assert.deepEqual(placeholder, { id: ann.id, name: 'Unknown', placeholder: true });
+    assert.deepEqual(names(FamilyGraph.getParents(graph, carl.id)), ['Bob', 'Unknown']);
+    assert.equal(graph.partnerships.length, 1);
+});
+
+test('deleting a member can take their descendants with them', () => {
+    const { graph, ann, carl } = createFamily();
+    FamilyGraph.addRelative(graph, { name: 'Gina' }, { relatedId: carl.id, relationship: 'child' });
+    const removed = FamilyGraph.deleteMember(graph, ann.id, 'subtree');
+    assert.deepEqual(names(removed), ['Ann', 'Carl', 'Gina']);
+    assert.deepEqual(names(graph.members), ['Bob']);
+    assert.deepEqual(graph.parentLinks, []);
+});
+
+test('deleting needs a known member and mode', () => {
+    const { graph, ann } = createFamily();
+    assert.throws(() => FamilyGraph.deleteMember(graph, 99, 'reattach'), /no family member with id 99/);
+    assert.throws(() => FamilyGraph.deleteMember(graph, ann.id, 'everything'), /not a way to delete a member/);
+});
+
+// --- Merging ---
+
+test('a merged member keeps the links of their duplicate and their own living status', () => {
+    const { graph, carl } = createFamily();
+    FamilyGraph.updateMember(graph, carl.id, { livingStatus: 'living' });
+    const copy = FamilyGraph.addRelative(graph, { name: 'Carl' }, { relatedId: carl.id, relationship: 'sibling' });
+    FamilyGraph.addRelative(graph, { name: 'Dan' }, { relatedId: copy.id, relationship: 'child' });
+
+    const merged = FamilyGraph.mergeMembers(graph, carl.id, copy.id, { name: 'Carl Smith', givenName: 'Carl', surname: 'Smith' });
+    assert.equal(merged.name, 'Carl Smith');
+    assert.ok(TreePrivacy.isLiving(merged));
+    assert.deepEqual(names(FamilyGraph.getParents(graph, merged.id)), ['Ann', 'Bob']);
+    assert.deepEqual(names(FamilyGraph.getChildren(graph, merged.id)), ['Dan']);
+    assert.equal(FamilyGraph.getMember(graph, copy.id), null);
+});
+
+// --- Hierarchy building ---
+
+test('the hierarchy starts from the oldest couple, with their children under them', () => {
+    const { graph, ann, bob, carl } = createFamily();
+    const [root, ...others] = FamilyGraph.buildHierarchy(graph);
+    assert.deepEqual(others, []);
+    assert.equal(root.member.id, ann.id);
+    assert.deepEqual(root.spouses.map(spouse => spouse.id), [bob.id]);
+    assert.deepEqual(root.children.map(child => child.member.id), [carl.id]);
+    assert.deepEqual(root.children[0].parentIds.sort(), [ann.id, bob.id].sort());
+});
+
+test('half-siblings are linked to the parents they share with the drawn couple', () => {
+    const { graph, ann, bob } = createFamily();
+    const ed = FamilyGraph.addRelative(graph, { name: 'Ed' }, { relatedId: ann.id, relationship: 'spouse', partnership: { type: 'divorced' } });
+    const [, edPartnership] = FamilyGraph.getPartnerships(graph, ann.id);
+    const hal = FamilyGraph.addRelative(graph, { name: 'Hal' }, { relatedId: ann.id, relationship: 'child', partnershipId: edPartnership.id });
+    const [root] = FamilyGraph.buildHierarchy(graph);
+    assert.deepEqual(root.spouses.map(spouse => spouse.id), [bob.id, ed.id]);
+    const halNode = root.children.find(child => child.member.id === hal.id);
+    assert.deepEqual(halNode.parentIds.sort(), [ann.id, ed.id].sort());
+});
+
+test('each member is placed once, and separate families are separate roots', () => {
+    const { graph } = createFamily();
+    FamilyGraph.addMember(graph, { name: 'Stranger' });
+    const roots = FamilyGraph.buildHierarchy(graph);
+    assert.deepEqual(roots.map(root => root.member.name), ['Ann', 'Stranger']);
+    const placed = [];
+    const walk = node => {
+        placed.push(node.member.id, ...node.spouses.map(spouse => spouse.id));
+        node.children.forEach(walk);
+    };
+    roots.forEach(walk);
+    assert.deepEqual(placed.sort(), graph.members.map(member => member.id).sort());
+});
+
+test('the hierarchy can start from one member', () => {
+    const { graph, carl } = createFamily();
+    const roots = FamilyGraph.buildHierarchy(graph, carl.id);
+    assert.equal(roots.length, 1);
+    assert.equal(roots[0].member.name, 'Carl');
+    assert.deepEqual(roots[0].children, []);
+});
@@ -0,0 +1,141 @@
+// Tests for GEDCOM import and export in JS/gedcom.js: reading a file, the summary of what couldn't be
+// imported, and writing a family out and reading it back. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyGraph } from '../JS/familyGraph.js';
+import { Gedcom } from '../JS/gedcom.js';
+
+const FILE = `0 HEAD
+1 GEDC
+2 VERS 5.5.1
+0 @I1@ INDI
+1 NAME Frank /Garigliano/
+2 NPFX Dr
+2 GIVN Frank
+1 SEX M
+1 BIRT
+2 DATE ABT 1890
+2 PLAC Naples
+1 OCCU Baker
+1 FAMS @F1@
+0 @I2@ INDI
+1 NAME Annie /Danieli/
+1 SEX F
+1 FAMS @F1@
+1 NOTE Came over in 1912,
+2 CONT and met Frank
+2 CONC  in New York.
+0 @I3@ INDI
+1 NAME Jane /Corrigan/
+2 NICK Janie
+1 NAME Giovannina /Garigliano/
+2 TYPE birth
+1 SEX F
+1 FAMC @F1@
+2 PEDI birth
+0 @F1@ FAM
+1 HUSB @I1@
+1 WIFE @I2@
+1 CHIL @I3@
+1 MARR
+2 DATE 1911
+2 PLAC New York
+0 TRLR
+`;
+
+// --- Import ---
+
+test('people, names, events, notes and families are read from a file', () => {
+    const { members, summary } = Gedcom.toMembers(Gedcom.parse(FILE));
+    const [frank, annie, jane] = members;
+    assert.deepEqual([frank.givenName, frank.surname, frank.gender], ['Frank', 'Garigliano', 'male']);
+    assert.deepEqual(frank.birth, { date: 'ABT 1890', place: 'Naples' });
+    assert.equal(annie.notes, 'Came over in 1912,\nand met Frank in New York.');
+    assert.deepEqual([jane.name, jane.birthName, jane.nicknames], ['Jane Corrigan', 'Giovannina Garigliano', ['Janie']]);
+    assert.deepEqual(jane.parents, [frank.id, annie.id]);
+    assert.deepEqual(frank.partners, [{ id: annie.id, partnershipId: '@F1@', type: 'married', startDate: '1911', endDate: '', place: 'New York' }]);
+    assert.deepEqual([summary.imported, summary.families], [3, 1]);
+});
+
+test('tags that are not imported are counted at every level', () => {
+    const { unsupported } = Gedcom.parse(FILE);
+    assert.deepEqual(unsupported, { 'INDI.NAME.NPFX': 1, 'INDI.OCCU': 1, 'INDI.FAMC.PEDI': 1 });
+    const summary = Gedcom.describeSummary({ imported: 3, families: 1, warnings: [], unsupported });
+    assert.match(summary, /- INDI\.NAME\.NPFX \(1\)/);
+});
+
+test('a file that is not GEDCOM is refused with the line that is wrong', () => {
+    assert.throws(() => Gedcom.parse('0 HEAD\nthis is not gedcom\n'), /Line 2 is not valid GEDCOM/);
+});
+
+// --- Export ---
+
+// Ann and Bob, who married, divorced and married again, with their son Carl. Carl was widowed by Dora.
+function createFamily() {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, {
+        name: 'Ann Smith',
+        givenName: 'Ann',
+        surname: 'Smith',
+        birthName: 'Ann Jones',
+        gender: 'female',
+        birth: { date: 'abt. 1920', place: 'Leeds' },
+        notes: `A long note ${'about her life '.repeat(30)}\nand a second line.`
+    });
+    const bob = FamilyGraph.addRelative(graph, { name: 'Bob Smith', givenName: 'Bob', surname: 'Smith', gender: 'male' }, {
+        relatedId: ann.id,
+        relationship: 'spouse',
+        partnership: { type: 'divorced', startDate: '1940', endDate: '1945' }
+    });
+    const [firstMarriage] = FamilyGraph.getPartnerships(graph, ann.id);
+    FamilyGraph.addPartnership(graph, ann.id, bob.id, { type: 'married', startDate: '1950', place: 'York' });
+    const carl = FamilyGraph.addRelative(graph, { name: 'Carl Smith', givenName: 'Carl', surname: 'Smith' }, {
+        relatedId: ann.id,
+        relationship: 'child',
+        partnershipId: firstMarriage.id
+    });
+    FamilyGraph.addRelative(graph, { name: 'Dora Smith', givenName: 'Dora', surname: 'Smith', gender: 'female' }, {
+        relatedId: carl.id,
+        relationship: 'spouse',
+        partnership: { type: 'widowed', startDate: '1975', endDate: '1990' }
+    });
+    return { graph, ann, bob, carl };
+}
+
+const roundTrip = graph => FamilyGraph.fromMemberList(Gedcom.toMembers(Gedcom.parse(Gedcom.fromMembers(FamilyGraph.toMemberList(graph)))).members);
+
+test('a family written out and read back is the same family', () => {
+    const { graph, ann, carl } = createFamily();
+    const { graph: copy, problems } = roundTrip(graph);
+    assert.deepEqual(problems, []);
+    const copied = FamilyGraph.getMember(copy, ann.id);
+    assert.deepEqual(
+        [copied.name, copied.givenName, copied.surname, copied.birthName, copied.gender, copied.notes],
+        [ann.name, ann.givenName, ann.surname, ann.birthName, ann.gender, ann.notes]
+    );
+    assert.deepEqual(copied.birth, { date: 'ABT 1920', place: 'Leeds' });
+    assert.deepEqual(FamilyGraph.getParents(copy, carl.id).map(p => p.name).sort(), ['Ann Smith', 'Bob Smith']);
+});
+
+test('each partnership of a couple who married twice is its own family, and every type is read back', () => {
+    const { graph } = createFamily();
+    const text = Gedcom.fromMembers(FamilyGraph.toMemberList(graph));
+    assert.equal(text.match(/^0 @F\d+@ FAM$/gm).length, 3);
+
+    const partnerships = roundTrip(graph).graph.partnerships.map(({ type, startDate, endDate, place }) => ({ type, startDate, endDate, place }));
+    assert.deepEqual(partnerships, [
+        { type: 'divorced', startDate: '1940', endDate: '1945', place: '' },
+        { type: 'married', startDate: '1950', endDate: '', place: 'York' },
+        { type: 'widowed', startDate: '1975', endDate: '1990', place: '' }
+    ]);
+    assert.deepEqual(Gedcom.parse(text).unsupported, {});
+});
+
+test('no line written is longer than GEDCOM allows', () => {
+    const { graph } = createFamily();
+    const lines = Gedcom.fromMembers(FamilyGraph.toMemberList(graph)).trimEnd().split('\n');
+    assert.ok(lines.every(line => line.length <= 255));
+    assert.ok(lines.some(line => line.startsWith('2 CONC ')));
+    assert.ok(lines.some(line => line.startsWith('2 CONT ')));
+});
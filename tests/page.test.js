@@ -0,0 +1,199 @@
+// Tests for familytrees.html in a headless browser (jsdom): adding members through the form, the family
+// group form and the quick add menu, the drawn tree and member pickers that follow, and deleting a member
+// from the edit panel. Run with `npm test`.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../familytrees.html', import.meta.url), 'utf8');
+const dom = new JSDOM(html, { url: 'http://localhost/familytrees.html', pretendToBeVisual: true });
+const { window } = dom;
+const { document } = window;
+
+// The modules expect to run in a browser, so they are given the page's window as their globals.
+// Events are always taken from the page, since Node has its own that jsdom doesn't accept.
+for (const name of Object.getOwnPropertyNames(window)) {
+    if (!(name in globalThis) || /^(Custom|Keyboard|Mouse)?Event$/.test(name)) {
+        globalThis[name] = window[name];
+    }
+}
+
+// jsdom has no layout or SVG geometry, so give d3-zoom and d3-transition the sizes and transforms they read.
+window.Element.prototype.scrollIntoView = function () {};
+window.SVGElement.prototype.getBBox = function () {
+    return { x: 0, y: 0, width: 100, height: 100 };
+};
+Object.defineProperty(window.SVGElement.prototype, 'transform', {
+    get() {
+        return { baseVal: { consolidate: () => null } };
+    }
+});
+for (const dimension of ['width', 'height']) {
+    Object.defineProperty(window.SVGSVGElement.prototype, dimension, {
+        get() {
+            return { baseVal: { value: 800 } };
+        }
+    });
+}
+Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => 800 });
+Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => 600 });
+
+const $ = selector => document.querySelector(selector);
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The message the modal is showing, or null if it is closed.
+const modalMessage = () => ($('#message-modal').style.display === 'flex' ? $('#modal-message').textContent : null);
+
+function setValue(selector, value) {
+    const element = $(selector);
+    element.value = value;
+    element.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+function click(element) {
+    element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+}
+
+// Types a name into a member picker and returns the people it lists.
+function typeInPicker(id, text) {
+    const input = $(`#${id}-search`);
+    input.focus();
+    input.value = text;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    return Array.from(document.querySelectorAll(`#${id}-options [role="option"]`));
+}
+
+function chooseInPicker(id, name) {
+    const option = typeInPicker(id, name).find(item => item.querySelector('.search-result-name').textContent === name);
+    click(option);
+}
+
+function addMember(name, relatedName, relationship) {
+    setValue('#member-name', name);
+    if (relatedName) {
+        chooseInPicker('related-to', relatedName);
+        setValue('#relationship', relationship);
+    }
+    $('#is-spouse').checked = relationship === 'spouse';
+    $('#add-member-form').dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+const drawnNames = () => Array.from(document.querySelectorAll('#family-tree-container .node .node-name')).map(text => text.textContent).sort();
+const drawnNode = name => Array.from(document.querySelectorAll('#family-tree-container .node'))
+    .find(node => node.querySelector('.node-name').textContent === name);
+const optionNames = selector => Array.from($(selector).options).filter(o => o.value).map(o => o.textContent).sort();
+
+before(async () => {
+    runInThisContext(readFileSync(new URL('../JS/vendor/d3.v7.min.js', import.meta.url), 'utf8'));
+    if (document.readyState === 'loading') {
+        await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+    }
+    await import('../JS/script.js');
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+});
+
+// Transitions still running when the window closes would keep d3's timer, and so Node, running.
+after(async () => {
+    d3.selectAll('*').interrupt();
+    await wait(100);
+    window.close();
+});
+
+test('the page starts with an empty tree', () => {
+    assert.equal(modalMessage(), null);
+    assert.deepEqual(drawnNames(), []);
+    assert.equal($('#tree-select').selectedOptions[0].textContent, 'My Family Tree');
+    assert.ok($('#related-to-search').disabled);
+});
+
+test('the first member is drawn and chosen as the relative for the next one', () => {
+    addMember('Ann');
+    assert.equal(modalMessage(), null);
+    assert.deepEqual(drawnNames(), ['Ann']);
+    assert.equal($('#related-to-search').value, 'Ann');
+    assert.equal($('#member-name').value, '');
+});
+
+test('relatives added through the form join the tree', () => {
+    addMember('Bob', 'Ann', 'spouse');
+    addMember('Carl', 'Ann', 'child');
+    assert.equal(modalMessage(), null);
+    assert.deepEqual(drawnNames(), ['Ann', 'Bob', 'Carl']);
+    assert.deepEqual(optionNames('#relation-from'), ['Ann', 'Bob', 'Carl']);
+});
+
+test('a relationship the family rules refuse is shown in the modal', () => {
+    addMember('Dora', 'Ann', 'sibling');
+    assert.match(modalMessage(), /must be related to a member who has a parent/);
+    assert.deepEqual(drawnNames(), ['Ann', 'Bob', 'Carl']);
+    click($('#message-modal .close-button'));
+    assert.equal(modalMessage(), null);
+});
+
+test('the related-to picker finds people by part of their name and says who they are', () => {
+    const [carl, ...others] = typeInPicker('related-to', 'car');
+    assert.deepEqual(others, []);
+    assert.equal(carl.querySelector('.search-result-context').textContent, 'child of Ann and Bob');
+    assert.equal(typeInPicker('related-to', 'zzz').length, 0);
+    assert.equal($('#related-to-options').textContent, 'Nobody in the tree matches.');
+
+    chooseInPicker('related-to', 'Carl');
+    assert.equal($('#related-to-search').value, 'Carl');
+    assert.equal($('#related-to-context').textContent, 'child of Ann and Bob');
+});
+
+test('a couple and their children are added at once with the family group form', () => {
+    chooseInPicker('group-parent1', 'Carl');
+    assert.ok($('#group-parent1-new').hidden);
+    $('#group-parent2-name').value = 'Cora';
+    $('#group-child1-name').value = 'Dan';
+    click($('#group-add-child-btn'));
+    $('#group-child2-name').value = 'Eve';
+    $('#family-group-form').dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+
+    assert.equal(modalMessage(), null);
+    assert.deepEqual(drawnNames(), ['Ann', 'Bob', 'Carl', 'Cora', 'Dan', 'Eve']);
+    const [dan] = typeInPicker('related-to', 'Dan');
+    assert.equal(dan.querySelector('.search-result-context').textContent, 'child of Carl and Cora');
+    assert.equal($('#group-children').children.length, 1);
+    assert.equal($('#group-parent1-new').hidden, false);
+
+    // Undo takes the whole family away again, and redo brings it back.
+    click($('#undo-btn'));
+    assert.deepEqual(optionNames('#relation-from'), ['Ann', 'Bob', 'Carl']);
+    click($('#redo-btn'));
+});
+
+test('relatives can be added from the menu on a member in the tree', () => {
+    drawnNode('Cora').dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    assert.equal($('#node-menu').hidden, false);
+    const buttons = Array.from($('#node-menu-actions').children);
+    assert.ok(buttons.find(button => button.textContent === 'Add sibling').disabled);
+
+    click(buttons.find(button => button.textContent === 'Add parent'));
+    assert.equal($('#node-menu-title').textContent, 'Add a parent of Cora');
+    $('#quick-add-name').value = 'Flo';
+    $('#quick-add-form').dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+
+    assert.equal(modalMessage(), null);
+    assert.ok($('#node-menu').hidden);
+    assert.ok(drawnNames().includes('Flo'));
+});
+
+test('a member clicked in the tree can be deleted from the edit panel', async () => {
+    click(drawnNode('Flo'));
+    assert.equal($('#edit-name').value, 'Flo');
+
+    click($('#delete-member-btn'));
+    assert.match(modalMessage(), /^Delete Flo\?/);
+    click($('#modal-confirm-btn'));
+    assert.equal(modalMessage(), null);
+
+    // The node fades out before it is removed.
+    await wait(700);
+    assert.deepEqual(drawnNames(), ['Ann', 'Bob', 'Carl', 'Cora', 'Dan', 'Eve']);
+    assert.deepEqual(optionNames('#relation-from'), ['Ann', 'Bob', 'Carl', 'Cora', 'Dan', 'Eve']);
+});
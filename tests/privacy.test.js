@@ -0,0 +1,112 @@
+// Tests for living-person privacy in JS/privacy.js: who counts as living, and what each privacy mode
+// leaves in the copy of a tree that is shared. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyGraph } from '../JS/familyGraph.js';
+import { TreePrivacy } from '../JS/privacy.js';
+import { TreeSearch } from '../JS/search.js';
+
+const YEAR = 2025;
+
+// Ann and Bob, who died long ago, their living daughter Cleo and Cleo's husband Dev, whose dates
+// aren't known. Cleo has a photo and notes, and married Dev in Leeds.
+function createFamily() {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, { name: 'Ann', birth: { date: '1900', place: 'York' }, death: { date: '1970', place: 'York' } });
+    const bob = FamilyGraph.addRelative(graph, { name: 'Bob', birth: { date: '1898', place: '' } }, { relatedId: ann.id, relationship: 'spouse' });
+    const [partnership] = FamilyGraph.getPartnerships(graph, ann.id);
+    const cleo = FamilyGraph.addRelative(graph, {
+        name: 'Cleo',
+        gender: 'female',
+        birth: { date: '1960', place: 'Leeds' },
+        photo: 'data:image/jpeg;base64,AAAA',
+        notes: 'Teacher'
+    }, { relatedId: ann.id, relationship: 'child', partnershipId: partnership.id });
+    const dev = FamilyGraph.addRelative(graph, { name: 'Dev' }, {
+        relatedId: cleo.id,
+        relationship: 'spouse',
+        partnership: { startDate: '1985', place: 'Leeds' }
+    });
+    return { graph, ann, bob, cleo, dev };
+}
+
+const names = graph => graph.members.map(member => member.name).sort();
+
+// --- Who is living ---
+
+test('people are living unless a death is recorded or they were born too long ago', () => {
+    const { ann, bob, cleo, dev } = createFamily();
+    assert.equal(TreePrivacy.isLiving(ann, YEAR), false);
+    assert.equal(TreePrivacy.isLiving(bob, YEAR), false);
+    assert.equal(TreePrivacy.isLiving(cleo, YEAR), true);
+    assert.equal(TreePrivacy.isLiving(dev, YEAR), true);
+    assert.equal(TreePrivacy.isLiving({ id: 9, name: 'Unknown', placeholder: true }, YEAR), false);
+});
+
+test('a living status set by hand wins over the dates, in privacy and in search alike', () => {
+    const { graph, bob, dev } = createFamily();
+    FamilyGraph.updateMember(graph, bob.id, { livingStatus: 'living' });
+    FamilyGraph.updateMember(graph, dev.id, { livingStatus: 'deceased' });
+    assert.equal(TreePrivacy.isLiving(bob, YEAR), true);
+    assert.equal(TreePrivacy.isLiving(dev, YEAR), false);
+
+    const living = TreeSearch.search(graph, { status: 'living' }).map(result => result.member.name).sort();
+    assert.deepEqual(living, ['Bob', 'Cleo']);
+});
+
+// --- Privacy modes ---
+
+test('with privacy off the shared copy is the whole tree', () => {
+    const { graph } = createFamily();
+    const { graph: shared, livingIds } = TreePrivacy.applyPrivacy(graph, { mode: 'off' }, YEAR);
+    assert.deepEqual(shared, graph);
+    assert.notEqual(shared, graph);
+    assert.equal(livingIds.size, 0);
+});
+
+test('redacting shows living people as "Living" and clears their partnership details', () => {
+    const { graph, cleo, dev } = createFamily();
+    const before = JSON.stringify(graph);
+    const { graph: shared, livingIds } = TreePrivacy.applyPrivacy(graph, { mode: 'redact' }, YEAR);
+    assert.deepEqual(names(shared), ['Ann', 'Bob', 'Living', 'Living']);
+    assert.deepEqual(FamilyGraph.getMember(shared, cleo.id), { id: cleo.id, name: 'Living', gender: 'female', livingStatus: 'living' });
+    const [partnership] = FamilyGraph.getPartnerships(shared, cleo.id);
+    assert.deepEqual([partnership.startDate, partnership.place], ['', '']);
+    assert.deepEqual([...livingIds], [cleo.id, dev.id]);
+    assert.deepEqual(FamilyGraph.getParents(shared, cleo.id).map(p => p.name).sort(), ['Ann', 'Bob']);
+    assert.equal(JSON.stringify(graph), before);
+});
+
+test('hiding leaves living people and their links out, except anyone the caller keeps', () => {
+    const { graph, cleo, dev } = createFamily();
+    const { graph: hidden } = TreePrivacy.applyPrivacy(graph, { mode: 'hide' }, YEAR);
+    assert.deepEqual(names(hidden), ['Ann', 'Bob']);
+    assert.deepEqual(hidden.parentLinks, []);
+    assert.equal(hidden.partnerships.length, 1);
+
+    const { graph: kept } = TreePrivacy.applyPrivacy(graph, { mode: 'hide' }, YEAR, [cleo.id]);
+    assert.deepEqual(names(kept), ['Ann', 'Bob', 'Living']);
+    assert.equal(FamilyGraph.getMember(kept, dev.id), null);
+    assert.equal(FamilyGraph.getParents(kept, cleo.id).length, 2);
+});
+
+test('hiding details removes only the chosen ones', () => {
+    const { graph, cleo } = createFamily();
+    const { graph: shared } = TreePrivacy.applyPrivacy(graph, { mode: 'details', details: ['photos', 'notes'] }, YEAR);
+    const member = FamilyGraph.getMember(shared, cleo.id);
+    assert.equal(member.name, 'Cleo');
+    assert.deepEqual(member.birth, { date: '1960', place: 'Leeds' });
+    assert.equal(member.photo, undefined);
+    assert.equal(member.notes, undefined);
+    assert.equal(FamilyGraph.getPartnerships(shared, cleo.id)[0].startDate, '1985');
+
+    const { graph: withoutDates } = TreePrivacy.applyPrivacy(graph, { mode: 'details', details: ['dates'] }, YEAR);
+    assert.equal(FamilyGraph.getMember(withoutDates, cleo.id).birth, undefined);
+    assert.equal(FamilyGraph.getPartnerships(withoutDates, cleo.id)[0].startDate, '');
+});
+
+test('unknown settings fall back to showing everyone', () => {
+    assert.deepEqual(TreePrivacy.normalizeSettings({ mode: 'everything' }), TreePrivacy.DEFAULT_SETTINGS);
+    assert.deepEqual(TreePrivacy.normalizeSettings({ mode: 'details', details: ['dates', 'shoe size'] }), { mode: 'details', details: ['dates'] });
+});
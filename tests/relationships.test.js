@@ -0,0 +1,115 @@
+// Tests for the relationship calculator in JS/relationships.js: blood relatives of any distance,
+// half-relatives and relatives by marriage. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyGraph } from '../JS/familyGraph.js';
+import { Relationships } from '../JS/relationships.js';
+
+// Ann and Bob have Carl and Dora. Carl and Eve have Fay, who married Kim; Dora's son Gus has a son Hal.
+// Bob also has Jon with Ivy, and Lee is in the tree without any links.
+function createFamily() {
+    const graph = FamilyGraph.createGraph();
+    const people = {};
+    const add = (name, gender, relative, relationship, partnerOf, partnership) => {
+        const relation = relative ? { relatedId: people[relative].id, relationship, partnership } : undefined;
+        if (partnerOf) {
+            relation.partnershipId = FamilyGraph.getPartnerships(graph, people[partnerOf].id)
+                .find(p => p.partnerIds.includes(people[relative].id)).id;
+        }
+        people[name] = FamilyGraph.addRelative(graph, { name, gender }, relation);
+    };
+    add('Ann', 'female');
+    add('Bob', 'male', 'Ann', 'spouse');
+    add('Carl', 'male', 'Ann', 'child', 'Bob');
+    add('Dora', 'female', 'Ann', 'child', 'Bob');
+    add('Eve', 'female', 'Carl', 'spouse');
+    add('Fay', 'female', 'Carl', 'child', 'Eve');
+    add('Kim', 'female', 'Fay', 'spouse');
+    add('Gus', 'male', 'Dora', 'child');
+    add('Hal', 'male', 'Gus', 'child');
+    add('Ivy', 'female', 'Bob', 'spouse', null, { type: 'divorced' });
+    add('Jon', 'male', 'Ivy', 'child', 'Bob');
+    people.Lee = FamilyGraph.addMember(graph, { name: 'Lee' });
+    const term = (from, to) => Relationships.describe(graph, people[from].id, people[to].id).term;
+    return { graph, people, term };
+}
+
+test('blood relatives are named from the generations between them and their common ancestors', () => {
+    const { term } = createFamily();
+    assert.equal(term('Fay', 'Ann'), 'grandmother');
+    assert.equal(term('Fay', 'Dora'), 'aunt');
+    assert.equal(term('Fay', 'Gus'), 'first cousin');
+    assert.equal(term('Fay', 'Hal'), 'first cousin once removed');
+    assert.equal(term('Hal', 'Ann'), 'great-grandmother');
+    assert.equal(term('Carl', 'Jon'), 'half-brother');
+});
+
+test('the terms for distant relatives are built up with "great-" and removals', () => {
+    const man = { gender: 'male' };
+    assert.equal(Relationships.bloodTerm(1, 4, man, false), 'great-great-nephew');
+    assert.equal(Relationships.bloodTerm(3, 4, man, false), 'second cousin once removed');
+    assert.equal(Relationships.bloodTerm(1, 1, man, true), 'half-brother');
+});
+
+test('the nearest common ancestors are both of a couple, with the path between the two people', () => {
+    const { graph, people } = createFamily();
+    const ancestors = Relationships.findCommonAncestors(graph, people.Fay.id, people.Gus.id);
+    assert.deepEqual(ancestors.map(({ member, up, down }) => [member.name, up, down]).sort(), [['Ann', 2, 2], ['Bob', 2, 2]]);
+    const { path, description } = Relationships.describe(graph, people.Fay.id, people.Gus.id);
+    assert.equal(path[0], people.Fay.id);
+    assert.equal(path[path.length - 1], people.Gus.id);
+    assert.equal(description, "Gus is Fay's first cousin.");
+});
+
+test('relatives by marriage are named as spouses, in-laws and step-relatives', () => {
+    const { term } = createFamily();
+    assert.equal(term('Eve', 'Carl'), 'husband');
+    assert.equal(term('Fay', 'Kim'), 'wife');
+    assert.equal(term('Eve', 'Dora'), 'sister-in-law');
+    assert.equal(term('Kim', 'Eve'), 'mother-in-law');
+    assert.equal(term('Jon', 'Ann'), 'step-mother');
+});
+
+test('people with no link between them are not related', () => {
+    const { graph, people, term } = createFamily();
+    assert.equal(term('Fay', 'Lee'), 'not related');
+    assert.equal(term('Fay', 'Fay'), 'self');
+    assert.deepEqual(Relationships.describe(graph, people.Fay.id, people.Lee.id).path, []);
+    assert.throws(() => Relationships.describe(graph, people.Fay.id, 99), /two members/);
+});
+
+test('a relation is only half when both of the other parents are recorded and differ', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, { name: 'Ann', gender: 'female' });
+    const carl = FamilyGraph.addRelative(graph, { name: 'Carl', gender: 'male' }, { relatedId: ann.id, relationship: 'child' });
+    const dan = FamilyGraph.addRelative(graph, { name: 'Dan', gender: 'male' }, { relatedId: ann.id, relationship: 'child' });
+    const term = (from, to) => Relationships.describe(graph, from.id, to.id).term;
+    assert.equal(term(carl, dan), 'brother');
+    assert.ok(FamilyGraph.getSiblings(graph, carl.id).some(sibling => sibling.id === dan.id));
+
+    // Ann is the only grandparent recorded, so her grandchildren are full cousins and Dan a full uncle.
+    const fay = FamilyGraph.addRelative(graph, { name: 'Fay', gender: 'female' }, { relatedId: carl.id, relationship: 'child' });
+    const gus = FamilyGraph.addRelative(graph, { name: 'Gus', gender: 'male' }, { relatedId: dan.id, relationship: 'child' });
+    assert.equal(term(fay, gus), 'first cousin');
+    assert.equal(term(fay, dan), 'uncle');
+
+    // Once both of Carl's parents and both of Dan's are recorded and they differ, the two are half-brothers.
+    FamilyGraph.addRelative(graph, { name: 'Bob', gender: 'male' }, { relatedId: carl.id, relationship: 'parent' });
+    assert.equal(term(carl, dan), 'brother');
+    FamilyGraph.addRelative(graph, { name: 'Ian', gender: 'male' }, { relatedId: dan.id, relationship: 'parent' });
+    assert.equal(term(carl, dan), 'half-brother');
+    assert.equal(term(fay, gus), 'half-first cousin');
+});
+
+test('a widowed spouse is "late" only to the partner who survived them', () => {
+    const graph = FamilyGraph.createGraph();
+    const john = FamilyGraph.addRelative(graph, { name: 'John', gender: 'male', livingStatus: 'deceased' });
+    const mary = FamilyGraph.addRelative(graph, { name: 'Mary', gender: 'female', livingStatus: 'living' }, {
+        relatedId: john.id,
+        relationship: 'spouse',
+        partnership: { type: 'widowed' }
+    });
+    assert.equal(Relationships.describe(graph, mary.id, john.id).term, 'late husband');
+    assert.equal(Relationships.describe(graph, john.id, mary.id).term, 'widow');
+});
@@ -0,0 +1,71 @@
+// Tests for the saved-tree migrations in JS/storage.js: old saves are upgraded step by step to the
+// current schema. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TreeStorage } from '../JS/storage.js';
+
+// A version 1 save: Ann and her husband Bob (an isSpouse record under Ann), with Carl added under Ann
+// and Dora added under Bob.
+const versionOneTree = () => ({
+    name: 'Old tree',
+    familyMembers: [
+        { id: 1, name: 'Ann', parentId: null },
+        { id: 2, name: 'Bob', parentId: 1, isSpouse: true, marriage: { date: '1950', place: 'York' } },
+        { id: 3, name: 'Carl', parentId: 1 },
+        { id: 4, name: 'Dora', parentId: 2 }
+    ],
+    nextId: 5
+});
+
+const parentsOf = (graph, childId) => graph.parentLinks.filter(link => link.childId === childId).map(link => link.parentId).sort();
+
+test('a version 1 save is upgraded to the current family graph', () => {
+    const tree = TreeStorage.migrate(versionOneTree());
+    assert.equal(tree.schemaVersion, TreeStorage.SCHEMA_VERSION);
+    assert.equal(tree.name, 'Old tree');
+    assert.equal(tree.familyMembers, undefined);
+    assert.deepEqual(tree.graph.members, [
+        { id: 1, name: 'Ann' },
+        { id: 2, name: 'Bob' },
+        { id: 3, name: 'Carl' },
+        { id: 4, name: 'Dora' }
+    ]);
+    assert.equal(tree.graph.nextId, 5);
+    assert.deepEqual(tree.graph.partnerships, [
+        { id: 1, partnerIds: [1, 2], type: 'married', startDate: '1950', endDate: '', place: 'York' }
+    ]);
+});
+
+test('children added under either spouse get both parents', () => {
+    const { graph } = TreeStorage.migrate(versionOneTree());
+    assert.deepEqual(parentsOf(graph, 3), [1, 2]);
+    assert.deepEqual(parentsOf(graph, 4), [1, 2]);
+});
+
+test('a child of someone with no spouse keeps one parent', () => {
+    const { graph } = TreeStorage.migrate({
+        familyMembers: [{ id: 1, name: 'Ann', parentId: null }, { id: 2, name: 'Carl', parentId: 1 }],
+        nextId: 3
+    });
+    assert.deepEqual(parentsOf(graph, 2), [1]);
+    assert.deepEqual(graph.partnerships, []);
+});
+
+test('a version 2 partnership becomes a typed, dated one', () => {
+    const tree = TreeStorage.migrate({
+        schemaVersion: 2,
+        graph: {
+            members: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }],
+            parentLinks: [],
+            partnerships: [{ id: 1, partnerIds: [1, 2], marriage: null }],
+            nextId: 3,
+            nextPartnershipId: 2
+        }
+    });
+    assert.deepEqual(tree.graph.partnerships, [{ id: 1, partnerIds: [1, 2], type: 'married', startDate: '', endDate: '', place: '' }]);
+});
+
+test('a save from a newer version is refused', () => {
+    assert.throws(() => TreeStorage.migrate({ name: 'New tree', schemaVersion: TreeStorage.SCHEMA_VERSION + 1, graph: {} }), /newer version/);
+});
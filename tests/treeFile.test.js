@@ -0,0 +1,96 @@
+// Tests for tree files in JS/treeFile.js: JSON backups written and read back, reading CSV spreadsheets
+// and the problems reported in either. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FamilyGraph } from '../JS/familyGraph.js';
+import { TreeFile } from '../JS/treeFile.js';
+
+// --- JSON ---
+
+test('a tree written as JSON is read back whole', () => {
+    const graph = FamilyGraph.createGraph();
+    const ann = FamilyGraph.addRelative(graph, { name: 'Ann', birth: { date: 'abt. 1900', place: 'York' }, livingStatus: 'deceased' });
+    FamilyGraph.addRelative(graph, { name: 'Bob' }, { relatedId: ann.id, relationship: 'spouse', partnership: { type: 'divorced', endDate: '1930' } });
+    FamilyGraph.addRelative(graph, { name: 'Carl' }, { relatedId: ann.id, relationship: 'child', partnershipId: 1 });
+    const privacy = { mode: 'redact', details: ['dates'] };
+
+    const tree = TreeFile.fromJson(TreeFile.toJson({ name: 'Smiths', homePersonId: 3, privacy, graph }));
+    assert.deepEqual(tree.problems, []);
+    assert.equal(tree.name, 'Smiths');
+    assert.equal(tree.homePersonId, 3);
+    assert.deepEqual(tree.privacy, privacy);
+    assert.deepEqual(tree.graph, graph);
+});
+
+test('people and links that are wrong are skipped and reported', () => {
+    const tree = TreeFile.fromJson(JSON.stringify({
+        format: TreeFile.FORMAT,
+        homePersonId: 9,
+        members: [{ id: 1, name: 'Ann' }, { id: 2, name: ' ' }, { name: 'No id' }, { id: 1, name: 'Ann again' }, { id: 3, name: 'Carl' }],
+        parentLinks: [{ parentId: 1, childId: 3 }, { parentId: 4, childId: 3 }, { parentId: 3, childId: 3 }],
+        partnerships: [{ id: 1, partnerIds: [1, 7] }, { id: 2, partnerIds: [1] }]
+    }));
+    assert.deepEqual(tree.graph.members.map(member => member.name), ['Ann', 'Carl']);
+    assert.deepEqual(tree.graph.parentLinks, [{ parentId: 1, childId: 3 }]);
+    assert.deepEqual(tree.graph.partnerships, []);
+    assert.equal(tree.homePersonId, null);
+    assert.deepEqual(tree.problems, [
+        'Person 2 in the file has no name, so they were skipped.',
+        'Person 3 in the file has no id, so they were skipped.',
+        'More than one person in the file has the id 1; only the first was kept.',
+        'A parent link refers to person 4, who is not in the file.',
+        "Carl can't be their own parent.",
+        'Partnership 1 refers to person 7, who is not in the file.',
+        "Partnership 2 doesn't name two partners, so it was skipped."
+    ]);
+});
+
+test('files that are not trees are refused', () => {
+    assert.throws(() => TreeFile.fromJson('{ not json'), /not valid JSON/);
+    assert.throws(() => TreeFile.fromJson('{ "members": [] }'), /not a Family Tree Creator tree/);
+});
+
+// --- CSV ---
+
+const CSV = 'Name,Father,Mother,Spouse,Born\r\n' +
+    '"Smith, Ann",,,Bob,1900\r\n' +
+    'Bob,,,"Smith, Ann",\r\n' +
+    'Carl,Bob,"Smith, Ann",,soon\r\n' +
+    ',Bob\r\n' +
+    'Dan,Zed,,,\r\n' +
+    '"Quoted ""Q""",,,,\n';
+
+test('CSV cells may be quoted, and the columns are found from the headers', () => {
+    const rows = TreeFile.parseCsv(CSV);
+    assert.deepEqual(rows[1], ['Smith, Ann', '', '', 'Bob', '1900']);
+    assert.deepEqual(rows[6], ['Quoted "Q"', '', '', '', '']);
+    const mapping = TreeFile.guessMapping(rows[0]);
+    assert.deepEqual([mapping.name, mapping.parent1, mapping.parent2, mapping.spouse, mapping.birthDate, mapping.gender], [0, 1, 2, 3, 4, -1]);
+});
+
+test('a family is built from CSV rows, linking parents and spouses by name', () => {
+    const rows = TreeFile.parseCsv(CSV);
+    const { graph, problems } = TreeFile.fromCsv(rows, TreeFile.guessMapping(rows[0]));
+    assert.deepEqual(graph.members.map(member => member.name), ['Smith, Ann', 'Bob', 'Carl', 'Dan', 'Quoted "Q"']);
+    assert.deepEqual(FamilyGraph.getParents(graph, 3).map(parent => parent.name), ['Bob', 'Smith, Ann']);
+    assert.equal(graph.partnerships.length, 1);
+    assert.deepEqual(FamilyGraph.getMember(graph, 3).birth, { date: 'soon', place: '' });
+    assert.deepEqual(problems, [
+        'Row 4: "soon" is not a date that can be understood; it was kept as written.',
+        'Row 5 has no name, so it was skipped.',
+        'Row 6: parent "Zed" is not in the file.'
+    ]);
+    assert.throws(() => TreeFile.fromCsv(rows, { name: -1 }), /column that holds each person's name/);
+});
+
+test('a family written as CSV is read back with the same people and links', () => {
+    const rows = TreeFile.parseCsv(CSV);
+    const { graph } = TreeFile.fromCsv(rows, TreeFile.guessMapping(rows[0]));
+    const written = TreeFile.parseCsv(TreeFile.toCsv(graph));
+    const { graph: copy, problems } = TreeFile.fromCsv(written, TreeFile.guessMapping(written[0]));
+    assert.deepEqual(copy.members.map(member => member.name), graph.members.map(member => member.name));
+    assert.deepEqual(copy.parentLinks, graph.parentLinks);
+    assert.equal(copy.partnerships.length, 1);
+    assert.deepEqual(problems, ['Row 4: "soon" is not a date that can be understood; it was kept as written.']);
+});